@@ -3,45 +3,32 @@
  * Vercel Serverless Function
  */
 
-import { fetchAllActivityData } from '../src/github-api.js';
-import { generateActivitySummary } from '../src/activity-summarizer.js';
-import { generateActivityCard, generateCompactCard, generateLanguagesCard } from '../src/card-generator.js';
+import { isValidTimezone } from '../src/timezone.js';
+import { createActivityService } from '../src/activity-service.js';
+import { createTokenPoolFromEnv } from '../src/github-client.js';
+import { isValidLogin } from '../src/github-api.js';
+import { parseLanguageOptions } from '../src/language-stats.js';
+import { parseRepoName } from '../src/repo-activity.js';
+import { parsePrivacyFilters } from '../src/privacy.js';
+import { parseLeaderboardUsers, LEADERBOARD_METRICS } from '../src/leaderboard.js';
+import {
+  generateActivityCard,
+  generateCompactCard,
+  generateLanguagesCard,
+  generateHeatmapCard,
+  generateScheduleCard,
+  generateRepoCard,
+  generateLeaderboardCard,
+} from '../src/card-generator.js';
+import { generateReadme } from '../src/readme-generator.js';
+import { buildSummaryJson, buildLeaderboardJson } from '../src/summary-json.js';
 import themes from '../themes/index.js';
 
-// Cache for storing results (simple in-memory cache)
-const cache = new Map();
-const CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours in milliseconds
+// Fetches, summarizes and caches activity (store and TTLs configured via CACHE_* env vars)
+const activityService = createActivityService();
 
-/**
- * Gets cached data or fetches new data
- * @param {string} username - GitHub username
- * @param {string} token - GitHub token
- * @returns {Promise<Object>} Activity summary data
- */
-async function getCachedData(username, token) {
-  const cacheKey = `user:${username}`;
-  const cached = cache.get(cacheKey);
-
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-
-  const activityData = await fetchAllActivityData(username, token);
-  const summaryData = generateActivitySummary(activityData);
-
-  cache.set(cacheKey, {
-    data: summaryData,
-    timestamp: Date.now(),
-  });
-
-  // Clean up old cache entries
-  if (cache.size > 1000) {
-    const oldestKey = cache.keys().next().value;
-    cache.delete(oldestKey);
-  }
-
-  return summaryData;
-}
+// Tokens from GITHUB_TOKENS (or GITHUB_TOKEN), rotated by remaining rate limit
+const tokenPool = createTokenPoolFromEnv();
 
 /**
  * Main API handler
@@ -51,29 +38,71 @@ async function getCachedData(username, token) {
 export default async function handler(req, res) {
   const {
     username,
+    org,
+    repo,
+    users, // comma-separated usernames for a leaderboard
+    sort = 'events', // leaderboard: 'events', 'commits', 'pullRequests', 'reviews', 'streak'
+    title,
     theme = 'default',
-    type = 'activity', // 'activity', 'compact', 'languages'
+    type = 'activity', // 'activity', 'compact', 'languages', 'heatmap', 'schedule', 'readme'
     border = 'true',
     border_radius,
     hide_stats,
     hide_projects,
+    days,
+    tz,
+    streak = 'current',
+    streak_grace,
+    layout = 'compact', // languages card: 'compact', 'normal', 'donut', 'pie'
+    langs_count,
+    format: formatParam = 'svg', // 'svg', 'json'
     cache_seconds,
   } = req.query;
 
-  // Validate username
-  if (!username) {
+  // /api/summary always returns JSON
+  const format = req.url?.split('?')[0] === '/api/summary' ? 'json' : formatParam;
+
+  // Validate username (or organization, repository or leaderboard users)
+  if (!username && !org && !repo && !users) {
     res.setHeader('Content-Type', 'application/json');
     return res.status(400).json({
       error: 'Missing required parameter: username',
-      usage: '/?username=YOUR_GITHUB_USERNAME',
+      usage: '/?username=YOUR_GITHUB_USERNAME, /?org=YOUR_GITHUB_ORG, /?repo=OWNER/NAME or /?users=alice,bob',
+    });
+  }
+
+  // Validate leaderboard users and metric
+  let leaderboardUsers = null;
+  if (users) {
+    try {
+      leaderboardUsers = parseLeaderboardUsers(users);
+    } catch (error) {
+      res.setHeader('Content-Type', 'application/json');
+      return res.status(400).json({ error: error.message });
+    }
+    if (!LEADERBOARD_METRICS.includes(sort)) {
+      res.setHeader('Content-Type', 'application/json');
+      return res.status(400).json({
+        error: `Invalid sort: ${sort}`,
+        available_sorts: LEADERBOARD_METRICS,
+      });
+    }
+  }
+
+  // Validate repository format
+  if (repo && !parseRepoName(repo)) {
+    res.setHeader('Content-Type', 'application/json');
+    return res.status(400).json({
+      error: 'Invalid repository format',
+      usage: '/?repo=OWNER/NAME',
     });
   }
 
-  // Validate username format
-  if (!/^[a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38}$/.test(username)) {
+  // Validate username format (organization names follow the same rules)
+  if (!repo && !users && !isValidLogin(org || username)) {
     res.setHeader('Content-Type', 'application/json');
     return res.status(400).json({
-      error: 'Invalid username format',
+      error: org ? 'Invalid organization format' : 'Invalid username format',
     });
   }
 
@@ -86,12 +115,93 @@ export default async function handler(req, res) {
     });
   }
 
+  // Validate the window length; a window ending before it starts would cache an empty card
+  if (days && !(parseInt(days) > 0)) {
+    res.setHeader('Content-Type', 'application/json');
+    return res.status(400).json({
+      error: `Invalid days: ${days}`,
+      usage: 'Use a number of days from 1 to 90 (days=30)',
+    });
+  }
+
+  // Validate timezone
+  if (tz && !isValidTimezone(tz)) {
+    res.setHeader('Content-Type', 'application/json');
+    return res.status(400).json({
+      error: `Invalid timezone: ${tz}`,
+      usage: 'Use an IANA name (tz=Europe/Berlin) or a UTC offset (tz=-05:00)',
+    });
+  }
+
   try {
     // Get GitHub token from environment or header
-    const githubToken = process.env.GITHUB_TOKEN || req.headers['x-github-token'];
+    const githubToken = tokenPool || req.headers['x-github-token'];
+
+    const activityOptions = {
+      days: days ? Math.min(parseInt(days), 90) : 0,
+      timezone: tz,
+      streakGrace: streak_grace === 'weekends' ? 'weekends' : 'none',
+    };
+    const cacheSeconds = cache_seconds ? parseInt(cache_seconds) : 14400; // 4 hours default
+
+    // Leaderboard of several users
+    if (leaderboardUsers) {
+      const { leaderboard, fetchedAt } = await activityService.getLeaderboard(leaderboardUsers, githubToken, {
+        ...activityOptions,
+        sortBy: sort,
+        languageOptions: parseLanguageOptions(req.query),
+      });
+
+      res.setHeader('Cache-Control', `public, max-age=${Math.min(cacheSeconds, 86400)}`);
+      if (format === 'json') {
+        res.setHeader('Content-Type', 'application/json');
+        return res.status(200).json(buildLeaderboardJson(leaderboard, { fetchedAt }));
+      }
+
+      res.setHeader('Content-Type', 'image/svg+xml');
+      return res.status(200).send(generateLeaderboardCard(leaderboard, {
+        theme,
+        showBorder: border !== 'false',
+        borderRadius: border_radius ? parseFloat(border_radius) : 4.5,
+        title,
+      }));
+    }
+
+    // Fetch and process data, for a repository or an organization when `repo` or `org` is given
+    let getActivity = activityService.getActivity;
+    if (repo) {
+      getActivity = activityService.getRepoActivity;
+    } else if (org) {
+      getActivity = activityService.getOrgActivity;
+    }
+    const { summaryData, eventAnalysis, fetchedAt } = await getActivity(repo || org || username, githubToken, {
+      ...activityOptions,
+      languageOptions: parseLanguageOptions(req.query),
+      privacyFilters: parsePrivacyFilters(req.query),
+    });
+
+    // Raw summary data for custom dashboards and widgets
+    if (format === 'json') {
+      res.setHeader('Cache-Control', `public, max-age=${Math.min(cacheSeconds, 86400)}`);
+      res.setHeader('Content-Type', 'application/json');
+
+      return res.status(200).json(buildSummaryJson(summaryData, eventAnalysis, { fetchedAt }));
+    }
+
+    // Markdown README instead of an SVG card
+    if (type === 'readme') {
+      const protocol = req.headers['x-forwarded-proto'] || 'https';
+      const markdown = generateReadme(summaryData, {
+        theme,
+        cardBaseUrl: req.headers.host ? `${protocol}://${req.headers.host}` : null,
+        params: req.query,
+      });
 
-    // Fetch and process data
-    const summaryData = await getCachedData(username, githubToken);
+      res.setHeader('Cache-Control', `public, max-age=${Math.min(cacheSeconds, 86400)}`);
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+
+      return res.status(200).send(markdown);
+    }
 
     // Card generation options
     const options = {
@@ -100,6 +210,10 @@ export default async function handler(req, res) {
       borderRadius: border_radius ? parseFloat(border_radius) : 4.5,
       hideStats: hide_stats === 'true',
       hideProjects: hide_projects === 'true',
+      streak,
+      layout,
+      langsCount: parseInt(langs_count) || 5,
+      timezone: tz,
     };
 
     // Generate appropriate card type
@@ -111,14 +225,21 @@ export default async function handler(req, res) {
       case 'languages':
         svg = generateLanguagesCard(summaryData, options);
         break;
+      case 'heatmap':
+        svg = generateHeatmapCard(summaryData, options);
+        break;
+      case 'schedule':
+        svg = generateScheduleCard(summaryData, options);
+        break;
       case 'activity':
       default:
-        svg = generateActivityCard(summaryData, options);
+        svg = summaryData.isRepository
+          ? generateRepoCard(summaryData, options)
+          : generateActivityCard(summaryData, options);
         break;
     }
 
     // Set cache headers
-    const cacheSeconds = cache_seconds ? parseInt(cache_seconds) : 14400; // 4 hours default
     res.setHeader('Cache-Control', `public, max-age=${Math.min(cacheSeconds, 86400)}`);
     res.setHeader('Content-Type', 'image/svg+xml');
 
@@ -126,16 +247,35 @@ export default async function handler(req, res) {
   } catch (error) {
     console.error('Error generating card:', error);
 
+    const status = getErrorStatus(error);
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      return res.status(status).json({ error: error.message });
+    }
+
     // Generate error SVG
     const errorSvg = generateErrorCard(error.message);
 
     res.setHeader('Content-Type', 'image/svg+xml');
     res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
 
-    return res.status(error.message.includes('not found') ? 404 : 500).send(errorSvg);
+    return res.status(status).send(errorSvg);
   }
 }
 
+/**
+ * Maps an error to an HTTP status code
+ * @param {Error} error - Error
+ * @returns {number} HTTP status code
+ */
+function getErrorStatus(error) {
+  if (error.message.includes('not found')) return 404;
+  if (error.kind === 'rate_limit' || error.kind === 'secondary_rate_limit') return 429;
+  return 500;
+}
+
 /**
  * Generates an error card SVG
  * @param {string} message - Error message
@@ -90,7 +90,8 @@ Examples:
     console.log(`Total Events: ${summaryData.stats.totalEvents}`);
     console.log(`Total Repos: ${summaryData.stats.totalRepos}`);
     console.log(`Total Stars: ${summaryData.stats.totalStars}`);
-    console.log(`Activity Streak: ${summaryData.stats.activityStreak} days`);
+    console.log(`Current Streak: ${summaryData.stats.currentStreak} days`);
+    console.log(`Longest Streak: ${summaryData.stats.longestStreak} days`);
     console.log(`Primary Language: ${summaryData.primaryLanguage || 'N/A'}`);
 
     if (summaryData.achievements.length > 0) {
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Example: Generate a complete profile README.md for a GitHub user
+ *
+ * Usage:
+ *   node examples/generate-readme.js <username> [output-file] [template-file]
+ *
+ * Set CARD_BASE_URL to your deployment URL to embed card images.
+ *
+ * Examples:
+ *   node examples/generate-readme.js octocat
+ *   node examples/generate-readme.js octocat README.md
+ *   CARD_BASE_URL=https://your-deployment.vercel.app node examples/generate-readme.js octocat README.md
+ *   node examples/generate-readme.js octocat README.md my-template.md
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchAllActivityData } from '../src/github-api.js';
+import { summarizeActivity } from '../src/activity-summarizer.js';
+import { createSummaryProvider } from '../src/summary-providers.js';
+import { generateReadme, DEFAULT_TEMPLATE } from '../src/readme-generator.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log(`
+Usage: node examples/generate-readme.js <username> [output-file] [template-file]
+
+Arguments:
+  username      GitHub username (required)
+  output-file   Output file path (default: prints to stdout)
+  template-file Markdown template with {{placeholders}} (default: built-in template)
+
+Environment:
+  GITHUB_TOKEN   GitHub token for higher rate limits
+  CARD_BASE_URL  Deployment URL used for embedded card images
+  CARD_THEME     Theme for embedded card images (default: 'default')
+
+Examples:
+  node examples/generate-readme.js octocat
+  node examples/generate-readme.js octocat README.md
+  node examples/generate-readme.js octocat README.md my-template.md
+`);
+    process.exit(1);
+  }
+
+  const username = args[0];
+  const outputFile = args[1];
+  const templateFile = args[2];
+
+  try {
+    const template = templateFile
+      ? fs.readFileSync(path.resolve(process.cwd(), templateFile), 'utf8')
+      : DEFAULT_TEMPLATE;
+
+    // Unlike a card request, the script can wait for GitHub to compute commit statistics
+    const activityData = await fetchAllActivityData(username, process.env.GITHUB_TOKEN, {
+      statsPolling: { retries: 5, delay: 1000 },
+    });
+    const summaryData = await summarizeActivity(activityData, { provider: createSummaryProvider() });
+
+    const readme = generateReadme(summaryData, {
+      template,
+      cardBaseUrl: process.env.CARD_BASE_URL,
+      theme: process.env.CARD_THEME || 'default',
+    });
+
+    if (outputFile) {
+      const outputPath = path.resolve(process.cwd(), outputFile);
+      fs.writeFileSync(outputPath, readme);
+      console.log(`README saved to: ${outputPath}`);
+    } else {
+      process.stdout.write(readme);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Example: Update marker sections of an existing README.md in place
+ *
+ * Usage:
+ *   node examples/update-readme.js <username> [readme-file]
+ *
+ * The README must contain comment markers, for example:
+ *   <!-- ACTIVITY:START -->
+ *   <!-- ACTIVITY:END -->
+ *
+ * Named sections: summary, highlights, recent-projects, languages, achievements
+ *   <!-- ACTIVITY:RECENT-PROJECTS:START -->
+ *   <!-- ACTIVITY:RECENT-PROJECTS:END -->
+ *
+ * Prints whether the file changed. When run in GitHub Actions, it also sets
+ * the `changed` step output so the workflow can skip empty commits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchAllActivityData } from '../src/github-api.js';
+import { summarizeActivity } from '../src/activity-summarizer.js';
+import { createSummaryProvider } from '../src/summary-providers.js';
+import { updateReadmeFile, SECTION_NAMES } from '../src/readme-updater.js';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0) {
+    console.log(`
+Usage: node examples/update-readme.js <username> [readme-file]
+
+Arguments:
+  username    GitHub username (required)
+  readme-file README file to update (default: README.md)
+
+Sections: ${SECTION_NAMES.join(', ')}
+
+Examples:
+  node examples/update-readme.js octocat
+  node examples/update-readme.js octocat profile/README.md
+`);
+    process.exit(1);
+  }
+
+  const username = args[0];
+  const readmePath = path.resolve(process.cwd(), args[1] || 'README.md');
+
+  try {
+    // Unlike a card request, the script can wait for GitHub to compute commit statistics
+    const activityData = await fetchAllActivityData(username, process.env.GITHUB_TOKEN, {
+      statsPolling: { retries: 5, delay: 1000 },
+    });
+    const summaryData = await summarizeActivity(activityData, { provider: createSummaryProvider() });
+
+    const { changed, sections } = await updateReadmeFile(readmePath, summaryData);
+
+    if (sections.length === 0) {
+      console.warn(`No activity markers found in ${readmePath}`);
+    } else {
+      console.log(`Sections: ${sections.join(', ')}`);
+    }
+    console.log(changed ? `${readmePath} updated` : `${readmePath} is up to date`);
+
+    if (process.env.GITHUB_OUTPUT) {
+      fs.appendFileSync(process.env.GITHUB_OUTPUT, `changed=${changed}\n`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
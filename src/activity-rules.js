@@ -0,0 +1,334 @@
+/**
+ * Activity Rules
+ * Flags unusual activity by comparing recent days against the user's own baseline
+ *
+ * The last `windowDays` days are the current window; everything the data covers
+ * before them (the events, or a full year of the contribution calendar) is the
+ * baseline. Each rule looks at both and returns findings with the rule's id, a
+ * severity and a message. "First" and "new" are relative to the baseline, so a
+ * release counts as the first of a repository when no earlier one is in the data.
+ */
+
+import { getLocalDateParts } from './timezone.js';
+import { normalizeEvents } from './event-normalizer.js';
+import { applyDetailPrivacy } from './privacy.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Finding severities, least severe first
+ */
+export const SEVERITIES = ['info', 'notable', 'exceptional'];
+
+/**
+ * Default rule settings
+ */
+export const DEFAULT_RULE_OPTIONS = {
+  windowDays: 7, // Length of the current window
+  spikeFactor: 2, // How many times the usual activity makes a spike
+  minSpikeActivity: 10, // Fewer contributions in the window are never a spike
+  dormantDays: 30, // How long a repository must have been quiet to count as revived
+  disabledRules: [],
+};
+
+/**
+ * Record types that are no contribution to a repository
+ */
+const NON_CONTRIBUTIONS = ['repo_starred', 'repo_forked'];
+
+/**
+ * Converts a 'YYYY-MM-DD' date key to a UTC timestamp
+ * @param {string} key - Date key
+ * @returns {number} Timestamp of midnight UTC
+ */
+function dateKeyToTime(key) {
+  return Date.parse(`${key}T00:00:00Z`);
+}
+
+/**
+ * Splits activity data into the current window and the baseline before it
+ * @param {Object} activityData - Complete activity data from fetchAllActivityData
+ * @param {Object} options - Rule options
+ * @returns {Object} Rule context: { login, now, windowStart, current, baseline, daily, contributionStats, privacyFilters }
+ */
+export function buildRuleContext(activityData, options = {}) {
+  const { windowDays, privacyFilters } = { ...DEFAULT_RULE_OPTIONS, ...options };
+  const { profile, events = [], eventAnalysis = {}, contributionStats = {} } = activityData;
+  const now = options.now || (eventAnalysis.window?.until ? new Date(eventAnalysis.window.until) : new Date());
+  const windowStart = now.getTime() - windowDays * DAY_MS;
+
+  const current = [];
+  const baseline = [];
+  for (const record of normalizeEvents(events)) {
+    const time = Date.parse(record.createdAt);
+    if (isNaN(time) || time > now.getTime()) continue;
+    (time >= windowStart ? current : baseline).push(record);
+  }
+
+  // Daily counts are keyed by local date; the events only cover their own window, the calendar a full year
+  const timezone = eventAnalysis.timezone || undefined;
+  const dailyActivity = eventAnalysis.dailyActivity || {};
+  const todayKey = getLocalDateParts(now, timezone).date;
+  const windowStartKey = getLocalDateParts(now.getTime() - (windowDays - 1) * DAY_MS, timezone).date;
+  const dates = Object.keys(dailyActivity).sort();
+  const sinceKey = eventAnalysis.window?.since ? getLocalDateParts(eventAnalysis.window.since, timezone).date : null;
+  const baselineStartKey = eventAnalysis.source !== 'contribution-calendar' && sinceKey ? sinceKey : dates[0];
+
+  let currentTotal = 0;
+  let baselineTotal = 0;
+  for (const date of dates) {
+    if (date > todayKey || (baselineStartKey && date < baselineStartKey)) continue;
+    if (date >= windowStartKey) currentTotal += dailyActivity[date];
+    else baselineTotal += dailyActivity[date];
+  }
+  const baselineDays = baselineStartKey && baselineStartKey < windowStartKey
+    ? Math.round((dateKeyToTime(windowStartKey) - dateKeyToTime(baselineStartKey)) / DAY_MS)
+    : 0;
+
+  return {
+    login: profile?.login || null,
+    now,
+    windowStart,
+    windowDays,
+    current,
+    baseline,
+    daily: { current: currentTotal, baseline: baselineTotal, baselineDays },
+    contributionStats,
+    privacyFilters,
+  };
+}
+
+/**
+ * Gets the records of a context that contribute to a repository
+ * Anonymized private work has no owner in its name and is left out
+ * @param {Array} records - Activity records
+ * @returns {Array} Contribution records
+ */
+function getContributions(records) {
+  return records.filter(record => !NON_CONTRIBUTIONS.includes(record.type) && record.repo?.includes('/'));
+}
+
+/**
+ * Gets the short name of a repository
+ * @param {string} fullName - Repository name (owner/name)
+ * @returns {string} Name without the owner
+ */
+function shortName(fullName) {
+  return fullName.split('/')[1] || fullName;
+}
+
+/**
+ * Flags a window with far more contributions than the baseline's average for a window of that length
+ * @param {Object} context - Rule context from buildRuleContext
+ * @param {Object} options - Rule options
+ * @returns {Array} Findings
+ */
+function detectActivitySpike(context, options) {
+  const { spikeFactor, minSpikeActivity } = options;
+  const { current, baseline, baselineDays } = context.daily;
+
+  // A baseline shorter than two windows says too little about what is usual
+  if (baselineDays < context.windowDays * 2 || current < minSpikeActivity) return [];
+
+  const usual = (baseline / baselineDays) * context.windowDays;
+  const factor = current / Math.max(usual, 1);
+  if (factor < spikeFactor) return [];
+
+  return [{
+    severity: factor >= spikeFactor * 2 ? 'exceptional' : 'notable',
+    message: `${current} contributions in the last ${context.windowDays} days, ${Math.round(factor)}x the usual ${Math.round(usual)}`,
+    current,
+    usual: Math.round(usual * 10) / 10,
+  }];
+}
+
+/**
+ * Flags releases in repositories without an earlier release in the baseline
+ * @param {Object} context - Rule context from buildRuleContext
+ * @returns {Array} Findings
+ */
+function detectFirstRelease(context) {
+  const released = new Set(
+    getContributions(context.baseline)
+      .filter(record => record.type === 'release_published')
+      .map(record => record.repo)
+  );
+
+  const findings = [];
+  for (const record of getContributions(context.current)) {
+    if (record.type !== 'release_published' || released.has(record.repo)) continue;
+    released.add(record.repo);
+
+    const tag = record.tag ? applyDetailPrivacy('ReleaseEvent', record.tag, context.privacyFilters) : undefined;
+    findings.push({
+      severity: 'notable',
+      message: `First release of "${shortName(record.repo)}"${tag ? ` (${tag})` : ''}`,
+      repo: record.repo,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Flags contributions to repositories of an owner (usually an organization) not contributed to in the baseline
+ * @param {Object} context - Rule context from buildRuleContext
+ * @returns {Array} Findings
+ */
+function detectNewOrganization(context) {
+  const login = context.login?.toLowerCase();
+  const getOwner = record => record.repo.split('/')[0];
+  const known = new Set(getContributions(context.baseline).map(record => getOwner(record).toLowerCase()));
+
+  const findings = [];
+  for (const record of getContributions(context.current)) {
+    const owner = getOwner(record);
+    if (owner.toLowerCase() === login || known.has(owner.toLowerCase())) continue;
+    known.add(owner.toLowerCase());
+
+    findings.push({
+      severity: 'notable',
+      message: `First contribution to ${owner}`,
+      owner,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Flags languages of repositories created in the window that no older repository uses
+ * @param {Object} context - Rule context from buildRuleContext
+ * @returns {Array} Findings
+ */
+function detectNewLanguage(context) {
+  const repos = (context.contributionStats.recentRepos || []).filter(repo => repo.language && !repo.fork);
+  const isNew = repo => Date.parse(repo.created_at) >= context.windowStart;
+  const repoCounts = context.contributionStats.languageRepoCounts || {};
+
+  const newRepos = {};
+  for (const repo of repos.filter(isNew)) {
+    newRepos[repo.language] = newRepos[repo.language] || [];
+    newRepos[repo.language].push(repo);
+  }
+
+  const findings = [];
+  for (const [language, created] of Object.entries(newRepos)) {
+    const usedBefore = repos.some(repo => repo.language === language && !isNew(repo))
+      || (repoCounts[language] || 0) > created.length;
+    if (usedBefore) continue;
+
+    findings.push({
+      severity: 'info',
+      message: `Started using ${language} in "${created[0].name}"`,
+      language,
+      repo: created[0].full_name,
+    });
+  }
+  return findings;
+}
+
+/**
+ * Flags repositories contributed to again after a quiet period of at least `dormantDays`
+ * A repository without any baseline activity counts when it is older than the baseline
+ * and the baseline is long enough
+ * @param {Object} context - Rule context from buildRuleContext
+ * @param {Object} options - Rule options
+ * @returns {Array} Findings
+ */
+function detectDormantRepoRevived(context, options) {
+  const { dormantDays } = options;
+  const lastActive = new Map();
+  for (const record of getContributions(context.baseline)) {
+    const time = Date.parse(record.createdAt);
+    lastActive.set(record.repo, Math.max(lastActive.get(record.repo) || 0, time));
+  }
+
+  const created = new Map(
+    (context.contributionStats.recentRepos || []).map(repo => [repo.full_name, Date.parse(repo.created_at)])
+  );
+  const baselineStart = context.windowStart - context.daily.baselineDays * DAY_MS;
+
+  const findings = [];
+  const seen = new Set();
+  const records = getContributions(context.current).sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+  for (const record of records) {
+    if (seen.has(record.repo)) continue;
+    seen.add(record.repo);
+
+    const time = Date.parse(record.createdAt);
+    let message = null;
+    if (lastActive.has(record.repo)) {
+      const quietDays = Math.floor((time - lastActive.get(record.repo)) / DAY_MS);
+      if (quietDays >= dormantDays) message = `Back on "${shortName(record.repo)}" after ${quietDays} days`;
+    } else if (context.daily.baselineDays >= dormantDays && created.get(record.repo) < baselineStart) {
+      message = `Back on "${shortName(record.repo)}" after more than ${context.daily.baselineDays} days`;
+    }
+
+    if (message) {
+      findings.push({ severity: 'info', message, repo: record.repo });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Built-in rules, in the order their findings are listed within a severity
+ */
+export const ACTIVITY_RULES = [
+  { id: 'activity_spike', description: 'Far more contributions than usual', evaluate: detectActivitySpike },
+  { id: 'first_release', description: 'First release of a repository', evaluate: detectFirstRelease },
+  { id: 'new_organization', description: 'First contribution to an organization', evaluate: detectNewOrganization },
+  { id: 'new_language', description: 'New language adopted', evaluate: detectNewLanguage },
+  { id: 'dormant_repo_revived', description: 'Dormant repository revived', evaluate: detectDormantRepoRevived },
+];
+
+/**
+ * Evaluates activity rules
+ * @param {Object} activityData - Complete activity data from fetchAllActivityData
+ * @param {Object} options - Rule options (see DEFAULT_RULE_OPTIONS)
+ * @param {Array<string>} options.disabledRules - Ids of rules to skip
+ * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+ * @param {Date} options.now - End of the current window (defaults to the end of the activity window)
+ * @param {Array} options.rules - Rules to evaluate (defaults to ACTIVITY_RULES)
+ * @returns {Array} Findings: [{ id, severity, message, ... }], most severe first
+ */
+export function evaluateActivityRules(activityData, options = {}) {
+  const settings = { ...DEFAULT_RULE_OPTIONS, ...options };
+  const { disabledRules, rules = ACTIVITY_RULES } = settings;
+  const context = buildRuleContext(activityData, settings);
+
+  const findings = [];
+  for (const rule of rules) {
+    if (disabledRules.includes(rule.id)) continue;
+    for (const finding of rule.evaluate(context, settings)) {
+      findings.push({ id: rule.id, ...finding });
+    }
+  }
+
+  // Stable sort keeps the rule order within a severity
+  return findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity));
+}
+
+/**
+ * Reads the rule settings from environment variables
+ *
+ *   ACTIVITY_RULES_DISABLED     comma-separated ids of rules to turn off
+ *   ACTIVITY_RULES_WINDOW_DAYS  length of the current window in days (default 7)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Rule options
+ */
+export function createRuleOptionsFromEnv(env = process.env) {
+  const windowDays = parseInt(env.ACTIVITY_RULES_WINDOW_DAYS);
+  return {
+    disabledRules: String(env.ACTIVITY_RULES_DISABLED || '').split(',').map(id => id.trim()).filter(Boolean),
+    windowDays: windowDays > 0 ? windowDays : DEFAULT_RULE_OPTIONS.windowDays,
+  };
+}
+
+export default {
+  SEVERITIES,
+  DEFAULT_RULE_OPTIONS,
+  ACTIVITY_RULES,
+  buildRuleContext,
+  evaluateActivityRules,
+  createRuleOptionsFromEnv,
+};
@@ -0,0 +1,243 @@
+/**
+ * Activity Service
+ * Loads, summarizes and caches a user's activity for the HTTP handlers
+ */
+
+import { fetchAllActivityData } from './github-api.js';
+import { fetchAllOrgActivityData } from './org-activity.js';
+import { fetchAllRepoActivityData, parseRepoName } from './repo-activity.js';
+import { fetchLeaderboard } from './leaderboard.js';
+import { summarizeActivity, summarizeOrgActivity, summarizeRepoActivity } from './activity-summarizer.js';
+import { createSummaryProvider } from './summary-providers.js';
+import { createCacheFromEnv } from './cache.js';
+import { getLanguageOptionsKey } from './language-stats.js';
+import {
+  createPrivacyOptionsFromEnv,
+  resolveActivityAccess,
+  getAccessKey,
+  mergePrivacyFilters,
+  getPrivacyFiltersKey,
+} from './privacy.js';
+import { createRuleOptionsFromEnv } from './activity-rules.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Creates an activity service
+ * @param {Object} options - Options
+ * @param {Object} options.cache - Cache from createCache (defaults to the environment configuration)
+ * @param {Object} options.summaryProvider - Narrative summary backend (defaults to the environment configuration)
+ * @param {Object} options.privacy - Private activity settings (defaults to the environment configuration, see privacy.js)
+ * @param {Object} options.rules - Unusual activity rule settings (defaults to the environment configuration, see activity-rules.js)
+ * @returns {Object} Service with getActivity, getOrgActivity, getRepoActivity and getLeaderboard methods
+ */
+export function createActivityService(options = {}) {
+  const {
+    cache = createCacheFromEnv(),
+    summaryProvider = createSummaryProvider(),
+    privacy = createPrivacyOptionsFromEnv(),
+    rules = createRuleOptionsFromEnv(),
+  } = options;
+
+  /**
+   * Adds the instance-wide privacy settings to those of a request
+   * @param {Object} languageOptions - Repository and language filters of the request
+   * @param {Object} privacyFilters - Privacy filters of the request
+   * @returns {Object} { languageOptions, privacyFilters }
+   */
+  function withPrivacyDefaults(languageOptions, privacyFilters) {
+    const excludeRepos = privacy.excludeRepos || [];
+    return {
+      languageOptions: excludeRepos.length > 0
+        ? { ...languageOptions, excludeRepos: [...excludeRepos, ...(languageOptions?.excludeRepos || [])] }
+        : languageOptions,
+      privacyFilters: mergePrivacyFilters(privacy.filters, privacyFilters),
+    };
+  }
+
+  /**
+   * Gets cached activity or fetches it
+   * Includes private activity when private mode is on and the token belongs to the user
+   * @param {string} username - GitHub username
+   * @param {string} token - GitHub token
+   * @param {Object} options - Options
+   * @param {number} options.days - Only analyze activity from the last N days
+   * @param {string} options.timezone - User's timezone for hourly and daily buckets
+   * @param {string} options.streakGrace - Streak grace rule ('none' or 'weekends')
+   * @param {Object} options.languageOptions - Repository and language filters and weighting
+   * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+   * @returns {Promise<Object>} Summary data, event analysis and fetch time
+   */
+  async function getActivity(username, token, options = {}) {
+    const { days, timezone, streakGrace } = options;
+    const { languageOptions, privacyFilters } = withPrivacyDefaults(options.languageOptions, options.privacyFilters);
+    const access = await resolveActivityAccess(username, token, { ...privacy, cache });
+    const key = [
+      username.toLowerCase(),
+      days || 'all',
+      timezone || 'local',
+      streakGrace || 'none',
+      getLanguageOptionsKey(languageOptions),
+      getPrivacyFiltersKey(privacyFilters),
+      getAccessKey(access),
+    ].join(':');
+
+    return cache.getOrLoad('summary', key, async () => {
+      const activityData = await fetchAllActivityData(username, token, {
+        since: getWindowStart(days),
+        timezone,
+        streakGrace,
+        languageOptions,
+        cache,
+        access,
+      });
+      const summaryData = await summarizeActivity(activityData, { provider: summaryProvider, privacyFilters, rules });
+
+      return {
+        summaryData,
+        eventAnalysis: activityData.eventAnalysis,
+        fetchedAt: activityData.fetchedAt,
+      };
+    });
+  }
+
+  /**
+   * Gets cached organization activity or fetches it
+   * @param {string} org - Organization login
+   * @param {string} token - GitHub token
+   * @param {Object} options - Options (see getActivity)
+   * @returns {Promise<Object>} Summary data, event analysis and fetch time
+   */
+  async function getOrgActivity(org, token, options = {}) {
+    const { days, timezone, streakGrace } = options;
+    const { languageOptions, privacyFilters } = withPrivacyDefaults(options.languageOptions, options.privacyFilters);
+    const key = [
+      'org',
+      org.toLowerCase(),
+      days || 'all',
+      timezone || 'local',
+      streakGrace || 'none',
+      getLanguageOptionsKey(languageOptions),
+      getPrivacyFiltersKey(privacyFilters),
+    ].join(':');
+
+    return cache.getOrLoad('summary', key, async () => {
+      const orgData = await fetchAllOrgActivityData(org, token, {
+        since: getWindowStart(days),
+        timezone,
+        streakGrace,
+        languageOptions,
+        cache,
+      });
+      const summaryData = await summarizeOrgActivity(orgData, { provider: summaryProvider, privacyFilters });
+
+      return {
+        summaryData,
+        eventAnalysis: orgData.eventAnalysis,
+        fetchedAt: orgData.fetchedAt,
+      };
+    });
+  }
+
+  /**
+   * Gets cached repository activity or fetches it
+   * Private repositories are only shown in private mode, to their owner
+   * @param {string} fullName - Repository name (owner/name)
+   * @param {string} token - GitHub token
+   * @param {Object} options - Options (see getActivity; language options do not apply)
+   * @returns {Promise<Object>} Summary data, event analysis and fetch time
+   */
+  async function getRepoActivity(fullName, token, options = {}) {
+    const { days, timezone, streakGrace } = options;
+    const owner = parseRepoName(fullName)?.owner;
+    const access = owner ? await resolveActivityAccess(owner, token, { ...privacy, cache }) : undefined;
+    const key = [
+      'repo',
+      fullName.toLowerCase(),
+      days || 'all',
+      timezone || 'local',
+      streakGrace || 'none',
+      getAccessKey(access),
+    ].join(':');
+
+    return cache.getOrLoad('summary', key, async () => {
+      const repoData = await fetchAllRepoActivityData(fullName, token, {
+        since: getWindowStart(days),
+        timezone,
+        streakGrace,
+        cache,
+        access,
+      });
+      const summaryData = await summarizeRepoActivity(repoData, { provider: summaryProvider });
+
+      return {
+        summaryData,
+        eventAnalysis: repoData.eventAnalysis,
+        fetchedAt: repoData.fetchedAt,
+      };
+    });
+  }
+
+  /**
+   * Gets a cached leaderboard of several users or builds it
+   * Each user's activity is cached separately, so overlapping leaderboards share it
+   * @param {Array<string>} usernames - GitHub usernames
+   * @param {string} token - GitHub token
+   * @param {Object} options - Options (see getActivity) and:
+   * @param {string} options.sortBy - Metric to rank by (see LEADERBOARD_METRICS)
+   * @returns {Promise<Object>} Leaderboard and fetch time
+   */
+  async function getLeaderboard(usernames, token, options = {}) {
+    const { days, timezone, streakGrace, sortBy } = options;
+    const { languageOptions } = withPrivacyDefaults(options.languageOptions);
+    const key = [
+      'leaderboard',
+      usernames.map(username => username.toLowerCase()).sort().join(','),
+      days || 'all',
+      timezone || 'local',
+      streakGrace || 'none',
+      sortBy || 'events',
+      getLanguageOptionsKey(languageOptions),
+    ].join(':');
+
+    return cache.getOrLoad('summary', key, async () => {
+      const leaderboard = await fetchLeaderboard(usernames, token, {
+        since: getWindowStart(days),
+        timezone,
+        streakGrace,
+        sortBy,
+        languageOptions,
+        cache,
+      });
+
+      return {
+        leaderboard,
+        fetchedAt: new Date().toISOString(),
+      };
+    });
+  }
+
+  return {
+    cache,
+    getActivity,
+    getOrgActivity,
+    getRepoActivity,
+    getLeaderboard,
+  };
+}
+
+/**
+ * Start of an activity window of the last N days
+ * Rounded down to the hour so cached events can be reused within it
+ * @param {number} days - Number of days (falsy for no window)
+ * @returns {Date|undefined} Window start
+ */
+function getWindowStart(days) {
+  return days
+    ? new Date(Math.floor((Date.now() - days * 24 * HOUR) / HOUR) * HOUR)
+    : undefined;
+}
+
+export default {
+  createActivityService,
+};
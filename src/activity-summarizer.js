@@ -1,9 +1,29 @@
 /**
  * Activity Summarizer Module
  * Generates human-readable summaries of GitHub activity
- * Uses rule-based analysis to identify interesting patterns and achievements
+ * Uses rule-based analysis to identify interesting patterns and achievements,
+ * optionally handing the narrative over to a pluggable summary provider
  */
 
+import { ruleBasedProvider } from './summary-providers.js';
+import { getLanguageColor, getLanguageKind } from './language-metadata.js';
+import { applyDetailPrivacy } from './privacy.js';
+import { normalizeEvent, normalizeEvents, countActivity, countReviews } from './event-normalizer.js';
+import { analyzeCommits } from './commit-analyzer.js';
+import { evaluateActivityRules } from './activity-rules.js';
+
+/**
+ * What a repository's commits of each type say about the work on it
+ */
+const COMMIT_FOCUS_PHRASES = {
+  feat: 'adding features to',
+  fix: 'fixing bugs in',
+  refactor: 'refactoring',
+  test: 'writing tests for',
+  docs: 'writing docs for',
+  chore: 'maintaining',
+};
+
 /**
  * Event type descriptions in human-readable form
  */
@@ -28,21 +48,38 @@ const EVENT_DESCRIPTIONS = {
 /**
  * Generates a summary of unusual/notable activity patterns
  * @param {Object} activityData - Complete activity data from fetchAllActivityData
+ * @param {Object} options - Options
+ * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+ * @param {Object} options.rules - Unusual activity rule settings (see activity-rules.js)
  * @returns {Object} Summary with notable patterns and human-readable text
  */
-export function generateActivitySummary(activityData) {
+export function generateActivitySummary(activityData, options = {}) {
   const { profile, eventAnalysis, contributionStats, events } = activityData;
 
   const notablePatterns = [];
   const achievements = [];
   const activityHighlights = [];
 
-  // Analyze activity streak
-  if (eventAnalysis.activityStreak >= 7) {
+  // Analyze activity streaks: an ongoing streak first, then the longest one if it was longer
+  const { currentStreak, longestStreak } = getStreaks(eventAnalysis);
+  if (currentStreak.days >= 7) {
     notablePatterns.push({
       type: 'streak',
-      severity: eventAnalysis.activityStreak >= 30 ? 'exceptional' : 'notable',
-      description: `${eventAnalysis.activityStreak}-day activity streak`,
+      streakType: 'current',
+      severity: currentStreak.days >= 30 ? 'exceptional' : 'notable',
+      description: `${currentStreak.days}-day activity streak`,
+      start: currentStreak.start,
+      end: currentStreak.end,
+    });
+  }
+  if (longestStreak.days >= 7 && longestStreak.days > currentStreak.days) {
+    notablePatterns.push({
+      type: 'streak',
+      streakType: 'longest',
+      severity: longestStreak.days >= 30 ? 'exceptional' : 'notable',
+      description: `${longestStreak.days}-day activity streak`,
+      start: longestStreak.start,
+      end: longestStreak.end,
     });
   }
 
@@ -69,6 +106,13 @@ export function generateActivitySummary(activityData) {
     activityHighlights.push(`Heavily focused on "${repoName}"`);
   }
 
+  // Highlight the repository whose weekly commits grew the most
+  const commitTrends = eventAnalysis.commitTrends || [];
+  const risingRepoHighlight = describeRisingRepo(commitTrends);
+  if (risingRepoHighlight) {
+    activityHighlights.push(risingRepoHighlight);
+  }
+
   // Analyze event distribution
   const eventCounts = eventAnalysis.eventCounts;
   const totalEvents = eventAnalysis.totalEvents;
@@ -77,15 +121,49 @@ export function generateActivitySummary(activityData) {
     activityHighlights.push('Primarily focused on pushing code');
   }
 
-  if (eventCounts.PullRequestReviewEvent && eventCounts.PullRequestReviewEvent > 5) {
+  // What the events actually did: merged pull requests, reviews, releases
+  const activityCounts = eventAnalysis.activityCounts || countActivity(normalizeEvents(events));
+  const reviews = countReviews(activityCounts);
+
+  if (reviews > 5) {
     activityHighlights.push('Active code reviewer');
     achievements.push('Code Review Champion');
   }
 
+  if (activityCounts.pr_merged > 0) {
+    activityHighlights.push(`Merged ${pluralize(activityCounts.pr_merged, 'pull request')}`);
+  }
+
+  if (activityCounts.release_published > 0) {
+    activityHighlights.push(`Published ${pluralize(activityCounts.release_published, 'release')}`);
+  }
+
+  // What the commit messages say, unless commit details are hidden
+  const commitsHidden = options.privacyFilters?.hideDetails?.includes('PushEvent');
+  const commitAnalysis = commitsHidden ? null : analyzeCommits(events, { privacyFilters: options.privacyFilters });
+  const commitFocus = commitAnalysis ? describeCommitFocus(commitAnalysis) : null;
+  if (commitFocus) {
+    activityHighlights.push(commitFocus);
+  }
+
   if (eventCounts.IssuesEvent && eventCounts.IssuesEvent > 10) {
     activityHighlights.push('Active issue tracker');
   }
 
+  // Compare the last days against the user's own baseline
+  const unusualActivity = evaluateActivityRules(activityData, {
+    ...options.rules,
+    privacyFilters: options.privacyFilters,
+  });
+  for (const finding of unusualActivity) {
+    notablePatterns.push({
+      type: 'unusual',
+      rule: finding.id,
+      severity: finding.severity,
+      description: finding.message,
+    });
+  }
+
   // Analyze contribution stats
   if (contributionStats.totalStars >= 100) {
     achievements.push(`Earned ${contributionStats.totalStars} stars`);
@@ -96,17 +174,17 @@ export function generateActivitySummary(activityData) {
   }
 
   // Analyze language diversity
-  const languages = Object.keys(contributionStats.languages);
+  const languageBreakdown = buildLanguageBreakdown(contributionStats);
+  const languages = languageBreakdown.map(language => language.name);
   if (languages.length >= 5) {
     achievements.push(`Polyglot developer using ${languages.length} languages`);
   }
 
   // Find the primary language
-  const primaryLanguage = Object.entries(contributionStats.languages)
-    .sort((a, b) => b[1] - a[1])[0]?.[0];
+  const primaryLanguage = languages[0];
 
   // Analyze recent project activity
-  const recentProjects = extractRecentProjects(events);
+  const recentProjects = extractRecentProjects(events, options.privacyFilters);
 
   // Generate human-readable summary
   const summary = generateHumanReadableSummary({
@@ -119,6 +197,9 @@ export function generateActivitySummary(activityData) {
     recentProjects,
     eventAnalysis,
     contributionStats,
+    activityCounts,
+    commitFocus,
+    unusualActivity,
   });
 
   return {
@@ -131,23 +212,318 @@ export function generateActivitySummary(activityData) {
     activityHighlights,
     primaryLanguage,
     languages: languages.slice(0, 5),
+    languageBreakdown,
     recentProjects,
     summary,
+    activityWindow: eventAnalysis.window || null,
+    contributionWindow: eventAnalysis.contributionWindow || null,
+    dailyActivity: eventAnalysis.dailyActivity || {},
+    hourlyActivity: eventAnalysis.hourlyActivity || Array(24).fill(0),
+    weekdayActivity: eventAnalysis.weekdayActivity || Array(7).fill(0),
+    peakHour,
+    activitySource: eventAnalysis.source || 'events',
+    commitTrends,
+    commitAnalysis,
+    unusualActivity,
     stats: {
       totalEvents: totalEvents,
       totalRepos: contributionStats.totalRepos,
       totalStars: contributionStats.totalStars,
       activityStreak: eventAnalysis.activityStreak,
+      currentStreak: currentStreak.days,
+      longestStreak: longestStreak.days,
+      totalContributions: eventAnalysis.contributionTotals?.contributions ?? null,
+      commits: activityCounts.commits_pushed,
+      mergedPullRequests: activityCounts.pr_merged,
+      reviews,
+      closedIssues: activityCounts.issue_closed,
+      releases: activityCounts.release_published,
     },
   };
 }
 
+/**
+ * Generates the activity summary, letting a summary provider write the narrative
+ * Falls back to the rule-based text when the provider fails or times out
+ * @param {Object} activityData - Complete activity data from fetchAllActivityData
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Summary provider (defaults to rule-based)
+ * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+ * @param {Object} options.rules - Unusual activity rule settings (see activity-rules.js)
+ * @returns {Promise<Object>} Summary data, as returned by generateActivitySummary
+ */
+export async function summarizeActivity(activityData, options = {}) {
+  const { provider = ruleBasedProvider, privacyFilters, rules } = options;
+  return applySummaryProvider(generateActivitySummary(activityData, { privacyFilters, rules }), activityData, provider);
+}
+
+/**
+ * Generates a summary of an organization's activity
+ * Has the same shape as generateActivitySummary, plus team-level stats and top contributors
+ * @param {Object} orgData - Complete organization data from fetchAllOrgActivityData
+ * @param {Object} options - Options (see generateActivitySummary)
+ * @returns {Object} Summary with notable patterns and human-readable text
+ */
+export function generateOrgActivitySummary(orgData, options = {}) {
+  const { profile, members = [], eventAnalysis, contributionStats, events } = orgData;
+
+  const achievements = [];
+  const activityHighlights = [];
+
+  if (eventAnalysis.mostActiveRepo) {
+    const repoName = eventAnalysis.mostActiveRepo.split('/')[1] || eventAnalysis.mostActiveRepo;
+    activityHighlights.push(`Most activity in "${repoName}"`);
+  }
+
+  const commitTrends = eventAnalysis.commitTrends || [];
+  const risingRepoHighlight = describeRisingRepo(commitTrends);
+  if (risingRepoHighlight) {
+    activityHighlights.push(risingRepoHighlight);
+  }
+
+  const topContributors = eventAnalysis.topContributors || [];
+  if (topContributors.length >= 5) {
+    activityHighlights.push(`${topContributors.length}+ active contributors`);
+  }
+
+  if (contributionStats.totalStars >= 100) {
+    achievements.push(`Earned ${contributionStats.totalStars} stars`);
+  }
+
+  if (eventAnalysis.releases >= 5) {
+    achievements.push('Frequent shipper');
+  }
+
+  const languageBreakdown = buildLanguageBreakdown(contributionStats);
+  const languages = languageBreakdown.map(language => language.name);
+  const primaryLanguage = languages[0];
+
+  const recentProjects = extractRecentProjects(events, options.privacyFilters);
+  const { currentStreak, longestStreak } = getStreaks(eventAnalysis);
+
+  const stats = {
+    totalEvents: eventAnalysis.totalEvents,
+    totalRepos: contributionStats.totalRepos,
+    totalStars: contributionStats.totalStars,
+    activityStreak: eventAnalysis.activityStreak,
+    currentStreak: currentStreak.days,
+    longestStreak: longestStreak.days,
+    totalContributions: null,
+    releases: eventAnalysis.releases || 0,
+    mergedPullRequests: eventAnalysis.mergedPullRequests || 0,
+    activeRepos: eventAnalysis.activeRepos || 0,
+    members: members.length,
+  };
+
+  const summary = generateOrgSummaryText({
+    profile,
+    primaryLanguage,
+    topContributors,
+    achievements,
+    eventAnalysis,
+    stats,
+  });
+
+  return {
+    username: profile.login,
+    displayName: profile.name || profile.login,
+    avatarUrl: profile.avatar_url,
+    profileUrl: profile.html_url,
+    isOrganization: true,
+    notablePatterns: [],
+    achievements,
+    activityHighlights,
+    primaryLanguage,
+    languages: languages.slice(0, 5),
+    languageBreakdown,
+    recentProjects,
+    topContributors,
+    summary,
+    activityWindow: eventAnalysis.window || null,
+    dailyActivity: eventAnalysis.dailyActivity || {},
+    hourlyActivity: eventAnalysis.hourlyActivity || Array(24).fill(0),
+    weekdayActivity: eventAnalysis.weekdayActivity || Array(7).fill(0),
+    peakHour: eventAnalysis.peakHour,
+    activitySource: eventAnalysis.source || 'events',
+    commitTrends,
+    stats,
+  };
+}
+
+/**
+ * Generates the organization summary, letting a summary provider write the narrative
+ * @param {Object} orgData - Complete organization data from fetchAllOrgActivityData
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Summary provider (defaults to rule-based)
+ * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+ * @returns {Promise<Object>} Summary data, as returned by generateOrgActivitySummary
+ */
+export async function summarizeOrgActivity(orgData, options = {}) {
+  const { provider = ruleBasedProvider, privacyFilters } = options;
+  return applySummaryProvider(generateOrgActivitySummary(orgData, { privacyFilters }), orgData, provider);
+}
+
+/**
+ * Generates a summary of a single repository's activity
+ * Has the same shape as generateActivitySummary, plus repository stats, top contributors
+ * and the weekly commits behind the sparkline
+ * @param {Object} repoData - Complete repository data from fetchAllRepoActivityData
+ * @returns {Object} Summary with human-readable text
+ */
+export function generateRepoActivitySummary(repoData) {
+  const { repo, languages = {}, eventAnalysis } = repoData;
+
+  const achievements = [];
+  const activityHighlights = [];
+
+  const commitTrends = eventAnalysis.commitTrends || [];
+  const risingRepoHighlight = describeRisingRepo(commitTrends);
+  if (risingRepoHighlight) {
+    activityHighlights.push(risingRepoHighlight);
+  }
+
+  const topContributors = eventAnalysis.topContributors || [];
+  if (topContributors.length >= 5) {
+    activityHighlights.push(`${topContributors.length}+ active contributors`);
+  }
+
+  if (repo.stargazers_count >= 100) {
+    achievements.push(`Earned ${repo.stargazers_count} stars`);
+  }
+
+  const languageBreakdown = buildLanguageBreakdown({ languages });
+  const primaryLanguage = languageBreakdown[0]?.name || repo.language || undefined;
+  const { currentStreak, longestStreak } = getStreaks(eventAnalysis);
+
+  const stats = {
+    totalEvents: eventAnalysis.totalEvents,
+    totalRepos: 1,
+    totalStars: repo.stargazers_count || 0,
+    forks: repo.forks_count || 0,
+    openIssues: repo.open_issues_count || 0,
+    activityStreak: eventAnalysis.activityStreak,
+    currentStreak: currentStreak.days,
+    longestStreak: longestStreak.days,
+    totalContributions: null,
+    commits: eventAnalysis.commits || 0,
+    mergedPullRequests: eventAnalysis.mergedPullRequests || 0,
+    openedIssues: eventAnalysis.openedIssues || 0,
+    closedIssues: eventAnalysis.closedIssues || 0,
+    releases: eventAnalysis.releases || 0,
+  };
+
+  const summary = generateRepoSummaryText({
+    repo,
+    primaryLanguage,
+    topContributors,
+    eventAnalysis,
+    stats,
+  });
+
+  return {
+    username: repo.owner?.login,
+    repoName: repo.name,
+    fullName: repo.full_name,
+    description: repo.description || null,
+    displayName: repo.full_name,
+    avatarUrl: repo.owner?.avatar_url,
+    profileUrl: repo.html_url,
+    isRepository: true,
+    notablePatterns: [],
+    achievements,
+    activityHighlights,
+    primaryLanguage,
+    languages: languageBreakdown.map(language => language.name).slice(0, 5),
+    languageBreakdown,
+    recentProjects: [],
+    topContributors,
+    summary,
+    activityWindow: eventAnalysis.window || null,
+    dailyActivity: eventAnalysis.dailyActivity || {},
+    hourlyActivity: eventAnalysis.hourlyActivity || Array(24).fill(0),
+    weekdayActivity: eventAnalysis.weekdayActivity || Array(7).fill(0),
+    peakHour: eventAnalysis.peakHour,
+    activitySource: eventAnalysis.source || 'events',
+    commitTrends,
+    commitActivity: commitTrends[0]?.weeks || [],
+    stats,
+  };
+}
+
+/**
+ * Generates the repository summary, letting a summary provider write the narrative
+ * @param {Object} repoData - Complete repository data from fetchAllRepoActivityData
+ * @param {Object} options - Options
+ * @param {Object} options.provider - Summary provider (defaults to rule-based)
+ * @returns {Promise<Object>} Summary data, as returned by generateRepoActivitySummary
+ */
+export async function summarizeRepoActivity(repoData, options = {}) {
+  const { provider = ruleBasedProvider } = options;
+  return applySummaryProvider(generateRepoActivitySummary(repoData), repoData, provider);
+}
+
+/**
+ * Replaces the rule-based narrative with one written by a summary provider
+ * Falls back to the rule-based text when the provider fails or times out
+ * @param {Object} summaryData - Summary data with the rule-based narrative
+ * @param {Object} activityData - Complete activity data
+ * @param {Object} provider - Summary provider
+ * @returns {Promise<Object>} Summary data
+ */
+async function applySummaryProvider(summaryData, activityData, provider) {
+  if (provider === ruleBasedProvider) {
+    return summaryData;
+  }
+
+  try {
+    const summary = await provider.summarize(buildSummaryContext(summaryData, activityData));
+    if (summary) {
+      return { ...summaryData, summary };
+    }
+  } catch (error) {
+    console.warn(`Summary provider "${provider.name}" failed, using rule-based summary:`, error.message);
+  }
+
+  return summaryData;
+}
+
+/**
+ * Builds the structured context handed to summary providers
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @param {Object} activityData - Complete activity data
+ * @returns {Object} Summary context
+ */
+function buildSummaryContext(summaryData, activityData) {
+  const activity = {};
+  const sortedCounts = Object.entries(activityData.eventAnalysis.eventCounts)
+    .sort((a, b) => b[1] - a[1]);
+  for (const [type, count] of sortedCounts) {
+    activity[EVENT_DESCRIPTIONS[type] || type] = count;
+  }
+
+  return {
+    name: summaryData.displayName,
+    isOrganization: Boolean(summaryData.isOrganization),
+    topContributors: (summaryData.topContributors || []).map(contributor => contributor.login),
+    primaryLanguage: summaryData.primaryLanguage,
+    languages: summaryData.languages,
+    activity,
+    activityHighlights: summaryData.activityHighlights,
+    notablePatterns: summaryData.notablePatterns,
+    achievements: summaryData.achievements,
+    recentProjects: summaryData.recentProjects,
+    stats: summaryData.stats,
+    ruleBasedSummary: summaryData.summary,
+  };
+}
+
 /**
  * Extracts recent project information from events
  * @param {Array} events - GitHub events
+ * @param {Object} privacyFilters - Details to hide or redact (see privacy.js)
  * @returns {Array} Recent projects with descriptions
  */
-function extractRecentProjects(events) {
+function extractRecentProjects(events, privacyFilters) {
   const projectMap = new Map();
 
   for (const event of events) {
@@ -161,16 +537,24 @@ function extractRecentProjects(events) {
       lastActive: event.created_at,
     };
 
-    // Extract additional context from payload
-    if (event.type === 'PushEvent' && event.payload?.commits) {
-      const commitCount = event.payload.commits.length;
-      project.detail = `${commitCount} commit${commitCount > 1 ? 's' : ''}`;
-    } else if (event.type === 'PullRequestEvent' && event.payload?.pull_request) {
-      project.detail = event.payload.pull_request.title;
-    } else if (event.type === 'IssuesEvent' && event.payload?.issue) {
-      project.detail = event.payload.issue.title;
+    // Extract additional context from the payload and what the event did
+    const record = normalizeEvent(event);
+    const title = event.payload?.pull_request?.title ?? event.payload?.issue?.title;
+    let detail;
+    if (record?.type === 'commits_pushed' && record.count > 0) {
+      detail = pluralize(record.count, 'commit');
+    } else if (record?.type === 'pr_merged' && title) {
+      detail = `Merged: ${title}`;
+    } else if ((event.type === 'PullRequestEvent' || event.type === 'IssuesEvent') && title) {
+      detail = title;
     } else if (event.type === 'CreateEvent' && event.payload?.ref_type) {
-      project.detail = `Created ${event.payload.ref_type}`;
+      detail = `Created ${event.payload.ref_type}`;
+    }
+
+    // Hidden and redacted details never reach the card
+    detail = applyDetailPrivacy(event.type, detail, privacyFilters);
+    if (detail !== undefined) {
+      project.detail = detail;
     }
 
     projectMap.set(repoName, project);
@@ -192,7 +576,11 @@ function generateHumanReadableSummary(data) {
     activityHighlights,
     primaryLanguage,
     recentProjects,
+    eventAnalysis,
     contributionStats,
+    activityCounts,
+    commitFocus,
+    unusualActivity = [],
   } = data;
 
   const lines = [];
@@ -211,20 +599,56 @@ function generateHumanReadableSummary(data) {
     lines.push(`They are ${schedulePattern.description}.`);
   }
 
-  // Streak
-  const streakPattern = notablePatterns.find(p => p.type === 'streak');
-  if (streakPattern) {
-    if (streakPattern.severity === 'exceptional') {
-      lines.push(`Impressively, they've maintained a ${streakPattern.description}!`);
+  // Streaks
+  for (const streakPattern of notablePatterns.filter(p => p.type === 'streak')) {
+    // "an 8-day", "an 11-day", "an 18-day"
+    const article = /^(8|11-|18-)/.test(streakPattern.description) ? 'an' : 'a';
+    if (streakPattern.streakType === 'longest') {
+      const ended = streakPattern.end ? `, ending ${formatDate(streakPattern.end)}` : '';
+      lines.push(`Their longest run was ${article} ${streakPattern.description}${ended}.`);
+    } else if (streakPattern.severity === 'exceptional') {
+      lines.push(`Impressively, they're currently on ${article} ${streakPattern.description}!`);
     } else {
-      lines.push(`They've been on a ${streakPattern.description}.`);
+      lines.push(`They're currently on ${article} ${streakPattern.description}.`);
     }
   }
 
   // Recent focus
   if (recentProjects.length > 0) {
     const projectNames = recentProjects.slice(0, 3).map(p => p.name).join(', ');
-    lines.push(`Recently active on: ${projectNames}.`);
+    if (eventAnalysis.window) {
+      lines.push(`Active in the last ${formatWindow(eventAnalysis.window)} on: ${projectNames}.`);
+    } else {
+      lines.push(`Recently active on: ${projectNames}.`);
+    }
+  }
+
+  // Recent output
+  const workParts = [];
+  if (activityCounts?.commits_pushed > 0) {
+    workParts.push(`${pluralize(activityCounts.commits_pushed, 'commit')} pushed`);
+  }
+  if (activityCounts?.pr_merged > 0) {
+    workParts.push(`${pluralize(activityCounts.pr_merged, 'pull request')} merged`);
+  }
+  const reviews = activityCounts ? countReviews(activityCounts) : 0;
+  if (reviews > 0) {
+    workParts.push(pluralize(reviews, 'code review'));
+  }
+  if (activityCounts?.release_published > 0) {
+    workParts.push(`${pluralize(activityCounts.release_published, 'release')} published`);
+  }
+  if (workParts.length > 0) {
+    lines.push(`Recent work: ${formatList(workParts)}.`);
+  }
+  if (commitFocus) {
+    lines.push(`${commitFocus}.`);
+  }
+
+  // Unusual activity, the more severe findings first
+  const unusual = unusualActivity.filter(finding => finding.severity !== 'info').slice(0, 3);
+  if (unusual.length > 0) {
+    lines.push(`Lately: ${unusual.map(finding => finding.message).join('; ')}.`);
   }
 
   // Achievements
@@ -233,7 +657,8 @@ function generateHumanReadableSummary(data) {
   }
 
   // Stats summary
-  if (contributionStats.totalRepos > 0 || contributionStats.totalStars > 0) {
+  const totalContributions = eventAnalysis.contributionTotals?.contributions || 0;
+  if (contributionStats.totalRepos > 0 || contributionStats.totalStars > 0 || totalContributions > 0) {
     const statParts = [];
     if (contributionStats.totalRepos > 0) {
       statParts.push(`${contributionStats.totalRepos} repositories`);
@@ -241,12 +666,239 @@ function generateHumanReadableSummary(data) {
     if (contributionStats.totalStars > 0) {
       statParts.push(`${contributionStats.totalStars} stars earned`);
     }
+    if (totalContributions > 0) {
+      statParts.push(`${totalContributions} contributions`);
+    }
+    lines.push(`Stats: ${statParts.join(', ')}.`);
+  }
+
+  return lines.join(' ');
+}
+
+/**
+ * Generates human-readable summary text for an organization
+ * @param {Object} data - Processed organization data
+ * @returns {string} Human-readable summary
+ */
+function generateOrgSummaryText(data) {
+  const { profile, primaryLanguage, topContributors, achievements, eventAnalysis, stats } = data;
+
+  const lines = [];
+
+  const name = profile.name || profile.login;
+  if (primaryLanguage) {
+    lines.push(`${name} is an organization working primarily in ${primaryLanguage}.`);
+  } else {
+    lines.push(`${name} is an organization on GitHub.`);
+  }
+
+  // "The team shipped 4 releases across 12 repos this week."
+  if (stats.activeRepos > 0) {
+    const work = [];
+    if (stats.releases > 0) {
+      work.push(`shipped ${pluralize(stats.releases, 'release')}`);
+    }
+    if (stats.mergedPullRequests > 0) {
+      work.push(`merged ${pluralize(stats.mergedPullRequests, 'pull request')}`);
+    }
+    const activity = work.length > 0 ? work.join(' and ') : 'was active';
+    lines.push(`The team ${activity} across ${pluralize(stats.activeRepos, 'repo')} ${formatPeriod(eventAnalysis.window)}.`);
+  }
+
+  if (topContributors.length > 0) {
+    lines.push(`Most active: ${formatList(topContributors.slice(0, 3).map(contributor => contributor.login))}.`);
+  }
+
+  if (achievements.length > 0) {
+    lines.push(`Notable: ${achievements.join(', ')}.`);
+  }
+
+  const statParts = [];
+  if (stats.totalRepos > 0) {
+    statParts.push(`${stats.totalRepos} public repositories`);
+  }
+  if (stats.totalStars > 0) {
+    statParts.push(`${stats.totalStars} stars earned`);
+  }
+  if (stats.members > 0) {
+    statParts.push(`${stats.members} public members`);
+  }
+  if (statParts.length > 0) {
     lines.push(`Stats: ${statParts.join(', ')}.`);
   }
 
   return lines.join(' ');
 }
 
+/**
+ * Generates human-readable summary text for a repository
+ * @param {Object} data - Processed repository data
+ * @returns {string} Human-readable summary
+ */
+function generateRepoSummaryText(data) {
+  const { repo, primaryLanguage, topContributors, eventAnalysis, stats } = data;
+
+  const lines = [];
+
+  if (primaryLanguage) {
+    lines.push(`${repo.full_name} is written mostly in ${primaryLanguage}.`);
+  }
+
+  // "42 commits, 5 merged pull requests and 2 releases in the last 30 days."
+  const work = [];
+  if (stats.commits > 0) {
+    work.push(pluralize(stats.commits, 'commit'));
+  }
+  if (stats.mergedPullRequests > 0) {
+    work.push(pluralize(stats.mergedPullRequests, 'merged pull request'));
+  }
+  if (stats.releases > 0) {
+    work.push(pluralize(stats.releases, 'release'));
+  }
+  if (work.length > 0) {
+    lines.push(`${formatList(work)} ${formatPeriod(eventAnalysis.window)}.`);
+  } else {
+    lines.push(`No commits, merged pull requests or releases ${formatPeriod(eventAnalysis.window)}.`);
+  }
+
+  if (stats.openedIssues > 0 || stats.closedIssues > 0) {
+    lines.push(`${pluralize(stats.openedIssues, 'issue')} opened and ${stats.closedIssues} closed.`);
+  }
+
+  if (topContributors.length > 0) {
+    lines.push(`Most active: ${formatList(topContributors.slice(0, 3).map(contributor => contributor.login))}.`);
+  }
+
+  lines.push(`Stats: ${pluralize(stats.totalStars, 'star')}, ${pluralize(stats.forks, 'fork')}, ${pluralize(stats.openIssues, 'open issue')}.`);
+
+  return lines.join(' ');
+}
+
+/**
+ * Describes the repository whose weekly commits grew the most
+ * @param {Array} commitTrends - Commit trends from fetchCommitTrends
+ * @returns {string|null} Highlight, or null if no repository is on the rise
+ */
+function describeRisingRepo(commitTrends) {
+  const risingRepo = commitTrends
+    .filter(trend => trend.trend === 'up')
+    .sort((a, b) => b.recent - a.recent)[0];
+  if (!risingRepo) return null;
+
+  const repoName = risingRepo.repo.split('/')[1] || risingRepo.repo;
+  return risingRepo.change !== null
+    ? `Commits to "${repoName}" up ${risingRepo.change}% over the last 4 weeks`
+    : `Picked "${repoName}" back up in the last 4 weeks`;
+}
+
+/**
+ * Describes what the commits of the busiest repositories were about,
+ * e.g. 'Mostly fixing bugs in "api" (auth, tokens), also adding features to "web"'
+ * @param {Object} commitAnalysis - Analysis from analyzeCommits
+ * @returns {string|null} Description, or null if no commit could be classified
+ */
+function describeCommitFocus(commitAnalysis) {
+  const [main, second] = commitAnalysis.repos.filter(repo => repo.dominantType);
+  if (!main) return null;
+
+  const repoName = repo => repo.repo.split('/')[1] || repo.repo;
+  const topics = main.topics.length > 0 ? ` (${main.topics.slice(0, 2).join(', ')})` : '';
+  const description = main.share >= 0.5
+    ? `Mostly ${COMMIT_FOCUS_PHRASES[main.dominantType]} "${repoName(main)}"${topics}`
+    : `A mix of work on "${repoName(main)}"${topics}`;
+
+  return second
+    ? `${description}, also ${COMMIT_FOCUS_PHRASES[second.dominantType]} "${repoName(second)}"`
+    : description;
+}
+
+/**
+ * Reads current and longest streaks from an event analysis
+ * Analyses without the split streaks only carry `activityStreak`, which is used for both
+ * @param {Object} eventAnalysis - Event analysis from analyzeEvents
+ * @returns {Object} { currentStreak, longestStreak }, each { days, start, end }
+ */
+function getStreaks(eventAnalysis) {
+  const legacy = { days: eventAnalysis.activityStreak || 0, start: null, end: null };
+  return {
+    currentStreak: eventAnalysis.currentStreak || legacy,
+    longestStreak: eventAnalysis.longestStreak || legacy,
+  };
+}
+
+/**
+ * Formats a YYYY-MM-DD date as "Jan 5, 2024"
+ * @param {string} date - Date string
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
+  });
+}
+
+/**
+ * Formats the length of an activity window ("day" or "30 days")
+ * @param {Object} window - Activity window from analyzeEvents
+ * @returns {string} Window description
+ */
+function formatWindow(window) {
+  return window.days === 1 ? 'day' : `${window.days} days`;
+}
+
+/**
+ * Describes the period of an activity window ("this week", "in the last 30 days")
+ * @param {Object} window - Activity window from analyzeEvents
+ * @returns {string} Period description
+ */
+function formatPeriod(window) {
+  if (!window) return 'recently';
+  if (window.days === 7) return 'this week';
+  return `in the last ${formatWindow(window)}`;
+}
+
+/**
+ * Formats a count with a singular or plural noun ("1 release", "4 releases")
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Formatted count
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Joins names into an English list ("a, b and c")
+ * @param {Array<string>} items - Items
+ * @returns {string} List
+ */
+function formatList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+/**
+ * Builds the language breakdown, sorted by share
+ * @param {Object} contributionStats - Contribution stats (languages holds the weight per language)
+ * @returns {Array} Languages: [{ name, bytes, percentage, color, kind }]
+ */
+function buildLanguageBreakdown(contributionStats) {
+  const entries = Object.entries(contributionStats.languages || {})
+    .sort((a, b) => b[1] - a[1]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  return entries.map(([name, weight]) => ({
+    name,
+    bytes: contributionStats.languageBytes?.[name] ?? weight,
+    percentage: total > 0 ? Math.round((weight / total) * 1000) / 10 : 0,
+    color: getLanguageColor(name),
+    kind: getLanguageKind(name),
+  }));
+}
+
 /**
  * Generates a short one-line description
  * @param {Object} activityData - Activity data
@@ -259,8 +911,9 @@ export function generateShortSummary(activityData) {
   const primaryLanguage = Object.entries(contributionStats.languages)
     .sort((a, b) => b[1] - a[1])[0]?.[0];
 
-  if (primaryLanguage && eventAnalysis.activityStreak >= 7) {
-    return `${name}: ${primaryLanguage} developer on a ${eventAnalysis.activityStreak}-day streak`;
+  const { currentStreak } = getStreaks(eventAnalysis);
+  if (primaryLanguage && currentStreak.days >= 7) {
+    return `${name}: ${primaryLanguage} developer on a ${currentStreak.days}-day streak`;
   } else if (primaryLanguage) {
     return `${name}: Active ${primaryLanguage} developer`;
   } else {
@@ -270,5 +923,10 @@ export function generateShortSummary(activityData) {
 
 export default {
   generateActivitySummary,
+  summarizeActivity,
+  generateOrgActivitySummary,
+  summarizeOrgActivity,
+  generateRepoActivitySummary,
+  summarizeRepoActivity,
   generateShortSummary,
 };
@@ -0,0 +1,445 @@
+/**
+ * Cache Module
+ * Pluggable cache stores (memory LRU, filesystem, Redis protocol) with
+ * per-kind TTLs and stale-while-revalidate loading
+ *
+ * A store is an object with async `get(key)`, `set(key, entry, ttlMs)` and
+ * `delete(key)` methods. Entries are JSON-serializable objects; stores drop
+ * them once `ttlMs` has passed.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * Default freshness per kind of data, in milliseconds
+ */
+export const DEFAULT_TTLS = {
+  profile: 24 * HOUR,
+  repos: 6 * HOUR,
+  contributions: 6 * HOUR,
+  stats: 6 * HOUR,
+  events: 30 * MINUTE,
+  summary: 4 * HOUR,
+};
+
+/**
+ * Default size limit of the memory store configured from the environment, in megabytes
+ * Event histories alone can take over a megabyte per user
+ */
+const DEFAULT_MAX_SIZE_MB = 200;
+
+/**
+ * How long stale data may still be served while it is refreshed in the background
+ */
+const DEFAULT_STALE_TTL = 24 * HOUR;
+
+/**
+ * Creates an in-memory LRU store
+ * @param {Object} options - Options
+ * @param {number} options.maxEntries - Maximum number of entries before the least recently used is evicted
+ * @param {number} options.maxSize - Maximum total size of the entries as JSON, in bytes; larger entries are not stored
+ * @returns {Object} Cache store
+ */
+export function createMemoryStore(options = {}) {
+  const { maxEntries = 1000, maxSize = Infinity } = options;
+  const entries = new Map();
+  let totalSize = 0;
+
+  const remove = key => {
+    const item = entries.get(key);
+    if (!item) return;
+    totalSize -= item.size;
+    entries.delete(key);
+  };
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) return undefined;
+
+      if (Date.now() >= item.expiresAt) {
+        remove(key);
+        return undefined;
+      }
+
+      // Re-insert to mark as most recently used
+      entries.delete(key);
+      entries.set(key, item);
+      return item.entry;
+    },
+
+    async set(key, entry, ttlMs) {
+      remove(key);
+
+      const size = maxSize === Infinity ? 0 : Buffer.byteLength(JSON.stringify(entry) ?? '');
+      if (size > maxSize) return;
+
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs, size });
+      totalSize += size;
+
+      while (entries.size > maxEntries || totalSize > maxSize) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Creates a filesystem store keeping one JSON file per key
+ * Survives restarts as long as the directory does (e.g. a mounted volume or /tmp on warm lambdas)
+ * @param {Object} options - Options
+ * @param {string} options.directory - Directory for cache files
+ * @returns {Object} Cache store
+ */
+export function createFileStore(options = {}) {
+  const { directory = path.join(os.tmpdir(), 'github-activity-cache') } = options;
+
+  const keyToPath = key => path.join(
+    directory,
+    `${crypto.createHash('sha256').update(key).digest('hex')}.json`
+  );
+
+  return {
+    async get(key) {
+      const filePath = keyToPath(key);
+      let item;
+      try {
+        item = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT' || error instanceof SyntaxError) return undefined;
+        throw error;
+      }
+
+      if (Date.now() >= item.expiresAt) {
+        await fs.rm(filePath, { force: true });
+        return undefined;
+      }
+      return item.entry;
+    },
+
+    async set(key, entry, ttlMs) {
+      const filePath = keyToPath(key);
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(tempPath, JSON.stringify({ key, expiresAt: Date.now() + ttlMs, entry }));
+      // Rename is atomic, so readers never see a partially written file
+      await fs.rename(tempPath, filePath);
+    },
+
+    async delete(key) {
+      await fs.rm(keyToPath(key), { force: true });
+    },
+  };
+}
+
+/**
+ * Encodes a command in the Redis serialization protocol (RESP)
+ * @param {Array<string>} args - Command and arguments
+ * @returns {string} Encoded command
+ */
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    command += `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * Parses one RESP reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Offset to start parsing at
+ * @returns {Object|null} { value, error, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { error: new Error(`Redis error: ${line}`), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+      const values = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        values.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: values, offset: cursor };
+    }
+    default:
+      return { error: new Error(`Unexpected Redis reply type: ${type}`), offset: buffer.length };
+  }
+}
+
+/**
+ * Creates a store backed by any server speaking the Redis protocol
+ * (Redis, Valkey, KeyDB, Dragonfly, ...)
+ * @param {Object} options - Options
+ * @param {string} options.url - Server URL, e.g. redis://:password@localhost:6379/0
+ * @param {string} options.prefix - Prefix for all keys
+ * @param {number} options.timeout - Connection and command timeout in milliseconds
+ * @returns {Object} Cache store
+ */
+export function createRedisStore(options = {}) {
+  const {
+    url = 'redis://127.0.0.1:6379',
+    prefix = 'github-activity:',
+    timeout = 5000,
+  } = options;
+
+  const target = new URL(url);
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  function failAll(error) {
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  }
+
+  function connect() {
+    socket = net.createConnection({
+      host: target.hostname || '127.0.0.1',
+      port: parseInt(target.port) || 6379,
+    });
+    socket.setTimeout(timeout);
+    // Don't keep the process alive just for the cache connection
+    socket.unref();
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while (buffer.length > 0 && (reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        const request = pending.shift();
+        if (!request) continue;
+        if (reply.error) {
+          request.reject(reply.error);
+        } else {
+          request.resolve(reply.value);
+        }
+      }
+    });
+    socket.on('timeout', () => socket?.destroy(new Error('Redis connection timed out')));
+    socket.on('error', failAll);
+    socket.on('close', () => {
+      failAll(new Error('Redis connection closed'));
+      socket = null;
+      buffer = Buffer.alloc(0);
+    });
+
+    // Commands are pipelined, so authentication and database selection go first
+    const password = decodeURIComponent(target.password || '');
+    const username = decodeURIComponent(target.username || '');
+    if (password) {
+      sendCommand(username ? ['AUTH', username, password] : ['AUTH', password]).catch(() => {});
+    }
+    const database = target.pathname.replace('/', '');
+    if (database) {
+      sendCommand(['SELECT', database]).catch(() => {});
+    }
+  }
+
+  function sendCommand(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  function command(args) {
+    if (!socket) connect();
+    return sendCommand(args);
+  }
+
+  return {
+    async get(key) {
+      const raw = await command(['GET', prefix + key]);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, entry, ttlMs) {
+      await command(['SET', prefix + key, JSON.stringify(entry), 'PX', String(Math.max(1, Math.ceil(ttlMs)))]);
+    },
+
+    async delete(key) {
+      await command(['DEL', prefix + key]);
+    },
+
+    async close() {
+      if (socket) {
+        socket.end();
+        socket = null;
+      }
+    },
+  };
+}
+
+/**
+ * Creates a cache with per-kind TTLs and stale-while-revalidate loading
+ * @param {Object} options - Options
+ * @param {Object} options.store - Cache store (defaults to a memory store)
+ * @param {Object} options.ttl - Freshness per kind in milliseconds, merged with DEFAULT_TTLS
+ * @param {number} options.staleTtl - How long stale data may be served while refreshing (0 disables)
+ * @returns {Object} Cache with a getOrLoad(kind, key, loader) method
+ */
+export function createCache(options = {}) {
+  const {
+    store = createMemoryStore(),
+    ttl = {},
+    staleTtl = DEFAULT_STALE_TTL,
+  } = options;
+
+  const ttls = { ...DEFAULT_TTLS, ...ttl };
+  const loading = new Map();
+
+  /**
+   * Runs the loader and stores its result, sharing one in-flight load per key
+   */
+  function load(cacheKey, kind, loader) {
+    if (loading.has(cacheKey)) {
+      return loading.get(cacheKey);
+    }
+
+    const promise = (async () => {
+      const value = await loader();
+      const freshFor = ttls[kind] ?? HOUR;
+      try {
+        await store.set(cacheKey, { value, freshUntil: Date.now() + freshFor }, freshFor + staleTtl);
+      } catch (error) {
+        console.warn(`Cache write failed for "${cacheKey}":`, error.message);
+      }
+      return value;
+    })().finally(() => loading.delete(cacheKey));
+
+    loading.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Returns cached data, loading it when missing
+   * Stale data is returned immediately while fresh data loads in the background
+   * @param {string} kind - Kind of data (profile, events, repos, contributions, stats, summary)
+   * @param {string} key - Key within the kind
+   * @param {Function} loader - Async function loading fresh data
+   * @returns {Promise<*>} Cached or freshly loaded data
+   */
+  async function getOrLoad(kind, key, loader) {
+    const cacheKey = `${kind}:${key}`;
+
+    let entry;
+    try {
+      entry = await store.get(cacheKey);
+    } catch (error) {
+      console.warn(`Cache read failed for "${cacheKey}":`, error.message);
+    }
+
+    if (entry) {
+      if (Date.now() >= entry.freshUntil) {
+        load(cacheKey, kind, loader).catch(error => {
+          console.warn(`Background refresh failed for "${cacheKey}":`, error.message);
+        });
+      }
+      return entry.value;
+    }
+
+    return load(cacheKey, kind, loader);
+  }
+
+  return {
+    store,
+    getOrLoad,
+  };
+}
+
+/**
+ * Creates the cache configured through environment variables
+ *
+ *   CACHE_STORE        memory (default), file or redis
+ *   CACHE_MAX_ENTRIES  maximum entries of the memory store
+ *   CACHE_MAX_SIZE     maximum size of the memory store in megabytes
+ *   CACHE_DIR          directory of the file store
+ *   REDIS_URL          URL of the Redis-protocol server
+ *   CACHE_TTL_<KIND>   freshness in seconds per kind, e.g. CACHE_TTL_EVENTS=600
+ *   CACHE_STALE_TTL    seconds stale data may be served while refreshing
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} Cache
+ */
+export function createCacheFromEnv(env = process.env) {
+  let store;
+  switch (env.CACHE_STORE) {
+    case 'file':
+      store = createFileStore({ directory: env.CACHE_DIR });
+      break;
+    case 'redis':
+      store = createRedisStore({ url: env.REDIS_URL });
+      break;
+    default:
+      store = createMemoryStore({
+        maxEntries: parseInt(env.CACHE_MAX_ENTRIES) || 1000,
+        maxSize: (parseInt(env.CACHE_MAX_SIZE) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024,
+      });
+  }
+
+  const ttl = {};
+  for (const kind of Object.keys(DEFAULT_TTLS)) {
+    const seconds = parseInt(env[`CACHE_TTL_${kind.toUpperCase()}`]);
+    if (seconds >= 0) {
+      ttl[kind] = seconds * 1000;
+    }
+  }
+
+  const staleSeconds = parseInt(env.CACHE_STALE_TTL);
+
+  return createCache({
+    store,
+    ttl,
+    staleTtl: staleSeconds >= 0 ? staleSeconds * 1000 : DEFAULT_STALE_TTL,
+  });
+}
+
+export default {
+  DEFAULT_TTLS,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createCache,
+  createCacheFromEnv,
+};
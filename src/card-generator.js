@@ -4,6 +4,8 @@
  */
 
 import themes from '../themes/index.js';
+import { getLanguageColor, DEFAULT_LANGUAGE_COLOR } from './language-metadata.js';
+import { getLocalDateParts } from './timezone.js';
 
 /**
  * Escapes HTML/XML special characters
@@ -46,6 +48,57 @@ function wrapText(text, maxChars = 50) {
   return lines;
 }
 
+/**
+ * Picks the streak shown on a card
+ * Summaries without the split streaks only carry `activityStreak`
+ * @param {Object} stats - Summary stats
+ * @param {string} streak - Which streak to show: 'current' or 'longest'
+ * @returns {Object} Label, short label and number of days
+ */
+function getStreakStat(stats, streak) {
+  if (streak === 'longest') {
+    return {
+      label: 'Longest Streak',
+      shortLabel: 'Longest',
+      days: stats?.longestStreak ?? stats?.activityStreak ?? 0,
+    };
+  }
+  return {
+    label: 'Current Streak',
+    shortLabel: 'Streak',
+    days: stats?.currentStreak ?? stats?.activityStreak ?? 0,
+  };
+}
+
+/**
+ * Describes the work behind the events, e.g. "42 commits · 3 PRs merged · 5 reviews"
+ * @param {Object} stats - Summary stats
+ * @returns {string} Breakdown, or an empty string when there is nothing to show
+ */
+function formatWorkBreakdown(stats) {
+  const items = [
+    [stats?.commits, 'commit', 'commits'],
+    [stats?.mergedPullRequests, 'PR merged', 'PRs merged'],
+    [stats?.reviews, 'review', 'reviews'],
+    [stats?.closedIssues, 'issue closed', 'issues closed'],
+  ];
+
+  return items
+    .filter(([count]) => count > 0)
+    .map(([count, singular, plural]) => `${count} ${count === 1 ? singular : plural}`)
+    .join(' · ');
+}
+
+/**
+ * Formats a count with a regular singular or plural noun, e.g. "1 fork"
+ * @param {number} count - Count
+ * @param {string} noun - Singular noun
+ * @returns {string} Formatted count
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
 /**
  * Generates the main activity card SVG
  * @param {Object} summaryData - Data from generateActivitySummary
@@ -61,6 +114,7 @@ export function generateActivityCard(summaryData, options = {}) {
     locale = 'en',
     hideStats = false,
     hideProjects = false,
+    streak = 'current',
   } = options;
 
   const themeConfig = themes[theme] || themes.default;
@@ -77,10 +131,12 @@ export function generateActivityCard(summaryData, options = {}) {
     displayName,
     summary,
     stats,
+    activityWindow,
     recentProjects,
     primaryLanguage,
     languages,
     achievements,
+    topContributors,
   } = summaryData;
 
   // Calculate dynamic height based on content
@@ -91,8 +147,10 @@ export function generateActivityCard(summaryData, options = {}) {
   height += summaryLines.length * 18 + 20;
 
   // Add height for stats section
+  const workBreakdown = formatWorkBreakdown(stats);
   if (!hideStats) {
     height += 50;
+    if (workBreakdown) height += 18;
   }
 
   // Add height for projects section
@@ -100,6 +158,11 @@ export function generateActivityCard(summaryData, options = {}) {
     height += 30 + Math.min(recentProjects.length, 3) * 22;
   }
 
+  // Add height for top contributors (organizations)
+  if (!hideProjects && topContributors && topContributors.length > 0) {
+    height += 50;
+  }
+
   // Add height for achievements
   if (achievements && achievements.length > 0) {
     height += 40;
@@ -179,11 +242,17 @@ export function generateActivityCard(summaryData, options = {}) {
 `;
     yOffset += 20;
 
+    const streakStat = getStreakStat(stats, streak);
     const statsItems = [
       { label: 'Repositories', value: stats.totalRepos || 0 },
       { label: 'Stars', value: stats.totalStars || 0 },
-      { label: 'Activity Streak', value: `${stats.activityStreak || 0} days` },
-      { label: 'Recent Events', value: stats.totalEvents || 0 },
+      summaryData.isOrganization
+        ? { label: 'Releases', value: stats.releases || 0 }
+        : { label: streakStat.label, value: `${streakStat.days} days` },
+      {
+        label: activityWindow ? `Events (${activityWindow.days}d)` : 'Recent Events',
+        value: stats.totalEvents || 0,
+      },
     ];
 
     let statX = 25;
@@ -197,6 +266,13 @@ export function generateActivityCard(summaryData, options = {}) {
       statX += 105;
     }
     yOffset += 40;
+
+    if (workBreakdown) {
+      svg += `
+  <text x="25" y="${yOffset}" class="stat-label">${escapeHtml(workBreakdown)}</text>
+`;
+      yOffset += 18;
+    }
   }
 
   // Recent projects section
@@ -223,6 +299,27 @@ export function generateActivityCard(summaryData, options = {}) {
     }
   }
 
+  // Top contributors section (organizations)
+  if (!hideProjects && topContributors && topContributors.length > 0) {
+    svg += `
+  <g transform="translate(25, ${yOffset})">
+    <text class="section-title">Top Contributors</text>
+  </g>
+`;
+    yOffset += 20;
+
+    const contributorLine = topContributors
+      .slice(0, 4)
+      .map(contributor => `${contributor.login} (${contributor.events})`)
+      .join(' · ');
+    svg += `
+  <g transform="translate(25, ${yOffset})">
+    <text class="project-detail">${escapeHtml(contributorLine)}</text>
+  </g>
+`;
+    yOffset += 30;
+  }
+
   // Achievements section
   if (achievements && achievements.length > 0) {
     yOffset += 10;
@@ -260,6 +357,7 @@ export function generateCompactCard(summaryData, options = {}) {
     width = 350,
     showBorder = true,
     borderRadius = 4.5,
+    streak = 'current',
   } = options;
 
   const themeConfig = themes[theme] || themes.default;
@@ -272,6 +370,7 @@ export function generateCompactCard(summaryData, options = {}) {
   } = themeConfig;
 
   const { displayName, primaryLanguage, stats } = summaryData;
+  const streakStat = getStreakStat(stats, streak);
   const height = 80;
 
   const borderStyle = showBorder
@@ -298,7 +397,7 @@ export function generateCompactCard(summaryData, options = {}) {
   <g transform="translate(15, 50)">
     <text class="stat">Repos: <tspan class="value">${stats?.totalRepos || 0}</tspan></text>
     <text x="80" class="stat">Stars: <tspan class="value">${stats?.totalStars || 0}</tspan></text>
-    <text x="150" class="stat">Streak: <tspan class="value">${stats?.activityStreak || 0}d</tspan></text>
+    <text x="150" class="stat">${streakStat.shortLabel}: <tspan class="value">${streakStat.days}d</tspan></text>
     <text x="230" class="stat">Events: <tspan class="value">${stats?.totalEvents || 0}</tspan></text>
   </g>
 </svg>
@@ -306,9 +405,107 @@ export function generateCompactCard(summaryData, options = {}) {
 }
 
 /**
- * Generates a languages card showing language distribution
+ * Layouts of the languages card
+ */
+const LANGUAGE_LAYOUTS = ['compact', 'normal', 'donut', 'pie'];
+
+/**
+ * Gets the language breakdown of a summary
+ * Falls back to `[name, size]` tuples in `languages`, as passed by older callers
  * @param {Object} summaryData - Summary data
+ * @returns {Array} Languages: [{ name, percentage, color }], sorted by share
+ */
+function getLanguageBreakdown(summaryData) {
+  if (Array.isArray(summaryData.languageBreakdown)) {
+    return summaryData.languageBreakdown;
+  }
+
+  const tuples = (summaryData.languages || []).filter(Array.isArray);
+  const total = tuples.reduce((sum, [, size]) => sum + size, 0);
+  return [...tuples]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, size]) => ({
+      name,
+      bytes: size,
+      percentage: total > 0 ? (size / total) * 100 : 0,
+      color: getLanguageColor(name),
+    }));
+}
+
+/**
+ * Renders a legend entry (color dot, name and percentage)
+ * @param {Object} lang - Language
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @returns {string} SVG fragment
+ */
+function renderLanguageLabel(lang, x, y) {
+  return `
+  <g transform="translate(${x}, ${y})">
+    <circle cx="4" cy="5" r="4" fill="${lang.color}"/>
+    <text x="12" y="9" class="lang-name">${escapeHtml(lang.name)} <tspan class="lang-percent">${lang.percentage.toFixed(1)}%</tspan></text>
+  </g>
+`;
+}
+
+/**
+ * Renders a pie or donut chart
+ * @param {Array} items - Languages with percentages
+ * @param {Object} geometry - { cx, cy, radius, donut }
+ * @returns {string} SVG fragment
+ */
+function renderLanguageChart(items, { cx, cy, radius, donut }) {
+  const total = items.reduce((sum, lang) => sum + lang.percentage, 0) || 1;
+
+  if (donut) {
+    // Each segment is a dashed stroke of the same circle, offset by the segments before it
+    const strokeWidth = radius * 0.4;
+    const r = radius - strokeWidth / 2;
+    const circumference = 2 * Math.PI * r;
+    let offset = 0;
+
+    return items.map(lang => {
+      const length = (lang.percentage / total) * circumference;
+      const segment = `
+  <circle cx="${cx}" cy="${cy}" r="${r.toFixed(2)}" fill="none" stroke="${lang.color}" stroke-width="${strokeWidth.toFixed(2)}"
+          stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"
+          transform="rotate(-90 ${cx} ${cy})"><title>${escapeHtml(lang.name)}: ${lang.percentage.toFixed(1)}%</title></circle>
+`;
+      offset += length;
+      return segment;
+    }).join('');
+  }
+
+  if (items.length === 1) {
+    return `
+  <circle cx="${cx}" cy="${cy}" r="${radius}" fill="${items[0].color}"><title>${escapeHtml(items[0].name)}: ${items[0].percentage.toFixed(1)}%</title></circle>
+`;
+  }
+
+  const point = angle => [
+    (cx + radius * Math.sin(angle)).toFixed(2),
+    (cy - radius * Math.cos(angle)).toFixed(2),
+  ];
+  let angle = 0;
+
+  return items.map(lang => {
+    const sweep = (lang.percentage / total) * 2 * Math.PI;
+    const [x0, y0] = point(angle);
+    const [x1, y1] = point(angle + sweep);
+    const largeArc = sweep > Math.PI ? 1 : 0;
+    angle += sweep;
+    return `
+  <path d="M ${cx} ${cy} L ${x0} ${y0} A ${radius} ${radius} 0 ${largeArc} 1 ${x1} ${y1} Z" fill="${lang.color}"><title>${escapeHtml(lang.name)}: ${lang.percentage.toFixed(1)}%</title></path>
+`;
+  }).join('');
+}
+
+/**
+ * Generates a languages card showing language distribution
+ * @param {Object} summaryData - Summary data (uses languageBreakdown)
  * @param {Object} options - Options
+ * @param {string} options.layout - 'compact' (stacked bar), 'normal' (bar per language), 'donut' or 'pie'
+ * @param {number} options.langsCount - Number of languages to show (1-10); the rest are grouped as "Other"
  * @returns {string} SVG string
  */
 export function generateLanguagesCard(summaryData, options = {}) {
@@ -317,7 +514,8 @@ export function generateLanguagesCard(summaryData, options = {}) {
     width = 300,
     showBorder = true,
     borderRadius = 4.5,
-    layout = 'compact', // 'compact', 'normal', 'donut'
+    layout: layoutOption = 'compact',
+    langsCount = 5,
   } = options;
 
   const themeConfig = themes[theme] || themes.default;
@@ -328,46 +526,87 @@ export function generateLanguagesCard(summaryData, options = {}) {
     text: textColor,
   } = themeConfig;
 
-  const { displayName, languages } = summaryData;
-
-  // Language colors (subset of common languages)
-  const languageColors = {
-    JavaScript: '#f1e05a',
-    TypeScript: '#2b7489',
-    Python: '#3572A5',
-    Java: '#b07219',
-    Go: '#00ADD8',
-    Rust: '#dea584',
-    Ruby: '#701516',
-    PHP: '#4F5D95',
-    'C++': '#f34b7d',
-    C: '#555555',
-    'C#': '#178600',
-    Swift: '#ffac45',
-    Kotlin: '#F18E33',
-    Scala: '#c22d40',
-    Shell: '#89e051',
-    HTML: '#e34c26',
-    CSS: '#563d7c',
-    Vue: '#41b883',
-    Dart: '#00B4AB',
-    Elixir: '#6e4a7e',
-  };
+  const layout = LANGUAGE_LAYOUTS.includes(layoutOption) ? layoutOption : 'compact';
+  const count = Math.max(1, Math.min(parseInt(langsCount) || 5, 10));
+
+  const breakdown = getLanguageBreakdown(summaryData);
+  const languageData = breakdown.slice(0, count);
+  const otherPercentage = breakdown.slice(count).reduce((sum, lang) => sum + lang.percentage, 0);
+  if (otherPercentage >= 0.05) {
+    languageData.push({ name: 'Other', percentage: otherPercentage, color: DEFAULT_LANGUAGE_COLOR });
+  }
+
+  let body = '';
+  let height;
+
+  if (languageData.length === 0) {
+    height = 80;
+    body = `
+  <text x="15" y="55" class="lang-name">No language data available</text>
+`;
+  } else if (layout === 'normal') {
+    // One row per language with its own progress bar
+    const barWidth = width - 30;
+    languageData.forEach((lang, index) => {
+      const y = 45 + index * 40;
+      body += `
+  <g transform="translate(15, ${y})">
+    <text x="0" y="10" class="lang-name">${escapeHtml(lang.name)}</text>
+    <text x="${barWidth}" y="10" class="lang-percent" text-anchor="end">${lang.percentage.toFixed(1)}%</text>
+    <rect x="0" y="18" width="${barWidth}" height="8" rx="4" fill="${textColor}" fill-opacity="0.1"/>
+    <rect x="0" y="18" width="${((lang.percentage / 100) * barWidth).toFixed(2)}" height="8" rx="4" fill="${lang.color}"/>
+  </g>
+`;
+    });
+    height = 45 + languageData.length * 40 + 5;
+  } else if (layout === 'donut' || layout === 'pie') {
+    // Legend on the left, chart on the right
+    const radius = 45;
+    languageData.forEach((lang, index) => {
+      body += renderLanguageLabel(lang, 15, 45 + index * 22);
+    });
+    const legendHeight = 45 + languageData.length * 22 + 10;
+    height = Math.max(legendHeight, 45 + radius * 2 + 15);
+    body += renderLanguageChart(languageData, {
+      cx: width - radius - 20,
+      cy: 40 + (height - 40) / 2 - 5,
+      radius,
+      donut: layout === 'donut',
+    });
+  } else {
+    // Compact: one stacked bar with a two-column legend
+    const barWidth = width - 30;
+    let barX = 15;
+
+    body += `
+  <mask id="lang-bar-mask">
+    <rect x="15" y="40" width="${barWidth}" height="8" rx="4" fill="white"/>
+  </mask>
+  <g mask="url(#lang-bar-mask)">`;
+    for (const lang of languageData) {
+      const segmentWidth = (lang.percentage / 100) * barWidth;
+      if (segmentWidth > 0) {
+        body += `
+    <rect x="${barX.toFixed(2)}" y="40" width="${segmentWidth.toFixed(2)}" height="8" fill="${lang.color}"/>`;
+        barX += segmentWidth;
+      }
+    }
+    body += `
+  </g>
+`;
+
+    const columnWidth = (width - 30) / 2;
+    languageData.forEach((lang, index) => {
+      body += renderLanguageLabel(lang, 15 + (index % 2) * columnWidth, 60 + Math.floor(index / 2) * 20);
+    });
+    height = 60 + Math.ceil(languageData.length / 2) * 20 + 5;
+  }
 
-  const height = layout === 'compact' ? 100 : 140;
   const borderStyle = showBorder
     ? `stroke="${border}" stroke-width="1" stroke-opacity="1"`
     : '';
 
-  // Calculate percentages
-  const totalSize = languages.reduce((sum, [_, size]) => sum + size, 0) || 1;
-  const languageData = languages.slice(0, 5).map(([lang, size]) => ({
-    name: lang,
-    percentage: (size / totalSize * 100).toFixed(1),
-    color: languageColors[lang] || '#858585',
-  }));
-
-  let svg = `
+  return `
 <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
      fill="none" xmlns="http://www.w3.org/2000/svg">
   <style>
@@ -380,45 +619,437 @@ export function generateLanguagesCard(summaryData, options = {}) {
         fill="${background}" ${borderStyle}/>
 
   <text x="15" y="25" class="title">Most Used Languages</text>
-`;
+${body}
+</svg>
+`.trim();
+}
 
-  // Progress bar
-  let barX = 15;
-  const barWidth = width - 30;
-  const barHeight = 8;
+/**
+ * Formats a Date as a YYYY-MM-DD string (UTC)
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateKey(date) {
+  return date.toISOString().split('T')[0];
+}
 
-  svg += `<g transform="translate(0, 40)">`;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const HEATMAP_OPACITY = [0.25, 0.5, 0.75, 1];
 
-  for (const lang of languageData) {
-    const segmentWidth = (parseFloat(lang.percentage) / 100) * barWidth;
-    if (segmentWidth > 0) {
-      svg += `
-    <rect x="${barX}" y="0" width="${segmentWidth}" height="${barHeight}" fill="${lang.color}" rx="1"/>
+/**
+ * Generates a GitHub-style contribution heatmap card
+ * @param {Object} summaryData - Summary data
+ * @param {Object} options - Options
+ * @param {number} options.weeks - Number of weeks to show (defaults to a year for
+ *   contribution calendar data, otherwise the 13 weeks covered by public events)
+ * @param {string} options.endDate - Last day shown, YYYY-MM-DD (defaults to the end of the
+ *   activity window, or today, so quiet weeks at the end still show)
+ * @param {string} options.timezone - Timezone the daily activity is bucketed in, for the default end date
+ * @returns {string} SVG string
+ */
+export function generateHeatmapCard(summaryData, options = {}) {
+  const {
+    theme = 'default',
+    showBorder = true,
+    borderRadius = 4.5,
+    weeks: weeksOption,
+    endDate: endDateOption,
+    timezone,
+  } = options;
+
+  const themeConfig = themes[theme] || themes.default;
+  const {
+    background,
+    border,
+    title: titleColor,
+    text: textColor,
+    accent,
+  } = themeConfig;
+
+  const { displayName, dailyActivity = {}, activitySource, activityWindow, contributionWindow } = summaryData;
+  const fromCalendar = activitySource === 'contribution-calendar';
+  const weeks = weeksOption || (fromCalendar ? 53 : 13);
+
+  const lastDay = endDateOption || getLocalDateParts(activityWindow?.until || new Date(), timezone).date;
+  const endDate = new Date(`${lastDay}T00:00:00Z`);
+
+  // Start on the Sunday of the first week so every column is a full week
+  const startDate = new Date(endDate);
+  startDate.setUTCDate(startDate.getUTCDate() - (weeks - 1) * 7 - endDate.getUTCDay());
+
+  const cellSize = 10;
+  const cellPitch = 13;
+  const gridX = 40;
+  const gridY = 70;
+  const width = Math.max(gridX + weeks * cellPitch + 20, 300);
+  const height = gridY + 7 * cellPitch + 40;
+
+  const borderStyle = showBorder
+    ? `stroke="${border}" stroke-width="1" stroke-opacity="1"`
+    : '';
+
+  // Collect cells and the maximum count for intensity scaling
+  const cells = [];
+  let maxCount = 0;
+  let total = 0;
+  const cursor = new Date(startDate);
+  while (cursor <= endDate) {
+    const key = toDateKey(cursor);
+    const count = dailyActivity[key] || 0;
+    const dayIndex = Math.round((cursor - startDate) / (24 * 60 * 60 * 1000));
+    cells.push({ key, count, week: Math.floor(dayIndex / 7), weekday: cursor.getUTCDay(), month: cursor.getUTCMonth() });
+    maxCount = Math.max(maxCount, count);
+    total += count;
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  // A `days` window can cover less than the grid; name the period the data was fetched for then
+  const period = fromCalendar ? contributionWindow : activityWindow;
+  const periodDays = period?.since && period?.until
+    ? Math.round((new Date(period.until) - new Date(period.since)) / (24 * 60 * 60 * 1000))
+    : null;
+  const periodLabel = periodDays && periodDays <= (weeks - 1) * 7 ? `${periodDays} days` : `${weeks} weeks`;
+
+  const subtitle = fromCalendar
+    ? `${total} contributions in the last ${periodLabel}`
+    : `${total} public events in the last ${periodLabel}`;
+
+  let svg = `
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     fill="none" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .title { font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .subtitle { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .label { font: 400 9px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+  </style>
+
+  <rect x="0.5" y="0.5" rx="${borderRadius}" width="${width - 1}" height="${height - 1}"
+        fill="${background}" ${borderStyle}/>
+
+  <text x="15" y="25" class="title">${escapeHtml(displayName)}'s Contributions</text>
+  <text x="15" y="42" class="subtitle">${subtitle}</text>
 `;
-      barX += segmentWidth;
+
+  // Month labels above the first day of each month
+  let lastMonth = null;
+  for (const cell of cells) {
+    if (cell.weekday === 0 && cell.month !== lastMonth) {
+      svg += `  <text x="${gridX + cell.week * cellPitch}" y="${gridY - 6}" class="label">${MONTH_NAMES[cell.month]}</text>\n`;
+      lastMonth = cell.month;
     }
   }
-  svg += `</g>`;
-
-  // Language labels
-  let labelY = 60;
-  let labelX = 15;
-  const labelSpacing = 90;
-
-  for (let i = 0; i < languageData.length; i++) {
-    const lang = languageData[i];
-    if (i > 0 && i % 3 === 0) {
-      labelY += 20;
-      labelX = 15;
-    }
-    svg += `
-  <g transform="translate(${labelX}, ${labelY})">
-    <circle cx="4" cy="5" r="4" fill="${lang.color}"/>
-    <text x="12" y="9" class="lang-name">${escapeHtml(lang.name)}</text>
-    <text x="${12 + lang.name.length * 6 + 5}" y="9" class="lang-percent">${lang.percentage}%</text>
+
+  // Weekday labels
+  for (const [weekday, label] of [[1, 'Mon'], [3, 'Wed'], [5, 'Fri']]) {
+    svg += `  <text x="15" y="${gridY + weekday * cellPitch + 9}" class="label">${label}</text>\n`;
+  }
+
+  // Calendar grid
+  svg += `  <g transform="translate(${gridX}, ${gridY})">\n`;
+  for (const cell of cells) {
+    const level = maxCount > 0 ? Math.ceil((cell.count / maxCount) * HEATMAP_OPACITY.length) : 0;
+    const fill = level > 0
+      ? `fill="${accent}" fill-opacity="${HEATMAP_OPACITY[level - 1]}"`
+      : `fill="${textColor}" fill-opacity="0.1"`;
+    svg += `    <rect x="${cell.week * cellPitch}" y="${cell.weekday * cellPitch}" width="${cellSize}" height="${cellSize}" rx="2" ${fill}><title>${cell.key}: ${cell.count}</title></rect>\n`;
+  }
+  svg += '  </g>\n';
+
+  // Legend
+  const legendY = gridY + 7 * cellPitch + 12;
+  let legendX = width - 20 - (HEATMAP_OPACITY.length + 1) * cellPitch - 30;
+  svg += `  <text x="${legendX - 28}" y="${legendY + 9}" class="label">Less</text>\n`;
+  svg += `  <rect x="${legendX}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" fill="${textColor}" fill-opacity="0.1"/>\n`;
+  for (const opacity of HEATMAP_OPACITY) {
+    legendX += cellPitch;
+    svg += `  <rect x="${legendX}" y="${legendY}" width="${cellSize}" height="${cellSize}" rx="2" fill="${accent}" fill-opacity="${opacity}"/>\n`;
+  }
+  svg += `  <text x="${legendX + cellPitch + 2}" y="${legendY + 9}" class="label">More</text>\n`;
+
+  svg += '\n</svg>';
+
+  return svg.trim();
+}
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Renders a simple vertical bar chart
+ * @param {Array<number>} values - Bar values
+ * @param {Object} layout - Chart position, size, labels and colors
+ * @returns {string} SVG fragment
+ */
+function renderBarChart(values, layout) {
+  const { x, y, width, height, barRatio, labels, color } = layout;
+  const max = Math.max(...values, 0);
+  const pitch = width / values.length;
+  const barWidth = Math.max(pitch * barRatio, 1);
+
+  let svg = '';
+  values.forEach((value, index) => {
+    const barHeight = max > 0 ? Math.max((value / max) * height, value > 0 ? 2 : 0) : 0;
+    const barX = x + index * pitch + (pitch - barWidth) / 2;
+    const opacity = max > 0 && value === max ? 1 : 0.6;
+    svg += `  <rect x="${barX.toFixed(1)}" y="${(y + height - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="1" fill="${color}" fill-opacity="${opacity}"><title>${labels[index] ?? index}: ${value}</title></rect>\n`;
+  });
+
+  return svg;
+}
+
+/**
+ * Generates a schedule card with hour-of-day and day-of-week activity charts
+ * @param {Object} summaryData - Summary data
+ * @param {Object} options - Options
+ * @returns {string} SVG string
+ */
+export function generateScheduleCard(summaryData, options = {}) {
+  const {
+    theme = 'default',
+    width = 495,
+    showBorder = true,
+    borderRadius = 4.5,
+  } = options;
+
+  const themeConfig = themes[theme] || themes.default;
+  const {
+    background,
+    border,
+    title: titleColor,
+    text: textColor,
+    accent,
+  } = themeConfig;
+
+  const {
+    displayName,
+    hourlyActivity = Array(24).fill(0),
+    weekdayActivity = Array(7).fill(0),
+  } = summaryData;
+
+  const height = 265;
+  const chartX = 25;
+  const chartWidth = width - 50;
+  const total = hourlyActivity.reduce((sum, count) => sum + count, 0);
+  const peakHour = hourlyActivity.indexOf(Math.max(...hourlyActivity));
+  const peakDay = weekdayActivity.indexOf(Math.max(...weekdayActivity));
+  const formatHour = hour => `${String(hour).padStart(2, '0')}:00`;
+
+  const subtitle = total > 0
+    ? `Most active around ${formatHour(peakHour)} and on ${WEEKDAY_NAMES[peakDay]}s`
+    : 'No recent activity';
+
+  const borderStyle = showBorder
+    ? `stroke="${border}" stroke-width="1" stroke-opacity="1"`
+    : '';
+
+  let svg = `
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     fill="none" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .title { font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .subtitle { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .section-title { font: 600 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .label { font: 400 9px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+  </style>
+
+  <rect x="0.5" y="0.5" rx="${borderRadius}" width="${width - 1}" height="${height - 1}"
+        fill="${background}" ${borderStyle}/>
+
+  <text x="${chartX}" y="25" class="title">${escapeHtml(displayName)}'s Coding Schedule</text>
+  <text x="${chartX}" y="42" class="subtitle">${subtitle}</text>
+
+  <text x="${chartX}" y="65" class="section-title">By hour</text>
+`;
+
+  const hourPitch = chartWidth / 24;
+  svg += renderBarChart(hourlyActivity, {
+    x: chartX,
+    y: 72,
+    width: chartWidth,
+    height: 70,
+    barRatio: 0.75,
+    labels: hourlyActivity.map((_, hour) => formatHour(hour)),
+    color: accent,
+  });
+  for (const hour of [0, 6, 12, 18]) {
+    svg += `  <text x="${(chartX + hour * hourPitch).toFixed(1)}" y="156" class="label">${formatHour(hour)}</text>\n`;
+  }
+
+  svg += `\n  <text x="${chartX}" y="180" class="section-title">By weekday</text>\n`;
+
+  const dayPitch = chartWidth / 7;
+  svg += renderBarChart(weekdayActivity, {
+    x: chartX,
+    y: 187,
+    width: chartWidth,
+    height: 50,
+    barRatio: 0.6,
+    labels: WEEKDAY_NAMES,
+    color: accent,
+  });
+  WEEKDAY_NAMES.forEach((name, day) => {
+    svg += `  <text x="${(chartX + day * dayPitch + dayPitch / 2).toFixed(1)}" y="251" class="label" text-anchor="middle">${name}</text>\n`;
+  });
+
+  svg += '\n</svg>';
+
+  return svg.trim();
+}
+
+/**
+ * Renders a sparkline: a line over a lightly filled area
+ * @param {Array<number>} values - Values, oldest first
+ * @param {Object} layout - Sparkline position, size and color
+ * @returns {string} SVG fragment
+ */
+function renderSparkline(values, layout) {
+  const { x, y, width, height, color } = layout;
+  if (values.length === 0) return '';
+
+  const max = Math.max(...values, 1);
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values
+    .map((value, index) => `${(x + index * step).toFixed(1)},${(y + height - (value / max) * height).toFixed(1)}`)
+    .join(' ');
+  const lastX = (x + (values.length - 1) * step).toFixed(1);
+
+  return `  <polygon points="${x},${y + height} ${points} ${lastX},${y + height}" fill="${color}" fill-opacity="0.15"/>
+  <polyline points="${points}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round" stroke-linecap="round"/>
+`;
+}
+
+/**
+ * Generates a card for a single repository: what got done recently,
+ * who did it, and a sparkline of weekly commits
+ * @param {Object} summaryData - Data from generateRepoActivitySummary
+ * @param {Object} options - Options
+ * @returns {string} SVG string
+ */
+export function generateRepoCard(summaryData, options = {}) {
+  const {
+    theme = 'default',
+    width = 495,
+    showBorder = true,
+    borderRadius = 4.5,
+    hideStats = false,
+  } = options;
+
+  const themeConfig = themes[theme] || themes.default;
+  const {
+    background,
+    border,
+    title: titleColor,
+    text: textColor,
+    accent,
+  } = themeConfig;
+
+  const {
+    displayName,
+    description,
+    primaryLanguage,
+    stats = {},
+    activityWindow,
+    commitActivity = [],
+    topContributors = [],
+  } = summaryData;
+
+  const descriptionLines = wrapText(description, 70).slice(0, 2);
+  const weeklyCommits = commitActivity.map(week => week.total);
+
+  // Calculate height based on content
+  let height = 75 + descriptionLines.length * 16;
+  if (!hideStats) height += 55;
+  if (weeklyCommits.length > 0) height += 70;
+  if (topContributors.length > 0) height += 25;
+
+  const borderStyle = showBorder
+    ? `stroke="${border}" stroke-width="1" stroke-opacity="1"`
+    : '';
+
+  let svg = `
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     fill="none" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .header { font: 600 18px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .description { font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .meta { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; opacity: 0.8; }
+    .section-title { font: 600 13px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .stat-label { font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .stat-value { font: 600 14px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+  </style>
+
+  <rect x="0.5" y="0.5" rx="${borderRadius}" width="${width - 1}" height="${height - 1}"
+        fill="${background}" ${borderStyle}/>
+
+  <text x="25" y="35" class="header">${escapeHtml(displayName)}</text>
+`;
+
+  let yOffset = 55;
+  for (const line of descriptionLines) {
+    svg += `  <text x="25" y="${yOffset}" class="description">${escapeHtml(line)}</text>\n`;
+    yOffset += 16;
+  }
+
+  // Language, stars and forks
+  const meta = [
+    `★ ${stats.totalStars || 0}`,
+    pluralize(stats.forks || 0, 'fork'),
+    pluralize(stats.openIssues || 0, 'open issue'),
+  ];
+  if (primaryLanguage) {
+    svg += `  <circle cx="31" cy="${yOffset + 1}" r="6" fill="${getLanguageColor(primaryLanguage)}"/>\n`;
+    svg += `  <text x="43" y="${yOffset + 5}" class="meta">${escapeHtml([primaryLanguage, ...meta].join('  ·  '))}</text>\n`;
+  } else {
+    svg += `  <text x="25" y="${yOffset + 5}" class="meta">${escapeHtml(meta.join('  ·  '))}</text>\n`;
+  }
+  yOffset += 30;
+
+  // Stats section
+  if (!hideStats) {
+    const period = activityWindow ? `Last ${activityWindow.days} days` : 'Recent activity';
+    svg += `  <text x="25" y="${yOffset}" class="section-title">${escapeHtml(period)}</text>\n`;
+    yOffset += 22;
+
+    const statsItems = [
+      { label: 'Commits', value: stats.commits || 0 },
+      { label: 'Merged PRs', value: stats.mergedPullRequests || 0 },
+      { label: 'Issues opened', value: stats.openedIssues || 0 },
+      { label: 'Issues closed', value: stats.closedIssues || 0 },
+      { label: 'Releases', value: stats.releases || 0 },
+    ];
+
+    const statWidth = (width - 50) / statsItems.length;
+    statsItems.forEach((stat, index) => {
+      svg += `
+  <g transform="translate(${(25 + index * statWidth).toFixed(1)}, ${yOffset})">
+    <text class="stat-value">${escapeHtml(String(stat.value))}</text>
+    <text y="14" class="stat-label">${escapeHtml(stat.label)}</text>
   </g>
 `;
-    labelX += labelSpacing;
+    });
+    yOffset += 33;
+  }
+
+  // Weekly commit sparkline
+  if (weeklyCommits.length > 0) {
+    svg += `  <text x="25" y="${yOffset}" class="section-title">Weekly commits</text>\n`;
+    svg += `  <text x="${width - 25}" y="${yOffset}" class="meta" text-anchor="end">last ${weeklyCommits.length} weeks</text>\n`;
+    svg += renderSparkline(weeklyCommits, {
+      x: 25,
+      y: yOffset + 10,
+      width: width - 50,
+      height: 40,
+      color: accent,
+    });
+    yOffset += 70;
+  }
+
+  // Top contributors
+  if (topContributors.length > 0) {
+    const contributorLine = topContributors
+      .slice(0, 4)
+      .map(contributor => `${contributor.login} (${contributor.events})`)
+      .join(' · ');
+    svg += `  <text x="25" y="${yOffset}" class="meta">Top contributors: ${escapeHtml(contributorLine)}</text>\n`;
   }
 
   svg += '\n</svg>';
@@ -426,8 +1057,134 @@ export function generateLanguagesCard(summaryData, options = {}) {
   return svg.trim();
 }
 
+/**
+ * Columns of the leaderboard card, keyed by metric
+ */
+const LEADERBOARD_COLUMNS = [
+  { metric: 'events', label: 'Events', value: row => row.events },
+  { metric: 'commits', label: 'Commits', value: row => row.commits },
+  { metric: 'pullRequests', label: 'PRs', value: row => row.pullRequests },
+  { metric: 'reviews', label: 'Reviews', value: row => row.reviews },
+  { metric: 'streak', label: 'Streak', value: row => `${row.currentStreak}d` },
+];
+
+/**
+ * Generates a leaderboard card comparing several users
+ * @param {Object} leaderboard - Leaderboard from fetchLeaderboard
+ * @param {Object} options - Options
+ * @param {string} options.title - Card title
+ * @returns {string} SVG string
+ */
+export function generateLeaderboardCard(leaderboard, options = {}) {
+  const {
+    theme = 'default',
+    width = 495,
+    showBorder = true,
+    borderRadius = 4.5,
+    title = 'Team Leaderboard',
+  } = options;
+
+  const themeConfig = themes[theme] || themes.default;
+  const {
+    background,
+    border,
+    title: titleColor,
+    text: textColor,
+    accent,
+  } = themeConfig;
+
+  const { rows = [], sortBy = 'events', window } = leaderboard;
+  const rowHeight = 28;
+  const height = 95 + Math.max(rows.length, 1) * rowHeight;
+
+  const sortColumn = LEADERBOARD_COLUMNS.find(column => column.metric === sortBy) || LEADERBOARD_COLUMNS[0];
+  const period = window ? `last ${window.days} days` : 'recent activity';
+  const columnWidth = 55;
+  const firstColumnX = width - 25 - LEADERBOARD_COLUMNS.length * columnWidth;
+
+  const borderStyle = showBorder
+    ? `stroke="${border}" stroke-width="1" stroke-opacity="1"`
+    : '';
+
+  let svg = `
+<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"
+     fill="none" xmlns="http://www.w3.org/2000/svg">
+  <style>
+    .header { font: 600 18px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .subtitle { font: 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; opacity: 0.8; }
+    .column { font: 600 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .column.sorted { fill: ${accent}; }
+    .rank { font: 600 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; opacity: 0.7; }
+    .name { font: 600 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${titleColor}; }
+    .value { font: 400 12px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; }
+    .value.sorted { font-weight: 600; fill: ${accent}; }
+    .unavailable { font: italic 400 11px 'Segoe UI', Ubuntu, Sans-Serif; fill: ${textColor}; opacity: 0.6; }
+  </style>
+
+  <rect x="0.5" y="0.5" rx="${borderRadius}" width="${width - 1}" height="${height - 1}"
+        fill="${background}" ${borderStyle}/>
+
+  <text x="25" y="35" class="header">${escapeHtml(title)}</text>
+  <text x="25" y="53" class="subtitle">Ranked by ${escapeHtml(sortColumn.label.toLowerCase())}, ${escapeHtml(period)}</text>
+`;
+
+  // Column headers
+  LEADERBOARD_COLUMNS.forEach((column, index) => {
+    const x = firstColumnX + index * columnWidth + columnWidth / 2;
+    const sorted = column === sortColumn ? ' sorted' : '';
+    svg += `  <text x="${x}" y="78" class="column${sorted}" text-anchor="middle">${column.label}</text>\n`;
+  });
+
+  if (rows.length === 0) {
+    svg += `  <text x="25" y="103" class="unavailable">No users to compare</text>\n`;
+  }
+
+  const maxSorted = Math.max(1, ...rows.filter(row => row.available).map(row => getLeaderboardValue(row, sortBy)));
+
+  rows.forEach((row, index) => {
+    const y = 103 + index * rowHeight;
+    const name = row.displayName.length > 20 ? `${row.displayName.substring(0, 19)}…` : row.displayName;
+
+    svg += `  <text x="25" y="${y}" class="rank">${row.rank ?? '–'}</text>\n`;
+    svg += `  <text x="50" y="${y}" class="name">${escapeHtml(name)}</text>\n`;
+
+    if (!row.available) {
+      svg += `  <text x="${firstColumnX + 10}" y="${y}" class="unavailable">${escapeHtml(row.reason === 'not found' ? 'user not found' : 'unavailable')}</text>\n`;
+      return;
+    }
+
+    // Share of the leader's score under the name
+    const barWidth = (getLeaderboardValue(row, sortBy) / maxSorted) * (firstColumnX - 60);
+    svg += `  <rect x="50" y="${y + 5}" width="${barWidth.toFixed(1)}" height="3" rx="1.5" fill="${accent}" fill-opacity="0.6"/>\n`;
+
+    LEADERBOARD_COLUMNS.forEach((column, columnIndex) => {
+      const x = firstColumnX + columnIndex * columnWidth + columnWidth / 2;
+      const sorted = column === sortColumn ? ' sorted' : '';
+      svg += `  <text x="${x}" y="${y}" class="value${sorted}" text-anchor="middle">${escapeHtml(String(column.value(row) ?? 0))}</text>\n`;
+    });
+  });
+
+  svg += '\n</svg>';
+
+  return svg.trim();
+}
+
+/**
+ * Reads the value a leaderboard row is ranked by
+ * @param {Object} row - Leaderboard row
+ * @param {string} metric - Metric
+ * @returns {number} Value
+ */
+function getLeaderboardValue(row, metric) {
+  return (metric === 'streak' ? row.currentStreak : row[metric]) || 0;
+}
+
 export default {
   generateActivityCard,
   generateCompactCard,
   generateLanguagesCard,
+  generateHeatmapCard,
+  generateScheduleCard,
+  generateRepoCard,
+  generateLeaderboardCard,
 };
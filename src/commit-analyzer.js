@@ -0,0 +1,232 @@
+/**
+ * Commit Analyzer
+ * Reads the commit messages of push events to tell what the work was about
+ *
+ * Commits are classified by their Conventional Commit type (`fix(parser): ...`),
+ * or by the verb they start with when they do not follow the convention.
+ * Recurring words per repository become its topics. Everything is rule-based,
+ * so the same commits always give the same analysis, without any network access.
+ */
+
+import { applyDetailPrivacy, REDACTED_TEXT } from './privacy.js';
+
+/**
+ * Commit types, in order of precedence when two are equally common
+ */
+export const COMMIT_TYPES = ['feat', 'fix', 'refactor', 'test', 'docs', 'chore'];
+
+/**
+ * Conventional Commit types that fold into one of COMMIT_TYPES
+ */
+const TYPE_ALIASES = {
+  feature: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  perf: 'refactor',
+  doc: 'docs',
+  tests: 'test',
+  style: 'chore',
+  build: 'chore',
+  ci: 'chore',
+  deps: 'chore',
+  revert: 'chore',
+  release: 'chore',
+};
+
+/**
+ * First words of non-conventional messages, by commit type
+ */
+const TYPE_VERBS = {
+  feat: ['add', 'adds', 'added', 'implement', 'implements', 'implemented', 'introduce', 'introduces', 'support', 'create', 'new', 'allow', 'enable'],
+  fix: ['fix', 'fixes', 'fixed', 'fixing', 'bug', 'bugfix', 'resolve', 'resolves', 'resolved', 'correct', 'handle', 'prevent', 'patch'],
+  refactor: ['refactor', 'refactored', 'refactoring', 'cleanup', 'clean', 'simplify', 'rename', 'move', 'extract', 'restructure', 'tidy'],
+  test: ['test', 'tests', 'testing', 'spec', 'specs'],
+  docs: ['doc', 'docs', 'document', 'documentation', 'readme', 'changelog', 'comment', 'comments'],
+  chore: ['bump', 'upgrade', 'chore', 'release', 'lint', 'format', 'deps', 'dependencies', 'version'],
+};
+
+/**
+ * Words that never make a topic
+ */
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'onto', 'that', 'this', 'when', 'then', 'than', 'also',
+  'not', 'all', 'any', 'some', 'more', 'less', 'now', 'only', 'its', 'our', 'your', 'use', 'uses', 'using',
+  'make', 'makes', 'update', 'updated', 'updates', 'change', 'changes', 'changed', 'remove', 'removed',
+  'removes', 'improve', 'improved', 'improves', 'minor', 'small', 'wip', 'merge', 'branch', 'pull',
+  'request', 'main', 'master', 'should', 'can', 'get', 'set', 'via', 'per', 'out', 'too',
+  ...COMMIT_TYPES,
+  ...Object.keys(TYPE_ALIASES),
+  ...Object.values(TYPE_VERBS).flat(),
+]);
+
+const CONVENTIONAL_PATTERN = /^([a-zA-Z]+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/;
+
+/**
+ * Parses a commit message
+ * @param {string} message - Commit message
+ * @returns {Object} { type, scope, breaking, subject, conventional }; type is one of COMMIT_TYPES or 'other'
+ */
+export function parseCommitMessage(message = '') {
+  const firstLine = String(message).split('\n')[0].trim();
+  const match = CONVENTIONAL_PATTERN.exec(firstLine);
+
+  if (match) {
+    const prefix = match[1].toLowerCase();
+    const type = COMMIT_TYPES.includes(prefix) ? prefix : TYPE_ALIASES[prefix];
+    if (type) {
+      return {
+        type,
+        scope: match[2]?.trim() || null,
+        breaking: Boolean(match[3]) || /BREAKING[ -]CHANGE/.test(message),
+        subject: match[4],
+        conventional: true,
+      };
+    }
+  }
+
+  const firstWord = firstLine.toLowerCase().match(/[a-z]+/)?.[0];
+  const type = COMMIT_TYPES.find(candidate => TYPE_VERBS[candidate].includes(firstWord)) || 'other';
+
+  return {
+    type,
+    scope: null,
+    breaking: /BREAKING[ -]CHANGE/.test(message),
+    subject: firstLine,
+    conventional: false,
+  };
+}
+
+/**
+ * Classifies a commit message by type
+ * @param {string} message - Commit message
+ * @returns {string} One of COMMIT_TYPES, or 'other'
+ */
+export function classifyCommit(message) {
+  return parseCommitMessage(message).type;
+}
+
+/**
+ * Checks whether a commit message is a merge commit
+ * @param {string} message - Commit message
+ * @returns {boolean} True for "Merge pull request ..." and "Merge branch ..." commits
+ */
+function isMergeCommit(message = '') {
+  return /^Merge (pull request|branch|remote-tracking branch) /.test(message);
+}
+
+/**
+ * Extracts recurring words from parsed commits
+ * Scopes count as words; words need at least 3 letters and must recur
+ * @param {Array} commits - Parsed commits from parseCommitMessage
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of topics
+ * @param {number} options.minCount - How often a word must occur
+ * @returns {Array<string>} Topics, most frequent first
+ */
+export function extractTopics(commits, options = {}) {
+  const { limit = 3, minCount = 2 } = options;
+  const counts = new Map();
+
+  for (const commit of commits) {
+    const words = new Set(String(commit.subject || '').toLowerCase().split(/[^a-z0-9]+/));
+    if (commit.scope) words.add(commit.scope.toLowerCase());
+
+    for (const word of words) {
+      if (word.length < 3 || /^\d+$/.test(word) || STOP_WORDS.has(word)) continue;
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+  }
+
+  return Array.from(counts.entries())
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+/**
+ * Picks the most common type among type counts, leaving out 'other'
+ * @param {Object} typeCounts - Map of commit type to count
+ * @returns {string|null} Commit type, or null if no commit was classified
+ */
+function getDominantType(typeCounts) {
+  let dominant = null;
+  for (const type of COMMIT_TYPES) {
+    if (typeCounts[type] > 0 && (!dominant || typeCounts[type] > typeCounts[dominant])) {
+      dominant = type;
+    }
+  }
+  return dominant;
+}
+
+/**
+ * Creates zeroed counts for every commit type
+ * @returns {Object} Map of commit type (and 'other') to 0
+ */
+function createTypeCounts() {
+  return Object.fromEntries([...COMMIT_TYPES, 'other'].map(type => [type, 0]));
+}
+
+/**
+ * Analyzes the commit messages of push events
+ * Merge commits and commits that were already in the repository are left out.
+ * Commits whose message matches a redact pattern still count by type, but give no topics
+ * @param {Array} events - Array of GitHub events
+ * @param {Object} options - Options
+ * @param {number} options.topicLimit - Maximum number of topics per repository
+ * @param {Object} options.privacyFilters - Details to hide or redact (see privacy.js)
+ * @returns {Object} { totalCommits, typeCounts, repos: [{ repo, commits, typeCounts, dominantType, share, topics }] }
+ */
+export function analyzeCommits(events, options = {}) {
+  const { topicLimit = 3, privacyFilters } = options;
+  const isRedacted = text => applyDetailPrivacy('PushEvent', text, privacyFilters) === REDACTED_TEXT;
+  const typeCounts = createTypeCounts();
+  const repos = new Map();
+
+  for (const event of events) {
+    if (event.type !== 'PushEvent' || !Array.isArray(event.payload?.commits)) continue;
+    const repoName = event.repo?.name || 'unknown';
+
+    for (const commit of event.payload.commits) {
+      if (!commit.message || commit.distinct === false || isMergeCommit(commit.message)) continue;
+
+      const parsed = parseCommitMessage(commit.message);
+      if (!repos.has(repoName)) {
+        repos.set(repoName, { repo: repoName, parsed: [], topicSources: [], typeCounts: createTypeCounts() });
+      }
+      const entry = repos.get(repoName);
+      entry.parsed.push(parsed);
+      if (!isRedacted(commit.message)) entry.topicSources.push(parsed);
+      entry.typeCounts[parsed.type]++;
+      typeCounts[parsed.type]++;
+    }
+  }
+
+  const repoAnalyses = Array.from(repos.values())
+    .map(({ repo, parsed, topicSources, typeCounts: repoTypeCounts }) => {
+      const dominantType = getDominantType(repoTypeCounts);
+      return {
+        repo,
+        commits: parsed.length,
+        typeCounts: repoTypeCounts,
+        dominantType,
+        share: dominantType ? repoTypeCounts[dominantType] / parsed.length : 0,
+        topics: extractTopics(topicSources, { limit: topicLimit }),
+      };
+    })
+    .sort((a, b) => b.commits - a.commits || a.repo.localeCompare(b.repo));
+
+  return {
+    totalCommits: repoAnalyses.reduce((sum, repo) => sum + repo.commits, 0),
+    typeCounts,
+    repos: repoAnalyses,
+  };
+}
+
+export default {
+  COMMIT_TYPES,
+  parseCommitMessage,
+  classifyCommit,
+  extractTopics,
+  analyzeCommits,
+};
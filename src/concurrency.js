@@ -0,0 +1,30 @@
+/**
+ * Concurrency Helpers
+ * Limits how many GitHub requests run at once
+ */
+
+/**
+ * Runs an async function over items with at most `limit` running at once
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrency
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} Results in item order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+export default {
+  mapWithConcurrency,
+};
@@ -0,0 +1,160 @@
+/**
+ * Event Normalizer
+ * Turns raw GitHub events into typed activity records
+ *
+ * A raw event type says little on its own: opening, merging and labelling a
+ * pull request are all a `PullRequestEvent`, and a push of 40 commits is one
+ * `PushEvent` like a push of one. Records look at the payload (action, merged
+ * flag, commit counts, review state, release tag) to tell what actually happened.
+ * Events that do not describe any work (e.g. a label change) produce no record.
+ */
+
+/**
+ * Activity record types
+ */
+export const ACTIVITY_TYPES = [
+  'commits_pushed',
+  'pr_opened',
+  'pr_merged',
+  'pr_closed',
+  'pr_reopened',
+  'review_approved',
+  'review_changes_requested',
+  'review_commented',
+  'issue_opened',
+  'issue_closed',
+  'issue_reopened',
+  'comment_added',
+  'release_published',
+  'repo_created',
+  'branch_created',
+  'tag_created',
+  'repo_starred',
+  'repo_forked',
+];
+
+/**
+ * Record types that count as code reviews
+ */
+export const REVIEW_TYPES = ['review_approved', 'review_changes_requested', 'review_commented'];
+
+const COMMENT_EVENTS = ['IssueCommentEvent', 'PullRequestReviewCommentEvent', 'CommitCommentEvent'];
+
+/**
+ * Counts the commits of a push
+ * `distinct_size` leaves out commits that were already in the repository (e.g. on another branch)
+ * @param {Object} payload - PushEvent payload
+ * @returns {number} Number of commits
+ */
+function countPushedCommits(payload = {}) {
+  return payload.distinct_size ?? payload.size ?? payload.commits?.length ?? 0;
+}
+
+/**
+ * Works out the record type of an event
+ * @param {Object} event - GitHub event
+ * @returns {string|null} Record type, or null if the event describes no work
+ */
+function getRecordType(event) {
+  const payload = event.payload || {};
+  const action = payload.action;
+
+  switch (event.type) {
+    case 'PushEvent':
+      return 'commits_pushed';
+    case 'PullRequestEvent':
+      if (action === 'opened') return 'pr_opened';
+      if (action === 'reopened') return 'pr_reopened';
+      if (action === 'closed') return payload.pull_request?.merged ? 'pr_merged' : 'pr_closed';
+      return null;
+    case 'PullRequestReviewEvent': {
+      const state = String(payload.review?.state || '').toLowerCase();
+      if (state === 'approved') return 'review_approved';
+      if (state === 'changes_requested') return 'review_changes_requested';
+      return 'review_commented';
+    }
+    case 'IssuesEvent':
+      if (action === 'opened') return 'issue_opened';
+      if (action === 'closed') return 'issue_closed';
+      if (action === 'reopened') return 'issue_reopened';
+      return null;
+    case 'ReleaseEvent':
+      return (action ?? 'published') === 'published' || action === 'released' ? 'release_published' : null;
+    case 'CreateEvent':
+      if (payload.ref_type === 'repository') return 'repo_created';
+      if (payload.ref_type === 'branch') return 'branch_created';
+      if (payload.ref_type === 'tag') return 'tag_created';
+      return null;
+    case 'WatchEvent':
+      return 'repo_starred';
+    case 'ForkEvent':
+      return 'repo_forked';
+    default:
+      return COMMENT_EVENTS.includes(event.type) ? 'comment_added' : null;
+  }
+}
+
+/**
+ * Normalizes a GitHub event into an activity record
+ * @param {Object} event - GitHub event
+ * @returns {Object|null} Record: { type, count, repo, actor, createdAt, number, title, tag }, or null
+ */
+export function normalizeEvent(event) {
+  const type = getRecordType(event);
+  if (!type) return null;
+
+  const payload = event.payload || {};
+  const item = payload.pull_request || payload.issue || null;
+
+  return {
+    type,
+    count: type === 'commits_pushed' ? countPushedCommits(payload) : 1,
+    repo: event.repo?.name || null,
+    actor: event.actor?.login || null,
+    createdAt: event.created_at || null,
+    number: payload.number ?? item?.number ?? null,
+    title: item?.title ?? null,
+    tag: payload.release?.tag_name ?? null,
+  };
+}
+
+/**
+ * Normalizes GitHub events into activity records
+ * @param {Array} events - Array of GitHub events
+ * @returns {Array} Records, in event order
+ */
+export function normalizeEvents(events) {
+  return events.map(normalizeEvent).filter(Boolean);
+}
+
+/**
+ * Adds up activity records by type
+ * Pushes add up their commits, every other record counts once
+ * @param {Array} records - Records from normalizeEvents
+ * @returns {Object} Map of every record type to its count
+ */
+export function countActivity(records) {
+  const counts = Object.fromEntries(ACTIVITY_TYPES.map(type => [type, 0]));
+  for (const record of records) {
+    counts[record.type] = (counts[record.type] || 0) + record.count;
+  }
+  return counts;
+}
+
+/**
+ * Counts the code reviews among activity counts
+ * @param {Object} counts - Counts from countActivity
+ * @returns {number} Number of reviews
+ */
+export function countReviews(counts) {
+  return REVIEW_TYPES.reduce((sum, type) => sum + (counts[type] || 0), 0);
+}
+
+export default {
+  ACTIVITY_TYPES,
+  REVIEW_TYPES,
+  normalizeEvent,
+  normalizeEvents,
+  countActivity,
+  countReviews,
+};
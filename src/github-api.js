@@ -1,27 +1,22 @@
-import axios from 'axios';
-
-const GITHUB_API_BASE = 'https://api.github.com';
+import { getLocalDateParts } from './timezone.js';
+import { createGitHubClient } from './github-client.js';
+import { fetchRepoStats, fetchCommitTrends } from './repo-stats.js';
+import { fetchLanguageStats, filterRepos, getLanguageOptionsKey } from './language-stats.js';
+import { anonymizeActivityData, filterExcludedEvents } from './privacy.js';
+import { normalizeEvents, countActivity } from './event-normalizer.js';
 
 /**
- * Creates an axios instance for GitHub API with optional authentication
- * @param {string} token - GitHub personal access token (optional)
- * @returns {import('axios').AxiosInstance}
+ * GitHub logins of users and organizations: letters, digits and single inner hyphens, up to 39 characters
  */
-function createGitHubClient(token) {
-  const headers = {
-    'Accept': 'application/vnd.github.v3+json',
-    'User-Agent': 'github-activity-readme-gen',
-  };
-
-  if (token) {
-    headers['Authorization'] = `Bearer ${token}`;
-  }
+const LOGIN_PATTERN = /^[a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38}$/;
 
-  return axios.create({
-    baseURL: GITHUB_API_BASE,
-    headers,
-    timeout: 30000,
-  });
+/**
+ * Tells whether a string is a valid GitHub user or organization login
+ * @param {string} login - Login to check
+ * @returns {boolean} Whether the login is valid
+ */
+export function isValidLogin(login) {
+  return typeof login === 'string' && LOGIN_PATTERN.test(login);
 }
 
 /**
@@ -36,19 +31,161 @@ export async function fetchUserProfile(username, token = null) {
   return response.data;
 }
 
+/**
+ * GitHub only serves the last 300 public events from the last 90 days
+ */
+const MAX_EVENT_PAGES = 3;
+const EVENT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a GitHub `Link` pagination header
+ * @param {string} header - Link header value
+ * @returns {Object} Map of rel name to URL (e.g. { next, last })
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Fetches events from a GitHub events endpoint across all available pages
+ * Events are deduplicated by id and limited to the requested time window
+ * @param {string} path - Events endpoint (e.g. /users/{username}/events/public)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Only include events at or after this time
+ * @param {string|Date} options.until - Only include events at or before this time
+ * @param {number} options.perPage - Number of events per page (max 100)
+ * @param {number} options.maxPages - Maximum number of pages to follow
+ * @param {Date} options.now - Current time (for testing)
+ * @returns {Promise<Object>} Events and the time window they actually cover
+ */
+export async function fetchEventHistory(path, token = null, options = {}) {
+  const {
+    since,
+    until,
+    perPage = 100,
+    maxPages = MAX_EVENT_PAGES,
+    now = new Date(),
+  } = options;
+
+  const client = createGitHubClient(token);
+  const sinceTime = since ? new Date(since).getTime() : null;
+  const untilTime = until ? new Date(until).getTime() : null;
+
+  const seenIds = new Set();
+  const events = [];
+  let oldestTime = now.getTime();
+  let reachedSince = false;
+  let exhausted = false;
+
+  let url = path;
+  let params = { per_page: perPage };
+
+  for (let page = 0; page < maxPages; page++) {
+    const response = await client.get(url, { params });
+
+    for (const event of response.data) {
+      if (event.id) {
+        if (seenIds.has(event.id)) continue;
+        seenIds.add(event.id);
+      }
+
+      const time = new Date(event.created_at).getTime();
+      oldestTime = Math.min(oldestTime, time);
+
+      if (sinceTime !== null && time < sinceTime) {
+        reachedSince = true;
+        continue;
+      }
+      if (untilTime !== null && time > untilTime) continue;
+
+      events.push(event);
+    }
+
+    const next = parseLinkHeader(response.headers?.link).next;
+    if (!next || response.data.length === 0) {
+      exhausted = true;
+      break;
+    }
+    // Events are returned newest first, so older pages are all outside the window
+    if (reachedSince) break;
+
+    url = next;
+    params = undefined;
+  }
+
+  // Work out which period the events are known to be complete for
+  const retentionStart = now.getTime() - EVENT_RETENTION_DAYS * DAY_MS;
+  let coveredSince;
+  if (reachedSince) {
+    coveredSince = sinceTime;
+  } else if (exhausted) {
+    coveredSince = Math.max(sinceTime ?? retentionStart, retentionStart);
+  } else {
+    coveredSince = Math.max(oldestTime, sinceTime ?? oldestTime);
+  }
+  const coveredUntil = untilTime ?? now.getTime();
+
+  return {
+    events,
+    window: {
+      since: new Date(coveredSince).toISOString(),
+      until: new Date(coveredUntil).toISOString(),
+      days: Math.max(1, Math.round((coveredUntil - coveredSince) / DAY_MS)),
+      complete: reachedSince || exhausted,
+    },
+  };
+}
+
+/**
+ * Fetches user's public events across all available pages
+ * With `includePrivate` and a token of that user, private events are included too
+ * @param {string} username - GitHub username
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options (see fetchEventHistory) and:
+ * @param {boolean} options.includePrivate - Use /users/{username}/events instead of the public feed
+ * @returns {Promise<Object>} Events and the time window they actually cover
+ */
+export async function fetchUserEventHistory(username, token = null, options = {}) {
+  const { includePrivate = false, ...historyOptions } = options;
+  const path = includePrivate ? `/users/${username}/events` : `/users/${username}/events/public`;
+  return fetchEventHistory(path, token, historyOptions);
+}
+
 /**
  * Fetches user's public events (activity)
  * @param {string} username - GitHub username
  * @param {string} token - GitHub token (optional)
- * @param {number} perPage - Number of events per page (max 100)
+ * @param {Object} options - Options (see fetchUserEventHistory)
  * @returns {Promise<Array>} Array of events
  */
-export async function fetchUserEvents(username, token = null, perPage = 100) {
-  const client = createGitHubClient(token);
-  const response = await client.get(`/users/${username}/events/public`, {
-    params: { per_page: perPage }
-  });
-  return response.data;
+export async function fetchUserEvents(username, token = null, options = {}) {
+  const { events } = await fetchUserEventHistory(username, token, options);
+  return events;
+}
+
+/**
+ * Builds the request for a user's own repositories
+ * `/user/repos` lists private repositories as well, but only for the token's own user
+ * @param {string} username - GitHub username
+ * @param {boolean} includePrivate - Whether to list private repositories
+ * @returns {Object} { path, params }
+ */
+function getUserReposRequest(username, includePrivate) {
+  return includePrivate
+    ? { path: '/user/repos', params: { affiliation: 'owner', visibility: 'all' } }
+    : { path: `/users/${username}/repos`, params: { type: 'owner' } };
 }
 
 /**
@@ -57,16 +194,65 @@ export async function fetchUserEvents(username, token = null, perPage = 100) {
  * @param {string} token - GitHub token (optional)
  * @param {string} sort - Sort field (created, updated, pushed, full_name)
  * @param {number} perPage - Number of repos per page
+ * @param {boolean} includePrivate - Include private repositories (token of that user required)
  * @returns {Promise<Array>} Array of repositories
  */
-export async function fetchUserRepos(username, token = null, sort = 'pushed', perPage = 100) {
+export async function fetchUserRepos(username, token = null, sort = 'pushed', perPage = 100, includePrivate = false) {
   const client = createGitHubClient(token);
-  const response = await client.get(`/users/${username}/repos`, {
-    params: { sort, per_page: perPage, type: 'owner' }
+  const { path, params } = getUserReposRequest(username, includePrivate);
+  const response = await client.get(path, {
+    params: { sort, per_page: perPage, ...params }
   });
   return response.data;
 }
 
+/**
+ * Fetches every item of a paginated list endpoint, following `Link` headers
+ * @param {string} path - List endpoint
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {Object} options.params - Query parameters of the first page
+ * @param {number} options.maxPages - Maximum number of pages to follow
+ * @returns {Promise<Array>} Items of all pages
+ */
+export async function fetchAllPages(path, token = null, options = {}) {
+  const { params: firstParams = {}, maxPages = 10 } = options;
+  const client = createGitHubClient(token);
+
+  const items = [];
+  let url = path;
+  let params = { per_page: 100, ...firstParams };
+
+  for (let page = 0; page < maxPages && url; page++) {
+    const response = await client.get(url, { params });
+    items.push(...response.data);
+
+    url = parseLinkHeader(response.headers?.link).next;
+    params = undefined;
+  }
+
+  return items;
+}
+
+/**
+ * Fetches all of a user's repositories, following pagination
+ * @param {string} username - GitHub username
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string} options.sort - Sort field (created, updated, pushed, full_name)
+ * @param {number} options.maxPages - Maximum number of pages of 100 repositories
+ * @param {boolean} options.includePrivate - Include private repositories (token of that user required)
+ * @returns {Promise<Array>} Array of repositories
+ */
+export async function fetchAllUserRepos(username, token = null, options = {}) {
+  const { sort = 'pushed', maxPages = 10, includePrivate = false } = options;
+  const { path, params } = getUserReposRequest(username, includePrivate);
+  return fetchAllPages(path, token, {
+    params: { sort, ...params },
+    maxPages,
+  });
+}
+
 /**
  * Fetches repository commit activity
  * @param {string} owner - Repository owner
@@ -75,63 +261,248 @@ export async function fetchUserRepos(username, token = null, sort = 'pushed', pe
  * @returns {Promise<Array>} Commit activity data
  */
 export async function fetchRepoCommitActivity(owner, repo, token = null) {
+  // Empty while GitHub is still computing the statistics
+  return (await fetchRepoStats(owner, repo, 'commit_activity', token)) ?? [];
+}
+
+/**
+ * GraphQL query for a user's contribution calendar and totals
+ */
+const CONTRIBUTIONS_QUERY = `
+query($login: String!, $from: DateTime, $to: DateTime) {
+  user(login: $login) {
+    contributionsCollection(from: $from, to: $to) {
+      startedAt
+      endedAt
+      totalCommitContributions
+      totalPullRequestContributions
+      totalIssueContributions
+      totalPullRequestReviewContributions
+      totalRepositoryContributions
+      restrictedContributionsCount
+      contributionCalendar {
+        totalContributions
+        weeks {
+          contributionDays {
+            date
+            contributionCount
+            weekday
+          }
+        }
+      }
+    }
+  }
+}`;
+
+/**
+ * Runs a query against the GitHub GraphQL API
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @param {string} token - GitHub token (required by the GraphQL API)
+ * @returns {Promise<Object>} Query result data
+ */
+export async function graphqlRequest(query, variables, token) {
+  if (!token) {
+    throw new Error('A GitHub token is required for the GraphQL API');
+  }
+
   const client = createGitHubClient(token);
-  try {
-    const response = await client.get(`/repos/${owner}/${repo}/stats/commit_activity`);
-    return response.data;
-  } catch (error) {
-    if (error.response?.status === 202) {
-      // GitHub is computing the stats, return empty for now
-      return [];
+  const response = await client.post('/graphql', { query, variables });
+
+  if (response.data.errors?.length) {
+    const [error] = response.data.errors;
+    const graphqlError = new Error(`GitHub GraphQL error: ${error.message}`);
+    graphqlError.type = error.type;
+    throw graphqlError;
+  }
+
+  return response.data.data;
+}
+
+/**
+ * Fetches a user's contribution calendar (includes private contribution counts)
+ * GitHub limits a single query to a period of at most one year
+ * @param {string} username - GitHub username
+ * @param {string} token - GitHub token (required)
+ * @param {Object} options - Options
+ * @param {string|Date} options.from - Start of the period (defaults to one year ago)
+ * @param {string|Date} options.to - End of the period (defaults to now)
+ * @returns {Promise<Object>} Contribution calendar with daily counts and totals
+ */
+export async function fetchContributionCalendar(username, token, options = {}) {
+  const { from, to } = options;
+
+  const data = await graphqlRequest(CONTRIBUTIONS_QUERY, {
+    login: username,
+    from: from ? new Date(from).toISOString() : null,
+    to: to ? new Date(to).toISOString() : null,
+  }, token);
+
+  const collection = data?.user?.contributionsCollection;
+  if (!collection) {
+    throw new Error(`User "${username}" not found`);
+  }
+
+  const days = {};
+  for (const week of collection.contributionCalendar.weeks) {
+    for (const day of week.contributionDays) {
+      days[day.date] = day.contributionCount;
     }
-    throw error;
   }
+
+  return {
+    from: collection.startedAt,
+    to: collection.endedAt,
+    days,
+    totals: {
+      contributions: collection.contributionCalendar.totalContributions,
+      commits: collection.totalCommitContributions,
+      pullRequests: collection.totalPullRequestContributions,
+      issues: collection.totalIssueContributions,
+      reviews: collection.totalPullRequestReviewContributions,
+      repositories: collection.totalRepositoryContributions,
+      restricted: collection.restrictedContributionsCount,
+    },
+  };
 }
 
 /**
  * Fetches user's contribution stats from repositories they own
  * @param {string} username - GitHub username
  * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Language options (see language-stats.js)
  * @returns {Promise<Object>} Aggregated contribution stats
  */
-export async function fetchContributionStats(username, token = null) {
-  const client = createGitHubClient(token);
+export async function fetchContributionStats(username, token = null, options = {}) {
+  // Get all of the user's repositories
+  const repos = await fetchAllUserRepos(username, token);
+  return buildContributionStats(repos, token, options);
+}
 
-  // Get user's repositories
-  const repos = await fetchUserRepos(username, token);
+/**
+ * Aggregates stars, forks and languages across repositories
+ * Repositories left out by the repository filters (forks, archived, exclude_repos)
+ * count nowhere in the totals. The names of those the request or configuration
+ * left out explicitly are kept, so their events can be left out too; forks,
+ * left out of the totals by default, keep their events unless `excludeForkActivity` is set
+ * @param {Array} repos - Repositories from the GitHub API (sorted by most recent push)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Language options (see language-stats.js)
+ * @returns {Promise<Object>} Aggregated contribution stats
+ */
+export async function buildContributionStats(repos, token = null, options = {}) {
+  const included = filterRepos(repos, options);
+  const withActivity = filterRepos(repos, { ...options, excludeForks: Boolean(options.excludeForkActivity) });
+  const excludedRepos = repos
+    .filter(repo => !withActivity.includes(repo))
+    .map(repo => repo.full_name)
+    .filter(Boolean);
 
-  // Get language statistics
-  const languageStats = {};
-  for (const repo of repos.slice(0, 20)) { // Limit to avoid rate limiting
-    if (repo.language) {
-      languageStats[repo.language] = (languageStats[repo.language] || 0) + repo.size;
-    }
-  }
+  // Get language statistics from per-repository byte counts
+  const languageStats = await fetchLanguageStats(included, token, options);
 
   // Calculate totals
-  const totalStars = repos.reduce((sum, repo) => sum + repo.stargazers_count, 0);
-  const totalForks = repos.reduce((sum, repo) => sum + repo.forks_count, 0);
-  const totalRepos = repos.length;
+  const totalStars = included.reduce((sum, repo) => sum + repo.stargazers_count, 0);
+  const totalForks = included.reduce((sum, repo) => sum + repo.forks_count, 0);
+  const totalRepos = included.length;
 
   return {
     totalStars,
     totalForks,
     totalRepos,
-    languages: languageStats,
-    recentRepos: repos.slice(0, 10),
+    languages: languageStats.languages,
+    languageBytes: languageStats.bytes,
+    languageRepoCounts: languageStats.repoCounts,
+    languageWeighting: languageStats.weighting,
+    recentRepos: included.slice(0, 10),
+    excludedRepos,
+  };
+}
+
+/**
+ * Calculates the current and longest runs of consecutive active days
+ *
+ * The current streak only counts if it is still alive: today has not ended yet,
+ * so a streak ending yesterday is still current. With the `weekends` grace rule,
+ * inactive Saturdays and Sundays neither break a streak nor count towards it.
+ * @param {Object} dailyActivity - Map of YYYY-MM-DD dates to activity counts
+ * @param {Object} options - Options
+ * @param {string} options.today - Today's date (YYYY-MM-DD) in the user's timezone
+ * @param {string} options.grace - Grace rule: 'none' or 'weekends'
+ * @returns {Object} { current, longest }, each { days, start, end }
+ */
+export function calculateStreaks(dailyActivity, options = {}) {
+  const { today, grace = 'none' } = options;
+  const emptyStreak = { days: 0, start: null, end: null };
+
+  const dates = Object.keys(dailyActivity)
+    .filter(date => dailyActivity[date] > 0)
+    .sort();
+
+  if (dates.length === 0) {
+    return { current: { ...emptyStreak }, longest: { ...emptyStreak } };
+  }
+
+  const lastDate = today && today > dates[dates.length - 1] ? today : dates[dates.length - 1];
+  const cursor = new Date(`${dates[0]}T00:00:00Z`);
+  const end = new Date(`${lastDate}T00:00:00Z`);
+
+  let run = null;
+  let longest = { ...emptyStreak };
+
+  while (cursor <= end) {
+    const date = cursor.toISOString().split('T')[0];
+    const weekday = cursor.getUTCDay();
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+
+    if (dailyActivity[date] > 0) {
+      run = run || { days: 0, start: date, end: date };
+      run.days++;
+      run.end = date;
+      if (run.days > longest.days) {
+        longest = { ...run };
+      }
+    } else if (date === today) {
+      // Today is not over yet
+    } else if (grace === 'weekends' && (weekday === 0 || weekday === 6)) {
+      // Weekend off
+    } else {
+      run = null;
+    }
+  }
+
+  // Without knowing today, the most recent run is treated as current
+  return {
+    current: run ? { ...run } : { ...emptyStreak },
+    longest,
   };
 }
 
 /**
  * Analyzes user events and extracts activity patterns
  * @param {Array} events - Array of GitHub events
+ * @param {Object} options - Options
+ * @param {Object} options.window - Time window covered by the events
+ * @param {Object} options.contributionCalendar - Calendar from fetchContributionCalendar (optional)
+ * @param {string} options.timezone - IANA name or UTC offset for hourly and daily buckets
+ *   (defaults to the runtime's local timezone)
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {Date} options.now - Current time (for testing)
  * @returns {Object} Activity analysis
  */
-export function analyzeEvents(events) {
+export function analyzeEvents(events, options = {}) {
+  const {
+    window = null,
+    contributionCalendar = null,
+    timezone,
+    streakGrace = 'none',
+    now = new Date(),
+  } = options;
   const eventCounts = {};
   const repoActivity = {};
   const dailyActivity = {};
   const hourlyActivity = Array(24).fill(0);
+  const weekdayActivity = Array(7).fill(0); // Sunday first
 
   for (const event of events) {
     // Count event types
@@ -141,16 +512,12 @@ export function analyzeEvents(events) {
     const repoName = event.repo?.name || 'unknown';
     repoActivity[repoName] = (repoActivity[repoName] || 0) + 1;
 
-    // Track daily activity
-    const date = event.created_at?.split('T')[0];
-    if (date) {
-      dailyActivity[date] = (dailyActivity[date] || 0) + 1;
-    }
-
-    // Track hourly activity
-    const hour = new Date(event.created_at).getHours();
-    if (!isNaN(hour)) {
-      hourlyActivity[hour]++;
+    // Track daily, hourly and weekday activity in the user's local time
+    const local = getLocalDateParts(event.created_at, timezone);
+    if (local) {
+      dailyActivity[local.date] = (dailyActivity[local.date] || 0) + 1;
+      hourlyActivity[local.hour]++;
+      weekdayActivity[local.weekday]++;
     }
   }
 
@@ -161,79 +528,181 @@ export function analyzeEvents(events) {
   const sortedRepos = Object.entries(repoActivity).sort((a, b) => b[1] - a[1]);
   const mostActiveRepo = sortedRepos[0]?.[0] || null;
 
-  // Calculate activity streak
-  const dates = Object.keys(dailyActivity).sort();
-  let currentStreak = 0;
-  let maxStreak = 0;
-
-  if (dates.length > 0) {
-    currentStreak = 1;
-    for (let i = 1; i < dates.length; i++) {
-      const prevDate = new Date(dates[i - 1]);
-      const currDate = new Date(dates[i]);
-      const diffDays = Math.round((currDate - prevDate) / (1000 * 60 * 60 * 24));
-
-      if (diffDays === 1) {
-        currentStreak++;
-      } else {
-        maxStreak = Math.max(maxStreak, currentStreak);
-        currentStreak = 1;
-      }
-    }
-    maxStreak = Math.max(maxStreak, currentStreak);
-  }
+  // Prefer the contribution calendar for daily activity and streaks, it covers a full year
+  const dailyCounts = contributionCalendar ? contributionCalendar.days : dailyActivity;
+  const { current, longest } = calculateStreaks(dailyCounts, {
+    today: getLocalDateParts(now, timezone).date,
+    grace: streakGrace,
+  });
 
   return {
     eventCounts,
+    activityCounts: countActivity(normalizeEvents(events)), // What the events did, see event-normalizer.js
     repoActivity: sortedRepos.slice(0, 5),
     peakHour,
-    activityStreak: maxStreak,
+    hourlyActivity,
+    weekdayActivity,
+    currentStreak: current,
+    longestStreak: longest,
+    activityStreak: longest.days, // Kept for compatibility, same as longestStreak.days
     totalEvents: events.length,
     mostActiveRepo,
-    dailyActivity,
+    dailyActivity: dailyCounts,
+    contributionTotals: contributionCalendar ? contributionCalendar.totals : null,
+    // The period the calendar covers, which may be longer than the events window
+    contributionWindow: contributionCalendar ? { since: contributionCalendar.from, until: contributionCalendar.to } : null,
+    source: contributionCalendar ? 'contribution-calendar' : 'events',
+    window,
+    timezone: timezone || null,
+    commitTrends: [], // Weekly commit trends per top repository, filled in by fetchAllActivityData
   };
 }
 
+/**
+ * Number of top repositories to fetch weekly commit trends for
+ */
+const COMMIT_TREND_REPOS = 3;
+
+/**
+ * Creates a loader that goes through a cache when there is one
+ * Without a cache every piece of data is loaded directly
+ * @param {Object} cache - Cache from createCache (optional)
+ * @returns {Function} (kind, key, loader) => Promise of the loaded data
+ */
+export function createCachedLoader(cache) {
+  return (kind, key, loader) => (cache ? cache.getOrLoad(kind, key, loader) : loader());
+}
+
+/**
+ * Builds the cache key part of an activity window
+ * @param {string|Date} since - Start of the window (optional)
+ * @param {string|Date} until - End of the window (optional)
+ * @returns {string} Key part
+ */
+export function getWindowKey(since, until) {
+  return [since, until].map(value => (value ? new Date(value).toISOString() : '')).join(':');
+}
+
+/**
+ * Leaves out the events of excluded repositories, which count nowhere
+ * @param {Array} events - Array of GitHub events
+ * @param {Object} contributionStats - Stats from buildContributionStats, for its `excludedRepos` (optional)
+ * @param {Object} languageOptions - Repository filters, for their `excludeRepos` patterns (optional)
+ * @returns {Array} Remaining events
+ */
+export function filterActivityEvents(events, contributionStats, languageOptions) {
+  return filterExcludedEvents(events, {
+    excludedRepos: contributionStats?.excludedRepos,
+    excludeRepos: languageOptions?.excludeRepos,
+  });
+}
+
+/**
+ * Fetches weekly commit trends of the most active repositories of an analysis
+ * @param {Object} eventAnalysis - Analysis from analyzeEvents
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options (see fetchCommitTrends)
+ * @returns {Promise<Array>} Trends of up to COMMIT_TREND_REPOS repositories
+ */
+export function fetchTopCommitTrends(eventAnalysis, token = null, options = {}) {
+  const trendRepos = eventAnalysis.repoActivity.slice(0, COMMIT_TREND_REPOS).map(([repoName]) => repoName);
+  return fetchCommitTrends(trendRepos, token, options);
+}
+
 /**
  * Fetches and aggregates all user activity data
  * @param {string} username - GitHub username
  * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Start of the activity window
+ * @param {string|Date} options.until - End of the activity window
+ * @param {string} options.timezone - User's timezone (IANA name or UTC offset)
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {Object} options.languageOptions - Repository and language filters and weighting (see language-stats.js)
+ * @param {Object} options.cache - Cache from createCache for profile, events, repos and contributions (optional)
+ * @param {Object} options.access - Access from resolveActivityAccess (see privacy.js), public only by default
+ * @param {Object} options.statsPolling - { retries, delay } while repository statistics are computed (see fetchRepoStats)
  * @returns {Promise<Object>} Complete activity data
  */
-export async function fetchAllActivityData(username, token = null) {
+export async function fetchAllActivityData(username, token = null, options = {}) {
+  const { since, until, timezone, streakGrace, languageOptions, cache, access, statsPolling } = options;
+  const includePrivate = Boolean(access?.includePrivate);
+
+  const cached = createCachedLoader(cache);
+  const user = username.toLowerCase();
+  const windowKey = getWindowKey(since, until);
+  // Private events and repositories are kept apart from the public ones
+  const sourceKey = includePrivate ? `${user}:private` : user;
+
   try {
-    const [profile, events, contributionStats] = await Promise.all([
-      fetchUserProfile(username, token),
-      fetchUserEvents(username, token),
-      fetchContributionStats(username, token),
+    const [profile, eventHistory, contributionStats, contributionCalendar] = await Promise.all([
+      cached('profile', user, () => fetchUserProfile(username, token)),
+      cached('events', `${sourceKey}:${windowKey}`, () =>
+        fetchUserEventHistory(username, token, { since, until, includePrivate })
+      ),
+      cached('repos', `${sourceKey}:${getLanguageOptionsKey(languageOptions)}`, async () =>
+        buildContributionStats(await fetchAllUserRepos(username, token, { includePrivate }), token, languageOptions)
+      ),
+      // The contribution calendar needs a token; without one, fall back to events only
+      token
+        ? cached('contributions', `${user}:${windowKey}`, () =>
+          fetchContributionCalendar(username, token, { from: since, to: until })
+        ).catch(() => null)
+        : null,
     ]);
 
-    const eventAnalysis = analyzeEvents(events);
+    const { window } = eventHistory;
+    const events = filterActivityEvents(eventHistory.events, contributionStats, languageOptions);
+    const eventAnalysis = analyzeEvents(events, {
+      window,
+      contributionCalendar,
+      timezone,
+      streakGrace,
+    });
+
+    eventAnalysis.commitTrends = await fetchTopCommitTrends(eventAnalysis, token, { ...statsPolling, cache });
 
-    return {
+    const activityData = {
       profile,
       events,
+      window,
+      contributionCalendar,
       eventAnalysis,
       contributionStats,
       fetchedAt: new Date().toISOString(),
     };
+
+    // Names are only hidden now, so private work still counted in the analysis above
+    return includePrivate && access.anonymize ? anonymizeActivityData(activityData) : activityData;
   } catch (error) {
     if (error.response?.status === 404) {
       throw new Error(`User "${username}" not found`);
     }
-    if (error.response?.status === 403) {
-      throw new Error('GitHub API rate limit exceeded. Please try again later or provide a token.');
-    }
+    // Rate limits and permission errors arrive as GitHubApiError with a descriptive message
     throw error;
   }
 }
 
 export default {
+  isValidLogin,
   fetchUserProfile,
+  parseLinkHeader,
+  fetchEventHistory,
+  fetchUserEventHistory,
   fetchUserEvents,
   fetchUserRepos,
+  fetchAllPages,
+  fetchAllUserRepos,
   fetchRepoCommitActivity,
+  graphqlRequest,
+  fetchContributionCalendar,
   fetchContributionStats,
+  buildContributionStats,
+  calculateStreaks,
   analyzeEvents,
+  createCachedLoader,
+  getWindowKey,
+  filterActivityEvents,
+  fetchTopCommitTrends,
   fetchAllActivityData,
 };
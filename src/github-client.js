@@ -0,0 +1,416 @@
+/**
+ * GitHub Client
+ * axios client for the GitHub API with conditional requests, rate-limit
+ * handling, retries and token rotation
+ *
+ * GET responses carrying an `ETag` or `Last-Modified` header are remembered per
+ * URL and token. Repeating the request sends `If-None-Match`/`If-Modified-Since`,
+ * and a `304 Not Modified` reply (which GitHub does not count against the rate
+ * limit) is answered from the remembered response.
+ *
+ * Rate-limit headers are tracked per token. Secondary rate limits and server
+ * errors are retried with exponential backoff; an exhausted primary rate limit
+ * switches to the token with the most remaining quota, or waits for the reset
+ * when it is close enough. Requests run inside HTTP handlers (serverless
+ * functions have a few seconds), so all retries of a request share a small time
+ * budget; anything longer fails right away and the cache serves stale data.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import { createMemoryStore } from './cache.js';
+
+const GITHUB_API_BASE = 'https://api.github.com';
+
+/**
+ * How long remembered responses are kept for revalidation
+ */
+const VALIDATOR_TTL = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Default retry behaviour
+ */
+const DEFAULT_RETRY = {
+  maxRetries: 3,
+  baseDelay: 500,
+  maxRetryTime: 5000, // Time from the first attempt after which a request is no longer retried
+};
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_TIMEOUT = 10000;
+
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Remembered responses shared by all clients of this process
+ * They hold full response bodies, so the store is bounded by size as well
+ */
+const defaultValidatorStore = createMemoryStore({ maxEntries: 500, maxSize: 20 * 1024 * 1024 });
+
+/**
+ * Error for GitHub responses that were refused (rate limits and permissions)
+ *
+ * `kind` is one of:
+ *   rate_limit            primary rate limit exhausted until `resetAt`
+ *   secondary_rate_limit  abuse/concurrency limit, retry after `retryAfter` ms
+ *   forbidden             the token lacks access to the resource
+ */
+export class GitHubApiError extends Error {
+  constructor(message, { status, kind, resetAt = null, retryAfter = null, response = null } = {}) {
+    super(message);
+    this.name = 'GitHubApiError';
+    this.status = status;
+    this.kind = kind;
+    this.resetAt = resetAt;
+    this.retryAfter = retryAfter;
+    this.response = response;
+  }
+}
+
+/**
+ * Reads the rate-limit state from response headers
+ * @param {Object} headers - Response headers
+ * @returns {Object} { remaining, resetAt, retryAfter } (null where the header is missing)
+ */
+export function parseRateLimitHeaders(headers = {}) {
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = headers['x-ratelimit-reset'];
+  const retryAfter = headers['retry-after'];
+
+  return {
+    remaining: remaining !== undefined ? parseInt(remaining) : null,
+    resetAt: reset !== undefined ? parseInt(reset) * 1000 : null,
+    retryAfter: retryAfter !== undefined ? parseInt(retryAfter) * 1000 : null,
+  };
+}
+
+/**
+ * Classifies a refused (403/429) GitHub response
+ * See https://docs.github.com/rest/using-the-rest-api/rate-limits-for-the-rest-api
+ * @param {Object} response - axios response
+ * @returns {GitHubApiError|null} Classified error, or null if the response is not a refusal
+ */
+export function classifyGitHubError(response) {
+  if (!response || (response.status !== 403 && response.status !== 429)) {
+    return null;
+  }
+
+  const { remaining, resetAt, retryAfter } = parseRateLimitHeaders(response.headers);
+  const message = String(response.data?.message || '');
+  const details = { status: response.status, resetAt, retryAfter, response };
+
+  if (retryAfter !== null || /secondary rate limit/i.test(message)) {
+    return new GitHubApiError(
+      'GitHub API secondary rate limit hit. Please try again in a few minutes.',
+      { ...details, kind: 'secondary_rate_limit' }
+    );
+  }
+
+  if (remaining === 0 || response.status === 429) {
+    const resetText = resetAt ? ` Resets at ${new Date(resetAt).toISOString()}.` : '';
+    return new GitHubApiError(
+      `GitHub API rate limit exceeded.${resetText} Please try again later or provide a token.`,
+      { ...details, kind: 'rate_limit' }
+    );
+  }
+
+  return new GitHubApiError(
+    `GitHub API access forbidden${message ? `: ${message}` : ''}`,
+    { ...details, kind: 'forbidden' }
+  );
+}
+
+/**
+ * Creates a pool of tokens that hands out the one with the most remaining quota
+ * Tokens whose quota is not known yet (or whose limit has reset) are preferred
+ * @param {Array<string>} tokens - GitHub tokens
+ * @returns {Object|null} Token pool, or null if there are no tokens
+ */
+export function createTokenPool(tokens) {
+  const states = [...new Set(tokens.map(token => token?.trim()).filter(Boolean))]
+    .map(token => ({ token, remaining: null, resetAt: null }));
+
+  if (states.length === 0) return null;
+
+  const getRemaining = (state, now) => {
+    if (state.remaining === null || (state.resetAt !== null && now >= state.resetAt)) {
+      return Infinity;
+    }
+    return state.remaining;
+  };
+
+  return {
+    isTokenPool: true,
+
+    get size() {
+      return states.length;
+    },
+
+    /**
+     * Picks the token with the most remaining quota
+     * @returns {string} Token
+     */
+    acquire() {
+      const now = Date.now();
+      let best = states[0];
+      for (const state of states) {
+        if (getRemaining(state, now) > getRemaining(best, now)) {
+          best = state;
+        }
+      }
+      return best.token;
+    },
+
+    /**
+     * Records the rate-limit headers of a response made with a token
+     * @param {string} token - Token used for the request
+     * @param {Object} headers - Response headers
+     */
+    update(token, headers) {
+      const state = states.find(item => item.token === token);
+      const { remaining, resetAt } = parseRateLimitHeaders(headers);
+      if (!state || remaining === null) return;
+
+      state.remaining = remaining;
+      state.resetAt = resetAt;
+    },
+
+    /**
+     * Marks a token as exhausted, e.g. after a rate-limit response without headers
+     * @param {string} token - Token
+     * @param {number} resetAt - When the limit resets (timestamp in milliseconds)
+     */
+    markExhausted(token, resetAt = null) {
+      const state = states.find(item => item.token === token);
+      if (!state) return;
+
+      state.remaining = 0;
+      state.resetAt = resetAt ?? state.resetAt;
+    },
+
+    /**
+     * Checks whether any token has quota left
+     * @returns {boolean} True if a request can be made without waiting
+     */
+    hasQuota() {
+      const now = Date.now();
+      return states.some(state => getRemaining(state, now) > 0);
+    },
+
+    /**
+     * Gets the earliest time an exhausted token resets
+     * @returns {number|null} Timestamp in milliseconds
+     */
+    nextReset() {
+      const resets = states.map(state => state.resetAt).filter(resetAt => resetAt !== null);
+      return resets.length > 0 ? Math.min(...resets) : null;
+    },
+  };
+}
+
+/**
+ * Creates the token pool configured through environment variables
+ * GITHUB_TOKENS is a comma-separated list; GITHUB_TOKEN is used if it is not set
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Token pool, or null if no token is configured
+ */
+export function createTokenPoolFromEnv(env = process.env) {
+  const tokens = env.GITHUB_TOKENS ? env.GITHUB_TOKENS.split(',') : [env.GITHUB_TOKEN];
+  return createTokenPool(tokens);
+}
+
+/**
+ * Builds the key of a remembered response
+ * Responses differ per token (private data, per-user ETags), so the token is
+ * part of the key, hashed so it never ends up in a cache store
+ * @param {string} token - GitHub token
+ * @param {string} url - Request URL
+ * @param {Object} params - Query parameters
+ * @returns {string} Key
+ */
+function getValidatorKey(token, url, params) {
+  const identity = token
+    ? crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)
+    : 'anonymous';
+  return `${identity}:${url}:${params ? JSON.stringify(params) : ''}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a client for the GitHub API with optional authentication
+ * @param {string|Object} token - GitHub personal access token or token pool (optional)
+ * @param {Object} options - Options
+ * @param {Object} options.validatorStore - Store for remembered responses (see cache.js), defaults to a shared memory store
+ * @param {Object} options.retry - Retry behaviour: { maxRetries, baseDelay, maxRetryTime } (in milliseconds)
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {string} options.baseURL - API base URL (defaults to https://api.github.com)
+ * @returns {Object} Client with axios-compatible get and post methods
+ */
+export function createGitHubClient(token, options = {}) {
+  const {
+    validatorStore = defaultValidatorStore,
+    retry = {},
+    baseURL = GITHUB_API_BASE,
+    timeout = DEFAULT_TIMEOUT,
+  } = options;
+
+  const { maxRetries, baseDelay, maxRetryTime } = { ...DEFAULT_RETRY, ...retry };
+  const pool = token?.isTokenPool ? token : createTokenPool([token]);
+
+  const client = axios.create({
+    baseURL,
+    headers: {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'github-activity-readme-gen',
+    },
+    timeout,
+  });
+
+  /**
+   * Works out how long to wait before retrying a failed request
+   * @param {Error} error - Request error
+   * @param {number} attempt - Number of attempts made so far
+   * @returns {number|null} Delay in milliseconds, or null if the request should not be retried
+   */
+  function getRetryDelay(error, attempt) {
+    const backoff = baseDelay * 2 ** (attempt - 1);
+
+    if (error instanceof GitHubApiError) {
+      if (error.kind === 'secondary_rate_limit') {
+        return error.retryAfter ?? backoff;
+      }
+      if (error.kind === 'rate_limit') {
+        // Another token may still have quota
+        if (pool?.hasQuota()) return 0;
+        const resetAt = pool?.nextReset() ?? error.resetAt;
+        return resetAt ? Math.max(0, resetAt - Date.now()) : null;
+      }
+      return null;
+    }
+
+    if (error.response) {
+      return RETRYABLE_STATUSES.includes(error.response.status) ? backoff : null;
+    }
+    return RETRYABLE_CODES.includes(error.code) ? backoff : null;
+  }
+
+  /**
+   * Sends a request, retrying rate limits and transient failures
+   * @param {Function} send - Sends the request with the given token and returns the response
+   * @returns {Promise<Object>} Response
+   */
+  async function requestWithRetry(send) {
+    const deadline = Date.now() + maxRetryTime;
+
+    for (let attempt = 1; ; attempt++) {
+      const currentToken = pool?.acquire() ?? null;
+
+      try {
+        const response = await send(currentToken);
+        pool?.update(currentToken, response.headers);
+        return response;
+      } catch (caught) {
+        if (caught.response) {
+          pool?.update(currentToken, caught.response.headers);
+        }
+        const error = classifyGitHubError(caught.response) || caught;
+        if (error.kind === 'rate_limit') {
+          pool?.markExhausted(currentToken, error.resetAt);
+        }
+
+        // Fail fast rather than outliving the HTTP handler
+        const delay = attempt <= maxRetries ? getRetryDelay(error, attempt) : null;
+        if (delay === null || Date.now() + delay > deadline) {
+          throw error;
+        }
+        await sleep(delay);
+      }
+    }
+  }
+
+  const withAuthorization = (config, currentToken) => {
+    if (!currentToken) return config;
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${currentToken}` },
+    };
+  };
+
+  /**
+   * Sends a GET request, revalidating a remembered response if there is one
+   * @param {string} url - Request URL
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} Response; `notModified` is set when served from a 304
+   */
+  function get(url, config = {}) {
+    return requestWithRetry(async currentToken => {
+      const key = getValidatorKey(currentToken, url, config.params);
+      const remembered = await validatorStore.get(key);
+
+      const requestConfig = { ...config };
+      if (remembered) {
+        requestConfig.headers = { ...config.headers };
+        if (remembered.etag) requestConfig.headers['If-None-Match'] = remembered.etag;
+        if (remembered.lastModified) requestConfig.headers['If-Modified-Since'] = remembered.lastModified;
+      }
+
+      let response;
+      try {
+        response = await client.get(url, withAuthorization(requestConfig, currentToken));
+      } catch (error) {
+        // axios rejects 304 since it is not a 2xx status
+        if (remembered && error.response?.status === 304) {
+          return {
+            status: 200,
+            data: remembered.data,
+            headers: { ...remembered.headers, ...error.response.headers },
+            notModified: true,
+          };
+        }
+        throw error;
+      }
+
+      const etag = response.headers?.etag;
+      const lastModified = response.headers?.['last-modified'];
+      if (response.status === 200 && (etag || lastModified)) {
+        await validatorStore.set(key, {
+          etag,
+          lastModified,
+          data: response.data,
+          headers: { ...response.headers },
+        }, VALIDATOR_TTL);
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * Sends a POST request
+   * @param {string} url - Request URL
+   * @param {Object} data - Request body
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} Response
+   */
+  function post(url, data, config = {}) {
+    return requestWithRetry(currentToken => client.post(url, data, withAuthorization(config, currentToken)));
+  }
+
+  return {
+    get,
+    post,
+  };
+}
+
+export default {
+  GitHubApiError,
+  parseRateLimitHeaders,
+  classifyGitHubError,
+  createTokenPool,
+  createTokenPoolFromEnv,
+  createGitHubClient,
+};
@@ -7,38 +7,35 @@
 
 import http from 'http';
 import { URL } from 'url';
-import { fetchAllActivityData } from './github-api.js';
-import { generateActivitySummary } from './activity-summarizer.js';
-import { generateActivityCard, generateCompactCard, generateLanguagesCard } from './card-generator.js';
+import { isValidTimezone } from './timezone.js';
+import { createActivityService } from './activity-service.js';
+import { createTokenPoolFromEnv } from './github-client.js';
+import { isValidLogin } from './github-api.js';
+import { parseLanguageOptions } from './language-stats.js';
+import { parseRepoName } from './repo-activity.js';
+import { parsePrivacyFilters } from './privacy.js';
+import { parseLeaderboardUsers, LEADERBOARD_METRICS } from './leaderboard.js';
+import {
+  generateActivityCard,
+  generateCompactCard,
+  generateLanguagesCard,
+  generateHeatmapCard,
+  generateScheduleCard,
+  generateRepoCard,
+  generateLeaderboardCard,
+} from './card-generator.js';
+import { generateReadme } from './readme-generator.js';
+import { buildSummaryJson, buildLeaderboardJson } from './summary-json.js';
 import themes from '../themes/index.js';
 import 'dotenv/config';
 
 const PORT = process.env.PORT || 3000;
 
-/**
- * Simple in-memory cache
- */
-const cache = new Map();
-const CACHE_TTL = 4 * 60 * 60 * 1000; // 4 hours
-
-async function getCachedData(username, token) {
-  const cacheKey = `user:${username}`;
-  const cached = cache.get(cacheKey);
-
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-
-  const activityData = await fetchAllActivityData(username, token);
-  const summaryData = generateActivitySummary(activityData);
+// Fetches, summarizes and caches activity (store and TTLs configured via CACHE_* env vars)
+const activityService = createActivityService();
 
-  cache.set(cacheKey, {
-    data: summaryData,
-    timestamp: Date.now(),
-  });
-
-  return summaryData;
-}
+// Tokens from GITHUB_TOKENS (or GITHUB_TOKEN), rotated by remaining rate limit
+const tokenPool = createTokenPoolFromEnv();
 
 /**
  * Request handler
@@ -54,23 +51,72 @@ async function handleRequest(req, res) {
     return;
   }
 
-  // API endpoint
-  if (pathname === '/' || pathname === '/api') {
+  // API endpoint (/api/summary always returns JSON)
+  if (pathname === '/' || pathname === '/api' || pathname === '/api/summary') {
     const username = url.searchParams.get('username');
+    const org = url.searchParams.get('org');
+    const repo = url.searchParams.get('repo');
+    const users = url.searchParams.get('users');
+    const sortBy = url.searchParams.get('sort') || 'events';
+    const format = pathname === '/api/summary' ? 'json' : url.searchParams.get('format') || 'svg';
     const theme = url.searchParams.get('theme') || 'default';
     const type = url.searchParams.get('type') || 'activity';
     const border = url.searchParams.get('border') !== 'false';
     const borderRadius = parseFloat(url.searchParams.get('border_radius')) || 4.5;
     const hideStats = url.searchParams.get('hide_stats') === 'true';
     const hideProjects = url.searchParams.get('hide_projects') === 'true';
+    const daysParam = url.searchParams.get('days');
+    const days = daysParam ? Math.min(parseInt(daysParam), 90) : 0;
+    const timezone = url.searchParams.get('tz') || undefined;
+    const streak = url.searchParams.get('streak') || 'current';
+    const streakGrace = url.searchParams.get('streak_grace') === 'weekends' ? 'weekends' : 'none';
+    const languageOptions = parseLanguageOptions(Object.fromEntries(url.searchParams));
+    const privacyFilters = parsePrivacyFilters(Object.fromEntries(url.searchParams));
 
-    if (!username) {
+    if (!username && !org && !repo && !users) {
       res.writeHead(400, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({
         error: 'Missing required parameter: username',
-        usage: '/?username=YOUR_GITHUB_USERNAME',
+        usage: '/?username=YOUR_GITHUB_USERNAME, /?org=YOUR_GITHUB_ORG, /?repo=OWNER/NAME or /?users=alice,bob',
         available_themes: Object.keys(themes),
-        available_types: ['activity', 'compact', 'languages'],
+        available_types: ['activity', 'compact', 'languages', 'heatmap', 'schedule', 'readme'],
+      }));
+      return;
+    }
+
+    let leaderboardUsers = null;
+    if (users) {
+      try {
+        leaderboardUsers = parseLeaderboardUsers(users);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+        return;
+      }
+      if (!LEADERBOARD_METRICS.includes(sortBy)) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          error: `Invalid sort: ${sortBy}`,
+          available_sorts: LEADERBOARD_METRICS,
+        }));
+        return;
+      }
+    }
+
+    if (repo && !parseRepoName(repo)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Invalid repository format',
+        usage: '/?repo=OWNER/NAME',
+      }));
+      return;
+    }
+
+    // Organization names follow the same rules as usernames
+    if (!repo && !users && !isValidLogin(org || username)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: org ? 'Invalid organization format' : 'Invalid username format',
       }));
       return;
     }
@@ -84,9 +130,86 @@ async function handleRequest(req, res) {
       return;
     }
 
+    if (daysParam && !(parseInt(daysParam) > 0)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: `Invalid days: ${daysParam}`,
+        usage: 'Use a number of days from 1 to 90 (days=30)',
+      }));
+      return;
+    }
+
+    if (timezone && !isValidTimezone(timezone)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: `Invalid timezone: ${timezone}`,
+        usage: 'Use an IANA name (tz=Europe/Berlin) or a UTC offset (tz=-05:00)',
+      }));
+      return;
+    }
+
     try {
-      const token = process.env.GITHUB_TOKEN;
-      const summaryData = await getCachedData(username, token);
+      if (leaderboardUsers) {
+        const { leaderboard, fetchedAt } = await activityService.getLeaderboard(leaderboardUsers, tokenPool, {
+          days,
+          timezone,
+          streakGrace,
+          sortBy,
+          languageOptions,
+        });
+
+        const json = format === 'json';
+        res.writeHead(200, {
+          'Content-Type': json ? 'application/json' : 'image/svg+xml',
+          'Cache-Control': 'public, max-age=14400',
+        });
+        res.end(json
+          ? JSON.stringify(buildLeaderboardJson(leaderboard, { fetchedAt }))
+          : generateLeaderboardCard(leaderboard, {
+            theme,
+            showBorder: border,
+            borderRadius,
+            title: url.searchParams.get('title') || undefined,
+          }));
+        return;
+      }
+
+      let getActivity = activityService.getActivity;
+      if (repo) {
+        getActivity = activityService.getRepoActivity;
+      } else if (org) {
+        getActivity = activityService.getOrgActivity;
+      }
+      const { summaryData, eventAnalysis, fetchedAt } = await getActivity(repo || org || username, tokenPool, {
+        days,
+        timezone,
+        streakGrace,
+        languageOptions,
+        privacyFilters,
+      });
+
+      if (format === 'json') {
+        res.writeHead(200, {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'public, max-age=14400',
+        });
+        res.end(JSON.stringify(buildSummaryJson(summaryData, eventAnalysis, { fetchedAt })));
+        return;
+      }
+
+      if (type === 'readme') {
+        const markdown = generateReadme(summaryData, {
+          theme,
+          cardBaseUrl: `http://${req.headers.host || `localhost:${PORT}`}`,
+          params: Object.fromEntries(url.searchParams),
+        });
+        res.writeHead(200, {
+          'Content-Type': 'text/markdown; charset=utf-8',
+          'Cache-Control': 'public, max-age=14400',
+        });
+        res.end(markdown);
+        return;
+      }
 
       const options = {
         theme,
@@ -94,6 +217,10 @@ async function handleRequest(req, res) {
         borderRadius,
         hideStats,
         hideProjects,
+        streak,
+        layout: url.searchParams.get('layout') || 'compact',
+        langsCount: parseInt(url.searchParams.get('langs_count')) || 5,
+        timezone,
       };
 
       let svg;
@@ -104,8 +231,16 @@ async function handleRequest(req, res) {
         case 'languages':
           svg = generateLanguagesCard(summaryData, options);
           break;
+        case 'heatmap':
+          svg = generateHeatmapCard(summaryData, options);
+          break;
+        case 'schedule':
+          svg = generateScheduleCard(summaryData, options);
+          break;
         default:
-          svg = generateActivityCard(summaryData, options);
+          svg = summaryData.isRepository
+            ? generateRepoCard(summaryData, options)
+            : generateActivityCard(summaryData, options);
       }
 
       res.writeHead(200, {
@@ -115,7 +250,8 @@ async function handleRequest(req, res) {
       res.end(svg);
     } catch (error) {
       console.error('Error:', error.message);
-      res.writeHead(error.message.includes('not found') ? 404 : 500, {
+      const isRateLimited = error.kind === 'rate_limit' || error.kind === 'secondary_rate_limit';
+      res.writeHead(error.message.includes('not found') ? 404 : isRateLimited ? 429 : 500, {
         'Content-Type': 'application/json',
       });
       res.end(JSON.stringify({ error: error.message }));
@@ -141,11 +277,29 @@ server.listen(PORT, () => {
 ║                                                                ║
 ║  Parameters:                                                   ║
 ║    - username (required): GitHub username                      ║
+║    - org: GitHub organization, instead of username             ║
+║    - repo: owner/name, for a single repository                 ║
+║    - users: alice,bob,carol, for a team leaderboard            ║
+║    - sort: events/commits/pullRequests/reviews/streak          ║
 ║    - theme: ${Object.keys(themes).slice(0, 5).join(', ')}...         ║
-║    - type: activity, compact, languages                        ║
+║    - type: activity, compact, languages, heatmap, schedule,    ║
+║            readme                                              ║
 ║    - border: true/false                                        ║
 ║    - hide_stats: true/false                                    ║
 ║    - hide_projects: true/false                                 ║
+║    - days: only analyze the last N days (max 90)               ║
+║    - tz: timezone, e.g. Europe/Berlin or -05:00                ║
+║    - streak: current/longest                                   ║
+║    - streak_grace: none/weekends                               ║
+║    - exclude_langs / exclude_repos: comma-separated lists      ║
+║    - hide_details: commits,pull_requests,issues,... or all     ║
+║    - redact: patterns of titles to redact, e.g. *secret*       ║
+║    - lang_weight: bytes/count/recent                           ║
+║    - lang_kinds: programming,markup,data,prose or all          ║
+║    - lang_groups: true/false                                   ║
+║    - layout: compact/normal/donut/pie (languages card)         ║
+║    - langs_count: number of languages shown (max 10)           ║
+║    - format: svg/json (or use /api/summary for JSON)           ║
 ╚═══════════════════════════════════════════════════════════════╝
   `);
 });
@@ -0,0 +1,111 @@
+/**
+ * Language Metadata
+ * Colors, kinds and aliases of languages, from GitHub's linguist
+ *
+ * The table in data/languages.json is generated from linguist's languages.yml
+ * and bundled with the project, so no network access is needed at runtime.
+ */
+
+import fs from 'fs';
+
+/**
+ * Color for languages without a known color
+ */
+export const DEFAULT_LANGUAGE_COLOR = '#858585';
+
+/**
+ * Language kinds as used by linguist
+ */
+export const LANGUAGE_KINDS = ['programming', 'markup', 'data', 'prose'];
+
+/**
+ * Groupings beyond linguist's own, so related languages can be merged
+ * Notebooks are overwhelmingly Python, though linguist lists them separately
+ */
+const EXTRA_GROUPS = {
+  'Jupyter Notebook': 'Python',
+};
+
+const { languages: LANGUAGES } = JSON.parse(
+  fs.readFileSync(new URL('./data/languages.json', import.meta.url), 'utf8')
+);
+
+/**
+ * Lookup of lowercase names and aliases to canonical language names
+ */
+const NAME_LOOKUP = new Map();
+for (const name of Object.keys(LANGUAGES)) {
+  NAME_LOOKUP.set(name.toLowerCase(), name);
+}
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  for (const alias of language.aliases || []) {
+    // Real language names take precedence over aliases
+    if (!NAME_LOOKUP.has(alias.toLowerCase())) {
+      NAME_LOOKUP.set(alias.toLowerCase(), name);
+    }
+  }
+}
+
+/**
+ * Normalizes a language name to linguist's canonical spelling
+ * @param {string} name - Language name or alias (e.g. "py", "typescriptreact", "IPython Notebook")
+ * @param {Object} options - Options
+ * @param {boolean} options.mergeGroups - Merge languages into their group (e.g. TSX into TypeScript, Jupyter Notebook into Python)
+ * @returns {string} Canonical name, or the trimmed input for unknown languages
+ */
+export function normalizeLanguageName(name, options = {}) {
+  const { mergeGroups = false } = options;
+  const trimmed = String(name ?? '').trim();
+  const canonical = NAME_LOOKUP.get(trimmed.toLowerCase()) || trimmed;
+
+  if (!mergeGroups) {
+    return canonical;
+  }
+  return EXTRA_GROUPS[canonical] || LANGUAGES[canonical]?.group || canonical;
+}
+
+/**
+ * Gets linguist's metadata for a language
+ * @param {string} name - Language name or alias
+ * @returns {Object|null} { name, kind, color, aliases, group } or null for unknown languages
+ */
+export function getLanguageMetadata(name) {
+  const canonical = normalizeLanguageName(name);
+  const language = LANGUAGES[canonical];
+  if (!language) return null;
+
+  return {
+    name: canonical,
+    kind: language.type,
+    color: language.color || DEFAULT_LANGUAGE_COLOR,
+    aliases: language.aliases || [],
+    group: language.group || null,
+  };
+}
+
+/**
+ * Gets the color of a language
+ * @param {string} name - Language name or alias
+ * @returns {string} Hex color
+ */
+export function getLanguageColor(name) {
+  return getLanguageMetadata(name)?.color || DEFAULT_LANGUAGE_COLOR;
+}
+
+/**
+ * Gets the kind of a language
+ * @param {string} name - Language name or alias
+ * @returns {string|null} 'programming', 'markup', 'data' or 'prose', or null for unknown languages
+ */
+export function getLanguageKind(name) {
+  return getLanguageMetadata(name)?.kind || null;
+}
+
+export default {
+  DEFAULT_LANGUAGE_COLOR,
+  LANGUAGE_KINDS,
+  normalizeLanguageName,
+  getLanguageMetadata,
+  getLanguageColor,
+  getLanguageKind,
+};
@@ -0,0 +1,243 @@
+/**
+ * Language Statistics
+ * Computes a user's language breakdown from the byte counts GitHub reports
+ * per repository (`/repos/{owner}/{repo}/languages`)
+ */
+
+import { createGitHubClient } from './github-client.js';
+import { mapWithConcurrency } from './concurrency.js';
+import { matchesRepoPattern } from './privacy.js';
+import { LANGUAGE_KINDS, normalizeLanguageName, getLanguageKind } from './language-metadata.js';
+
+/**
+ * Ways of weighting languages against each other
+ *   bytes   total bytes of code per language
+ *   count   number of repositories using the language
+ *   recent  bytes, weighted by how recently each repository was pushed to
+ */
+export const LANGUAGE_WEIGHTINGS = ['bytes', 'count', 'recent'];
+
+/**
+ * Half-life of a repository's weight in `recent` mode
+ */
+const RECENT_HALF_LIFE_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of most recently pushed repositories whose languages are fetched, one request each
+ * Older repositories are estimated (see estimateRepoLanguages)
+ */
+const DEFAULT_MAX_REPOS = 30;
+
+/**
+ * Default language options
+ */
+export const DEFAULT_LANGUAGE_OPTIONS = {
+  excludeForks: true,
+  excludeForkActivity: false, // Forks only leave the events out when asked for explicitly
+  excludeArchived: false,
+  excludeRepos: [],
+  excludeLanguages: [],
+  weighting: 'bytes',
+  includeKinds: ['programming'],
+  mergeGroups: false,
+};
+
+/**
+ * Splits a comma-separated query parameter into trimmed values
+ * @param {string} value - Parameter value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Reads language options from query parameters
+ *   exclude_langs     comma-separated languages to leave out (e.g. HTML,Jupyter Notebook)
+ *   exclude_repos     comma-separated repositories to leave out, `*` and `?` as wildcards (e.g. dotfiles,*-private)
+ *   exclude_forks     'false' to include forks (excluded from stats by default),
+ *                     'true' to leave their events out as well
+ *   exclude_archived  'true' to leave out archived repositories
+ *   lang_weight       bytes (default), count or recent
+ *   lang_kinds        comma-separated linguist kinds to include, or 'all' (default: programming)
+ *   lang_groups       'true' to merge languages into their group (e.g. TSX into TypeScript)
+ * @param {Object} params - Query parameters
+ * @returns {Object} Language options
+ */
+export function parseLanguageOptions(params = {}) {
+  const kinds = params.lang_kinds === 'all'
+    ? LANGUAGE_KINDS
+    : parseList(params.lang_kinds).map(kind => kind.toLowerCase()).filter(kind => LANGUAGE_KINDS.includes(kind));
+
+  return {
+    excludeForks: params.exclude_forks !== 'false',
+    excludeForkActivity: params.exclude_forks === 'true',
+    excludeArchived: params.exclude_archived === 'true',
+    excludeRepos: parseList(params.exclude_repos),
+    excludeLanguages: parseList(params.exclude_langs),
+    weighting: LANGUAGE_WEIGHTINGS.includes(params.lang_weight) ? params.lang_weight : 'bytes',
+    includeKinds: kinds.length > 0 ? kinds : DEFAULT_LANGUAGE_OPTIONS.includeKinds,
+    mergeGroups: params.lang_groups === 'true',
+  };
+}
+
+/**
+ * Builds a stable key for a set of language options (for caching)
+ * @param {Object} options - Language options
+ * @returns {string} Key
+ */
+export function getLanguageOptionsKey(options = {}) {
+  const {
+    excludeForks,
+    excludeForkActivity,
+    excludeArchived,
+    excludeRepos,
+    excludeLanguages,
+    weighting,
+    includeKinds,
+    mergeGroups,
+  } = { ...DEFAULT_LANGUAGE_OPTIONS, ...options };
+  const list = values => values.map(value => value.toLowerCase()).sort().join(',');
+
+  return [
+    weighting,
+    excludeForks ? 'no-forks' : 'forks',
+    excludeForkActivity ? 'no-fork-activity' : 'fork-activity',
+    excludeArchived ? 'no-archived' : 'archived',
+    list(excludeRepos),
+    list(excludeLanguages),
+    list(includeKinds),
+    mergeGroups ? 'groups' : 'no-groups',
+  ].join('|');
+}
+
+/**
+ * Leaves out repositories according to the language options
+ * @param {Array} repos - Repositories
+ * @param {Object} options - Language options
+ * @returns {Array} Remaining repositories
+ */
+export function filterRepos(repos, options = {}) {
+  const { excludeForks, excludeArchived, excludeRepos } = { ...DEFAULT_LANGUAGE_OPTIONS, ...options };
+
+  return repos.filter(repo => {
+    if (excludeForks && repo.fork) return false;
+    if (excludeArchived && repo.archived) return false;
+    if (matchesRepoPattern(repo.full_name || repo.name, excludeRepos)) return false;
+    return true;
+  });
+}
+
+/**
+ * Fetches the byte count per language of a repository
+ * @param {string} fullName - Repository name (owner/name)
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Object>} Map of language to bytes
+ */
+export async function fetchRepoLanguages(fullName, token = null) {
+  const client = createGitHubClient(token);
+  const response = await client.get(`/repos/${fullName}/languages`);
+  return response.data || {};
+}
+
+/**
+ * Estimates the languages of a repository without an API request
+ * The primary language stands in for all of the repository's code (`size` is in KB)
+ * @param {Object} repo - Repository from the GitHub API
+ * @returns {Object} Map of language to estimated bytes
+ */
+function estimateRepoLanguages(repo) {
+  return repo.language ? { [repo.language]: (repo.size || 1) * 1024 } : {};
+}
+
+/**
+ * Computes language statistics across repositories
+ * Byte counts are fetched for the `maxRepos` most recently pushed repositories;
+ * the others are estimated from their primary language and size. Without a
+ * token the 60 requests per hour would not last a single card, so every
+ * repository is estimated
+ * @param {Array} repos - Repositories from the GitHub API (sorted by most recent push)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Language options (see DEFAULT_LANGUAGE_OPTIONS) and:
+ * @param {number} options.maxRepos - Maximum number of repositories to fetch byte counts for
+ * @param {number} options.concurrency - Maximum parallel requests
+ * @param {Date} options.now - Reference time for `recent` weighting
+ * @returns {Promise<Object>} { languages: { name: weight }, bytes, repoCounts, weighting, reposAnalyzed, reposEstimated }
+ */
+export async function fetchLanguageStats(repos, token = null, options = {}) {
+  const {
+    excludeLanguages,
+    weighting,
+    includeKinds,
+    mergeGroups,
+    maxRepos = DEFAULT_MAX_REPOS,
+    concurrency = 5,
+    now = new Date(),
+  } = { ...DEFAULT_LANGUAGE_OPTIONS, ...options };
+
+  // Exclusions match before grouping, so leaving out Jupyter Notebook keeps the Python it would merge into
+  const excludedLanguages = new Set(excludeLanguages.map(name => normalizeLanguageName(name)));
+  const included = filterRepos(repos, options);
+  const fetchedCount = token ? Math.min(included.length, maxRepos) : 0;
+
+  const repoLanguages = await mapWithConcurrency(included, concurrency, async (repo, index) => {
+    if (index >= fetchedCount) return estimateRepoLanguages(repo);
+    try {
+      return await fetchRepoLanguages(repo.full_name, token);
+    } catch {
+      // Fall back to the repository's primary language without a byte count
+      return repo.language ? { [repo.language]: 0 } : {};
+    }
+  });
+
+  const languages = {};
+  const bytes = {};
+  const repoCounts = {};
+
+  included.forEach((repo, index) => {
+    const ageDays = Math.max(0, (now.getTime() - new Date(repo.pushed_at || now).getTime()) / DAY_MS);
+    const recency = Math.pow(0.5, ageDays / RECENT_HALF_LIFE_DAYS);
+
+    for (const [reported, count] of Object.entries(repoLanguages[index])) {
+      const canonical = normalizeLanguageName(reported);
+      const language = normalizeLanguageName(canonical, { mergeGroups });
+      if (excludedLanguages.has(canonical) || excludedLanguages.has(language)) continue;
+
+      // Languages unknown to linguist are kept, whatever their kind
+      const kind = getLanguageKind(language);
+      if (kind && !includeKinds.includes(kind)) continue;
+
+      bytes[language] = (bytes[language] || 0) + count;
+      repoCounts[language] = (repoCounts[language] || 0) + 1;
+
+      let weight = count;
+      if (weighting === 'count') {
+        weight = 1;
+      } else if (weighting === 'recent') {
+        weight = count * recency;
+      }
+      languages[language] = (languages[language] || 0) + weight;
+    }
+  });
+
+  return {
+    languages,
+    bytes,
+    repoCounts,
+    weighting,
+    reposAnalyzed: included.length,
+    reposEstimated: included.length - fetchedCount,
+  };
+}
+
+export default {
+  LANGUAGE_WEIGHTINGS,
+  DEFAULT_LANGUAGE_OPTIONS,
+  parseLanguageOptions,
+  getLanguageOptionsKey,
+  filterRepos,
+  fetchRepoLanguages,
+  fetchLanguageStats,
+};
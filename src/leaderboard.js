@@ -0,0 +1,253 @@
+/**
+ * Team Leaderboard
+ * Compares the activity of several users over the same window
+ *
+ * Users are fetched concurrently (with a cap). Only what a row needs is
+ * loaded: the profile, the events and the contribution calendar, without the
+ * repository, language and commit trend requests of a full activity card.
+ * A user that cannot be loaded is kept as an unavailable row instead of
+ * failing the whole leaderboard.
+ */
+
+import {
+  fetchUserProfile,
+  fetchUserEventHistory,
+  fetchContributionCalendar,
+  analyzeEvents,
+  createCachedLoader,
+  getWindowKey,
+  filterActivityEvents,
+  isValidLogin,
+} from './github-api.js';
+import { normalizeEvents, countActivity, countReviews } from './event-normalizer.js';
+import { mapWithConcurrency } from './concurrency.js';
+
+/**
+ * Metrics a leaderboard can be ranked by
+ */
+export const LEADERBOARD_METRICS = ['events', 'commits', 'pullRequests', 'reviews', 'streak'];
+
+/**
+ * Maximum number of users on one leaderboard
+ */
+export const MAX_LEADERBOARD_USERS = 10;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Reads the users of a leaderboard from a comma-separated parameter
+ * Duplicates (ignoring case) are dropped
+ * @param {string} value - Parameter value (e.g. "alice,bob,carol")
+ * @returns {Array<string>} Usernames
+ * @throws {Error} When a username is invalid or there are too many users
+ */
+export function parseLeaderboardUsers(value) {
+  const seen = new Set();
+  const usernames = [];
+
+  for (const username of String(value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    if (!isValidLogin(username)) {
+      throw new Error(`Invalid username format: ${username}`);
+    }
+    if (seen.has(username.toLowerCase())) continue;
+    seen.add(username.toLowerCase());
+    usernames.push(username);
+  }
+
+  if (usernames.length > MAX_LEADERBOARD_USERS) {
+    throw new Error(`Too many users, a leaderboard shows at most ${MAX_LEADERBOARD_USERS}`);
+  }
+
+  return usernames;
+}
+
+/**
+ * Fetches the activity a leaderboard row needs
+ * Shares the profile and events cache entries with fetchAllActivityData.
+ * The contribution calendar starts where the events window does. Calendar
+ * totals cannot be split by repository, so with excluded repositories the row
+ * is built from events only
+ * @param {string} username - GitHub username
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Start of the activity window
+ * @param {string} options.timezone - Timezone for daily buckets and streaks
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {Object} options.languageOptions - Repository filters; `excludeRepos` patterns apply (see language-stats.js)
+ * @param {Object} options.cache - Cache from createCache (optional)
+ * @returns {Promise<Object>} Activity data: { profile, events, window, eventAnalysis }
+ */
+export async function fetchLeaderboardActivity(username, token = null, options = {}) {
+  const { since, timezone, streakGrace, languageOptions, cache } = options;
+  const excludeRepos = languageOptions?.excludeRepos || [];
+
+  const cached = createCachedLoader(cache);
+  const user = username.toLowerCase();
+
+  try {
+    const [profile, eventHistory] = await Promise.all([
+      cached('profile', user, () => fetchUserProfile(username, token)),
+      cached('events', `${user}:${getWindowKey(since)}`, () => fetchUserEventHistory(username, token, { since })),
+    ]);
+
+    // The calendar covers the same period as the events; without a start it
+    // would cover a whole year. Rounded down to the hour so it can be cached
+    const { window } = eventHistory;
+    const from = new Date(Math.floor(new Date(window.since).getTime() / HOUR) * HOUR);
+    const contributionCalendar = token && excludeRepos.length === 0
+      ? await cached('contributions', `${user}:${getWindowKey(from)}`, () =>
+        fetchContributionCalendar(username, token, { from })
+      ).catch(() => null)
+      : null;
+
+    const events = filterActivityEvents(eventHistory.events, null, languageOptions);
+
+    return {
+      profile,
+      events,
+      window,
+      eventAnalysis: analyzeEvents(events, { window, contributionCalendar, timezone, streakGrace }),
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(`User "${username}" not found`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds a leaderboard row from a user's activity data
+ * With a contribution calendar, its totals (which include private work) are preferred
+ * over counts from public events
+ * @param {string} username - GitHub username
+ * @param {Object} activityData - Activity data from fetchLeaderboardActivity
+ * @returns {Object} Row: { username, displayName, avatarUrl, available, events, commits, pullRequests, reviews, currentStreak, longestStreak }
+ */
+export function buildLeaderboardRow(username, activityData) {
+  const { profile, events, eventAnalysis } = activityData;
+  const totals = eventAnalysis.contributionTotals;
+  const activityCounts = eventAnalysis.activityCounts || countActivity(normalizeEvents(events));
+
+  return {
+    username: profile.login || username,
+    displayName: profile.name || profile.login || username,
+    avatarUrl: profile.avatar_url || null,
+    available: true,
+    events: eventAnalysis.totalEvents,
+    commits: totals ? totals.commits : activityCounts.commits_pushed,
+    pullRequests: totals ? totals.pullRequests : activityCounts.pr_opened,
+    reviews: totals ? totals.reviews : countReviews(activityCounts),
+    currentStreak: eventAnalysis.currentStreak?.days ?? 0,
+    longestStreak: eventAnalysis.longestStreak?.days ?? 0,
+  };
+}
+
+/**
+ * Reads the value a row is ranked by
+ * @param {Object} row - Leaderboard row
+ * @param {string} metric - One of LEADERBOARD_METRICS
+ * @returns {number} Value
+ */
+export function getMetricValue(row, metric) {
+  return metric === 'streak' ? row.currentStreak : row[metric];
+}
+
+/**
+ * Fetches and ranks the activity of several users
+ * When some users have no contribution calendar (e.g. its request failed),
+ * every row is counted from events
+ * @param {Array<string>} usernames - GitHub usernames
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Start of the activity window
+ * @param {string} options.timezone - Timezone for daily buckets and streaks
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {string} options.sortBy - Metric to rank by (see LEADERBOARD_METRICS)
+ * @param {number} options.concurrency - Maximum number of users fetched at once
+ * @param {Object} options.languageOptions - Repository filters (see fetchLeaderboardActivity)
+ * @param {Object} options.cache - Cache from createCache (optional)
+ * @param {Function} options.fetchActivity - Loader for one user (defaults to fetchLeaderboardActivity)
+ * @returns {Promise<Object>} { rows, sortBy, window }, rows ranked with unavailable users last
+ */
+export async function fetchLeaderboard(usernames, token = null, options = {}) {
+  const {
+    since,
+    timezone,
+    streakGrace,
+    sortBy = 'events',
+    concurrency = 3,
+    languageOptions,
+    cache,
+    fetchActivity = fetchLeaderboardActivity,
+  } = options;
+
+  if (!LEADERBOARD_METRICS.includes(sortBy)) {
+    throw new Error(`Unknown leaderboard metric: ${sortBy}`);
+  }
+
+  const errors = [];
+  let window = null;
+
+  const results = await mapWithConcurrency(usernames, concurrency, async username => {
+    try {
+      const activityData = await fetchActivity(username, token, { since, timezone, streakGrace, languageOptions, cache });
+      window = window || activityData.window || null;
+      return { username, activityData };
+    } catch (error) {
+      errors.push(error);
+      return {
+        username,
+        row: {
+          username,
+          displayName: username,
+          avatarUrl: null,
+          available: false,
+          reason: error.message.includes('not found') ? 'not found' : 'unavailable',
+        },
+      };
+    }
+  });
+
+  // Rows are only comparable when they come from the same source: unless every
+  // user has a contribution calendar, all rows are counted from events
+  const loaded = results.filter(result => result.activityData);
+  const fromCalendar = loaded.every(({ activityData }) => activityData.eventAnalysis.contributionTotals);
+  const rows = results.map(({ username, activityData, row }) => {
+    if (!activityData) return row;
+    if (fromCalendar || !activityData.eventAnalysis.contributionTotals) {
+      return buildLeaderboardRow(username, activityData);
+    }
+    const { events, window: eventWindow } = activityData;
+    return buildLeaderboardRow(username, {
+      ...activityData,
+      eventAnalysis: analyzeEvents(events, { window: eventWindow, timezone, streakGrace }),
+    });
+  });
+
+  // Nothing to show: report the underlying problem (e.g. a rate limit) instead
+  if (usernames.length > 0 && errors.length === usernames.length) {
+    throw errors[0];
+  }
+
+  const ranked = rows
+    .filter(row => row.available)
+    .sort((a, b) => getMetricValue(b, sortBy) - getMetricValue(a, sortBy) || a.username.localeCompare(b.username))
+    .map((row, index) => ({ ...row, rank: index + 1 }));
+
+  return {
+    rows: [...ranked, ...rows.filter(row => !row.available).map(row => ({ ...row, rank: null }))],
+    sortBy,
+    window,
+  };
+}
+
+export default {
+  LEADERBOARD_METRICS,
+  MAX_LEADERBOARD_USERS,
+  parseLeaderboardUsers,
+  fetchLeaderboardActivity,
+  buildLeaderboardRow,
+  getMetricValue,
+  fetchLeaderboard,
+};
@@ -0,0 +1,209 @@
+/**
+ * Organization Activity
+ * Aggregates the public events, repositories, languages and members of a
+ * GitHub organization (`/orgs/{org}/...`) for organization cards
+ */
+
+import { createGitHubClient } from './github-client.js';
+import {
+  fetchEventHistory,
+  fetchAllPages,
+  buildContributionStats,
+  analyzeEvents,
+  createCachedLoader,
+  getWindowKey,
+  filterActivityEvents,
+  fetchTopCommitTrends,
+} from './github-api.js';
+import { normalizeEvent, normalizeEvents, countActivity } from './event-normalizer.js';
+import { getLanguageOptionsKey } from './language-stats.js';
+
+/**
+ * Fetches GitHub organization profile information
+ * @param {string} org - Organization login
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Object>} Organization profile data
+ */
+export async function fetchOrgProfile(org, token = null) {
+  const client = createGitHubClient(token);
+  const response = await client.get(`/orgs/${org}`);
+  return response.data;
+}
+
+/**
+ * Fetches an organization's public events across all available pages
+ * @param {string} org - Organization login
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options (see fetchEventHistory)
+ * @returns {Promise<Object>} Events and the time window they actually cover
+ */
+export async function fetchOrgEventHistory(org, token = null, options = {}) {
+  return fetchEventHistory(`/orgs/${org}/events`, token, options);
+}
+
+/**
+ * Fetches all public repositories of an organization, following pagination
+ * @param {string} org - Organization login
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string} options.sort - Sort field (created, updated, pushed, full_name)
+ * @param {number} options.maxPages - Maximum number of pages of 100 repositories
+ * @returns {Promise<Array>} Array of repositories
+ */
+export async function fetchAllOrgRepos(org, token = null, options = {}) {
+  const { sort = 'pushed', maxPages = 10 } = options;
+  return fetchAllPages(`/orgs/${org}/repos`, token, {
+    params: { sort, type: 'public' },
+    maxPages,
+  });
+}
+
+/**
+ * Fetches the public members of an organization
+ * @param {string} org - Organization login
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {number} options.maxPages - Maximum number of pages of 100 members
+ * @returns {Promise<Array>} Array of members
+ */
+export async function fetchOrgMembers(org, token = null, options = {}) {
+  const { maxPages = 5 } = options;
+  return fetchAllPages(`/orgs/${org}/public_members`, token, { maxPages });
+}
+
+/**
+ * Ranks the people behind an organization's events
+ * Bots (dependabot[bot] and the like) are left out
+ * @param {Array} events - Array of GitHub events
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of contributors
+ * @returns {Array} Contributors: [{ login, avatarUrl, events, commits, pullRequests }]
+ */
+export function findTopContributors(events, options = {}) {
+  const { limit = 5 } = options;
+  const contributors = new Map();
+
+  for (const event of events) {
+    const login = event.actor?.login;
+    if (!login || login.endsWith('[bot]')) continue;
+
+    if (!contributors.has(login)) {
+      contributors.set(login, {
+        login,
+        avatarUrl: event.actor.avatar_url || null,
+        events: 0,
+        commits: 0,
+        pullRequests: 0,
+      });
+    }
+
+    const contributor = contributors.get(login);
+    const record = normalizeEvent(event);
+    contributor.events++;
+    if (record?.type === 'commits_pushed') {
+      contributor.commits += record.count;
+    } else if (record?.type === 'pr_opened') {
+      contributor.pullRequests++;
+    }
+  }
+
+  return Array.from(contributors.values())
+    .sort((a, b) => b.events - a.events || a.login.localeCompare(b.login))
+    .slice(0, limit);
+}
+
+/**
+ * Counts what a team got done in a set of events
+ * @param {Array} events - Array of GitHub events
+ * @returns {Object} { commits, mergedPullRequests, openedIssues, closedIssues, releases, activeRepos }
+ */
+export function countTeamActivity(events) {
+  const counts = countActivity(normalizeEvents(events));
+
+  return {
+    commits: counts.commits_pushed,
+    mergedPullRequests: counts.pr_merged,
+    openedIssues: counts.issue_opened,
+    closedIssues: counts.issue_closed,
+    releases: counts.release_published,
+    activeRepos: new Set(events.map(event => event.repo?.name).filter(Boolean)).size,
+  };
+}
+
+/**
+ * Analyzes the events of a team (an organization or a repository): the
+ * per-user analysis plus team-level counts
+ * @param {Array} events - Array of GitHub events
+ * @param {Object} options - Options (see analyzeEvents)
+ * @returns {Object} Activity analysis with topContributors and the counts of countTeamActivity
+ */
+export function analyzeTeamEvents(events, options = {}) {
+  return {
+    ...analyzeEvents(events, options),
+    ...countTeamActivity(events),
+    topContributors: findTopContributors(events),
+  };
+}
+
+/**
+ * Fetches and aggregates all activity data of an organization
+ * @param {string} org - Organization login
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Start of the activity window
+ * @param {string|Date} options.until - End of the activity window
+ * @param {string} options.timezone - Timezone for hourly and daily buckets (IANA name or UTC offset)
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {Object} options.languageOptions - Repository and language filters and weighting (see language-stats.js)
+ * @param {Object} options.cache - Cache from createCache for profile, events and repos (optional)
+ * @returns {Promise<Object>} Complete organization activity data
+ */
+export async function fetchAllOrgActivityData(org, token = null, options = {}) {
+  const { since, until, timezone, streakGrace, languageOptions, cache } = options;
+
+  const cached = createCachedLoader(cache);
+  const name = `org:${org.toLowerCase()}`;
+  const windowKey = getWindowKey(since, until);
+
+  try {
+    const [profile, members, eventHistory, contributionStats] = await Promise.all([
+      cached('profile', name, () => fetchOrgProfile(org, token)),
+      cached('profile', `${name}:members`, () => fetchOrgMembers(org, token)),
+      cached('events', `${name}:${windowKey}`, () => fetchOrgEventHistory(org, token, { since, until })),
+      cached('repos', `${name}:${getLanguageOptionsKey(languageOptions)}`, async () =>
+        buildContributionStats(await fetchAllOrgRepos(org, token), token, languageOptions)
+      ),
+    ]);
+
+    const { window } = eventHistory;
+    const events = filterActivityEvents(eventHistory.events, contributionStats, languageOptions);
+    const eventAnalysis = analyzeTeamEvents(events, { window, timezone, streakGrace });
+    eventAnalysis.commitTrends = await fetchTopCommitTrends(eventAnalysis, token, { cache });
+
+    return {
+      profile,
+      members,
+      events,
+      window,
+      eventAnalysis,
+      contributionStats,
+      fetchedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(`Organization "${org}" not found`);
+    }
+    throw error;
+  }
+}
+
+export default {
+  fetchOrgProfile,
+  fetchOrgEventHistory,
+  fetchAllOrgRepos,
+  fetchOrgMembers,
+  findTopContributors,
+  countTeamActivity,
+  analyzeTeamEvents,
+  fetchAllOrgActivityData,
+};
@@ -0,0 +1,373 @@
+/**
+ * Privacy
+ * Opt-in private activity for self-hosted instances
+ *
+ * With PRIVATE_ACTIVITY=true, a card for the user the GitHub token belongs to
+ * is built from `/user/repos` and `/users/{username}/events`, which include
+ * private repositories and events. Unless PRIVATE_ACTIVITY_ANONYMIZE=false,
+ * private work still counts towards stats, languages and streaks, but private
+ * repository names, pull request and issue titles and commit messages never
+ * reach the card, the summary or the JSON output.
+ *
+ * Independently of that, privacy filters (`hide_details`, `redact`) keep the
+ * details of public activity, such as pull request and issue titles, off a card.
+ */
+
+import crypto from 'crypto';
+import { createGitHubClient } from './github-client.js';
+
+/**
+ * Name shown instead of a private repository
+ */
+export const PRIVATE_REPO_NAME = 'Private repository';
+
+/**
+ * Access that only sees public activity
+ */
+const PUBLIC_ACCESS = { includePrivate: false, anonymize: false };
+
+/**
+ * Text shown instead of a title matching a redact pattern
+ */
+export const REDACTED_TEXT = '[redacted]';
+
+/**
+ * Event types whose details `hide_details` can hide, by group name
+ */
+export const DETAIL_GROUPS = {
+  commits: ['PushEvent'],
+  pull_requests: ['PullRequestEvent', 'PullRequestReviewEvent', 'PullRequestReviewCommentEvent'],
+  issues: ['IssuesEvent', 'IssueCommentEvent'],
+  branches: ['CreateEvent', 'DeleteEvent'],
+  releases: ['ReleaseEvent'],
+};
+
+/**
+ * Privacy filters that hide nothing
+ */
+export const DEFAULT_PRIVACY_FILTERS = {
+  hideDetails: [],
+  redactPatterns: [],
+};
+
+/**
+ * Splits a comma-separated value into trimmed values
+ * @param {string} value - Value
+ * @returns {Array<string>} Values
+ */
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Converts a glob pattern (`*` for any text, `?` for one character) to a case-insensitive regular expression
+ * @param {string} pattern - Glob pattern
+ * @param {Object} options - Options
+ * @param {boolean} options.anchored - Whether the pattern must match the whole value
+ * @returns {RegExp} Regular expression
+ */
+function globToRegExp(pattern, options = {}) {
+  const { anchored = true } = options;
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(anchored ? `^${source}$` : source, 'i');
+}
+
+/**
+ * Checks whether a repository matches any of a list of glob patterns
+ * Patterns without an owner (e.g. `dotfiles`, `*-private`) match the repository name alone
+ * @param {string} fullName - Repository name (owner/name)
+ * @param {Array<string>} patterns - Glob patterns
+ * @returns {boolean} True if a pattern matches
+ */
+export function matchesRepoPattern(fullName, patterns = []) {
+  if (!fullName) return false;
+  const name = fullName.split('/').pop();
+
+  return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? fullName : name));
+}
+
+/**
+ * Reads privacy filters from query parameters
+ *   hide_details  comma-separated detail groups to hide (commits, pull_requests, issues, branches,
+ *                 releases), event types (e.g. PullRequestEvent), or 'all'
+ *   redact        comma-separated patterns; titles containing a match are redacted (`*` for any text)
+ * @param {Object} params - Query parameters
+ * @returns {Object} Privacy filters: { hideDetails, redactPatterns }
+ */
+export function parsePrivacyFilters(params = {}) {
+  const hideDetails = new Set();
+
+  for (const item of parseList(params.hide_details)) {
+    const group = item.toLowerCase();
+    if (group === 'all') {
+      Object.values(DETAIL_GROUPS).flat().forEach(type => hideDetails.add(type));
+    } else if (DETAIL_GROUPS[group]) {
+      DETAIL_GROUPS[group].forEach(type => hideDetails.add(type));
+    } else if (/^[A-Za-z]+Event$/.test(item)) {
+      hideDetails.add(item);
+    }
+  }
+
+  return {
+    hideDetails: Array.from(hideDetails),
+    redactPatterns: parseList(params.redact),
+  };
+}
+
+/**
+ * Combines privacy filters, e.g. instance-wide defaults with those of a request
+ * @param {...Object} filters - Privacy filters
+ * @returns {Object} Privacy filters hiding everything any of them hides
+ */
+export function mergePrivacyFilters(...filters) {
+  const merged = filters.filter(Boolean);
+  return {
+    hideDetails: [...new Set(merged.flatMap(filter => filter.hideDetails || []))],
+    redactPatterns: [...new Set(merged.flatMap(filter => filter.redactPatterns || []))],
+  };
+}
+
+/**
+ * Builds a stable key for a set of privacy filters (for caching)
+ * @param {Object} filters - Privacy filters
+ * @returns {string} Key
+ */
+export function getPrivacyFiltersKey(filters = {}) {
+  const { hideDetails, redactPatterns } = { ...DEFAULT_PRIVACY_FILTERS, ...filters };
+  return [
+    [...hideDetails].sort().join(','),
+    redactPatterns.map(pattern => pattern.toLowerCase()).sort().join(','),
+  ].join('|');
+}
+
+/**
+ * Applies privacy filters to the detail shown for an event (e.g. a pull request title)
+ * @param {string} eventType - GitHub event type
+ * @param {string} detail - Detail text
+ * @param {Object} filters - Privacy filters
+ * @returns {string|undefined} Detail, REDACTED_TEXT, or undefined when details of the type are hidden
+ */
+export function applyDetailPrivacy(eventType, detail, filters = {}) {
+  const { hideDetails, redactPatterns } = { ...DEFAULT_PRIVACY_FILTERS, ...filters };
+  if (detail === undefined || hideDetails.includes(eventType)) return undefined;
+
+  if (redactPatterns.some(pattern => globToRegExp(pattern, { anchored: false }).test(detail))) {
+    return REDACTED_TEXT;
+  }
+  return detail;
+}
+
+/**
+ * Leaves out events of excluded repositories
+ * @param {Array} events - Array of GitHub events
+ * @param {Object} options - Options
+ * @param {Array<string>} options.excludedRepos - Names (owner/name) of repositories left out of the contribution stats
+ * @param {Array<string>} options.excludeRepos - Glob patterns of repositories to leave out
+ * @returns {Array} Remaining events
+ */
+export function filterExcludedEvents(events, options = {}) {
+  const { excludedRepos = [], excludeRepos = [] } = options;
+  if (excludedRepos.length === 0 && excludeRepos.length === 0) return events;
+
+  const excluded = new Set(excludedRepos.map(name => name.toLowerCase()));
+  return events.filter(event => {
+    const repoName = event.repo?.name;
+    if (!repoName) return true;
+    return !excluded.has(repoName.toLowerCase()) && !matchesRepoPattern(repoName, excludeRepos);
+  });
+}
+
+/**
+ * Reads the privacy settings from environment variables
+ *
+ *   PRIVATE_ACTIVITY            true to include private activity of the token's own user
+ *   PRIVATE_ACTIVITY_ANONYMIZE  false to show private repository names and titles (default true)
+ *   PRIVACY_EXCLUDE_REPOS       repositories left out of every card, like `exclude_repos`
+ *   PRIVACY_HIDE_DETAILS        details hidden on every card, like `hide_details`
+ *   PRIVACY_REDACT              titles redacted on every card, like `redact`
+ * @param {Object} env - Environment variables
+ * @returns {Object} { privateActivity, anonymize, excludeRepos, filters }
+ */
+export function createPrivacyOptionsFromEnv(env = process.env) {
+  return {
+    privateActivity: env.PRIVATE_ACTIVITY === 'true',
+    anonymize: env.PRIVATE_ACTIVITY_ANONYMIZE !== 'false',
+    excludeRepos: parseList(env.PRIVACY_EXCLUDE_REPOS),
+    filters: parsePrivacyFilters({
+      hide_details: env.PRIVACY_HIDE_DETAILS,
+      redact: env.PRIVACY_REDACT,
+    }),
+  };
+}
+
+/**
+ * Reads the single token behind a token or token pool
+ * A pool of several tokens may answer each request with a different account,
+ * so it never grants private access
+ * @param {string|Object} token - GitHub token or token pool
+ * @returns {string|null} Token, or null if there is not exactly one
+ */
+function getSingleToken(token) {
+  if (token?.isTokenPool) {
+    return token.size === 1 ? token.acquire() : null;
+  }
+  return token || null;
+}
+
+/**
+ * Fetches the login of the user a token belongs to
+ * @param {string} token - GitHub token
+ * @returns {Promise<string|null>} Login, or null when the token cannot tell (e.g. an app token)
+ */
+export async function fetchAuthenticatedLogin(token) {
+  const client = createGitHubClient(token);
+  try {
+    const response = await client.get('/user');
+    return response.data?.login || null;
+  } catch (error) {
+    if (error.response?.status === 401 || error.response?.status === 403) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Works out which activity of a user may be loaded with a token
+ * Private activity requires private mode and a token belonging to the requested user
+ * @param {string} username - GitHub username
+ * @param {string|Object} token - GitHub token or token pool
+ * @param {Object} options - Options
+ * @param {boolean} options.privateActivity - Whether private mode is enabled
+ * @param {boolean} options.anonymize - Whether private names and titles are hidden
+ * @param {Object} options.cache - Cache from createCache (optional)
+ * @returns {Promise<Object>} { includePrivate, anonymize }
+ */
+export async function resolveActivityAccess(username, token, options = {}) {
+  const { privateActivity = false, anonymize = true, cache } = options;
+  const singleToken = getSingleToken(token);
+  if (!privateActivity || !singleToken) return PUBLIC_ACCESS;
+
+  // Keyed by a hash, so the token never ends up in a cache store
+  const identity = crypto.createHash('sha256').update(singleToken).digest('hex').slice(0, 16);
+  const login = cache
+    ? await cache.getOrLoad('profile', `viewer:${identity}`, () => fetchAuthenticatedLogin(singleToken))
+    : await fetchAuthenticatedLogin(singleToken);
+
+  if (!login || login.toLowerCase() !== username.toLowerCase()) return PUBLIC_ACCESS;
+  return { includePrivate: true, anonymize };
+}
+
+/**
+ * Builds the cache key part for an access level
+ * @param {Object} access - Access from resolveActivityAccess
+ * @returns {string} Key part
+ */
+export function getAccessKey(access = PUBLIC_ACCESS) {
+  if (!access.includePrivate) return 'public';
+  return access.anonymize ? 'private-anonymized' : 'private';
+}
+
+/**
+ * Keeps the parts of a private event's payload that activity is counted from
+ * Titles, bodies, commit messages, branch names and URLs are dropped
+ * @param {Object} payload - Event payload
+ * @returns {Object} Redacted payload
+ */
+function redactPayload(payload = {}) {
+  const redacted = {};
+
+  for (const field of ['action', 'size', 'distinct_size', 'ref_type']) {
+    if (payload[field] !== undefined) redacted[field] = payload[field];
+  }
+  if (Array.isArray(payload.commits)) {
+    redacted.commits = payload.commits.map(() => ({}));
+  }
+  if (payload.pull_request) {
+    redacted.pull_request = { merged: Boolean(payload.pull_request.merged) };
+  }
+  if (payload.review) {
+    redacted.review = { state: payload.review.state };
+  }
+
+  return redacted;
+}
+
+/**
+ * Replaces the names of private repositories in an event analysis
+ * Private entries of repoActivity are merged into one PRIVATE_REPO_NAME entry
+ * @param {Object} eventAnalysis - Event analysis from analyzeEvents
+ * @param {Function} isPrivate - Tells whether a repository name is private
+ * @returns {Object} Anonymized event analysis
+ */
+function anonymizeEventAnalysis(eventAnalysis, isPrivate) {
+  const repoActivity = new Map();
+  for (const [repoName, count] of eventAnalysis.repoActivity || []) {
+    const name = isPrivate(repoName) ? PRIVATE_REPO_NAME : repoName;
+    repoActivity.set(name, (repoActivity.get(name) || 0) + count);
+  }
+
+  const mostActiveRepo = eventAnalysis.mostActiveRepo;
+
+  return {
+    ...eventAnalysis,
+    repoActivity: Array.from(repoActivity.entries()).sort((a, b) => b[1] - a[1]),
+    mostActiveRepo: mostActiveRepo && isPrivate(mostActiveRepo) ? PRIVATE_REPO_NAME : mostActiveRepo,
+    commitTrends: (eventAnalysis.commitTrends || []).map(trend =>
+      (isPrivate(trend.repo) ? { ...trend, repo: PRIVATE_REPO_NAME } : trend)
+    ),
+  };
+}
+
+/**
+ * Hides private repository names and titles in activity data
+ * Counts are left alone, so private work still shows in stats, languages and streaks
+ * @param {Object} activityData - Activity data from fetchAllActivityData
+ * @returns {Object} Anonymized activity data
+ */
+export function anonymizeActivityData(activityData) {
+  const { events = [], contributionStats, eventAnalysis } = activityData;
+
+  const privateRepos = new Set();
+  for (const event of events) {
+    if (event.public === false && event.repo?.name) privateRepos.add(event.repo.name);
+  }
+  for (const repo of contributionStats?.recentRepos || []) {
+    if (repo.private) privateRepos.add(repo.full_name);
+  }
+  const isPrivate = repoName => privateRepos.has(repoName);
+
+  return {
+    ...activityData,
+    events: events.map(event => (event.public === false
+      ? { ...event, repo: { name: PRIVATE_REPO_NAME }, payload: redactPayload(event.payload) }
+      : event)),
+    eventAnalysis: eventAnalysis && anonymizeEventAnalysis(eventAnalysis, isPrivate),
+    contributionStats: contributionStats && {
+      ...contributionStats,
+      recentRepos: (contributionStats.recentRepos || []).filter(repo => !repo.private),
+    },
+  };
+}
+
+export default {
+  PRIVATE_REPO_NAME,
+  REDACTED_TEXT,
+  DETAIL_GROUPS,
+  DEFAULT_PRIVACY_FILTERS,
+  matchesRepoPattern,
+  parsePrivacyFilters,
+  mergePrivacyFilters,
+  getPrivacyFiltersKey,
+  applyDetailPrivacy,
+  filterExcludedEvents,
+  createPrivacyOptionsFromEnv,
+  fetchAuthenticatedLogin,
+  resolveActivityAccess,
+  getAccessKey,
+  anonymizeActivityData,
+};
@@ -0,0 +1,239 @@
+/**
+ * README Generator
+ * Renders a complete Markdown profile README from activity summary data
+ */
+
+import { PRIVATE_REPO_NAME } from './privacy.js';
+
+/**
+ * Default README template
+ * Placeholders are written as {{name}} and replaced with rendered sections
+ */
+export const DEFAULT_TEMPLATE = `# Hi, I'm {{displayName}}
+
+{{intro}}
+
+## Highlights
+
+{{highlights}}
+
+## Recent Projects
+
+{{recentProjects}}
+
+## Languages
+
+{{languages}}
+
+{{cards}}
+
+<sub>Generated from [@{{username}}]({{profileUrl}})'s GitHub activity.</sub>
+`;
+
+/**
+ * Escapes Markdown and HTML special characters in inline text
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string
+ */
+function escapeMarkdown(str) {
+  if (!str) return '';
+  return String(str)
+    .replace(/\\/g, '\\\\')
+    .replace(/([`*_[\]|])/g, '\\$1')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders the intro paragraph from the human-readable summary
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {string} Markdown paragraph
+ */
+export function renderIntro(summaryData) {
+  return escapeMarkdown(summaryData.summary);
+}
+
+/**
+ * Renders the highlights list (activity highlights followed by achievements)
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {string} Markdown bullet list
+ */
+export function renderHighlights(summaryData) {
+  const items = [
+    ...(summaryData.activityHighlights || []),
+    ...(summaryData.achievements || []),
+  ];
+
+  if (items.length === 0) {
+    return '_No highlights yet._';
+  }
+
+  return items.map(item => `- ${escapeMarkdown(item)}`).join('\n');
+}
+
+/**
+ * Renders the achievements list
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {string} Markdown bullet list
+ */
+export function renderAchievements(summaryData) {
+  const achievements = summaryData.achievements || [];
+
+  if (achievements.length === 0) {
+    return '_No achievements yet._';
+  }
+
+  return achievements.map(achievement => `- ${escapeMarkdown(achievement)}`).join('\n');
+}
+
+/**
+ * Renders the recent projects list with links to the repositories
+ * Anonymized private projects have no repository to link to and stay plain text
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {string} Markdown bullet list
+ */
+export function renderRecentProjects(summaryData) {
+  const projects = summaryData.recentProjects || [];
+
+  if (projects.length === 0) {
+    return '_No recent public activity._';
+  }
+
+  return projects.map(project => {
+    const linkable = project.fullName !== PRIVATE_REPO_NAME && /^[^/\s]+\/[^/\s]+$/.test(project.fullName || '');
+    let line = linkable
+      ? `- [${escapeMarkdown(project.name)}](https://github.com/${project.fullName})`
+      : `- ${escapeMarkdown(project.name)}`;
+    if (project.activityType) {
+      line += ` - ${escapeMarkdown(project.activityType)}`;
+    }
+    if (project.detail) {
+      line += `: ${escapeMarkdown(project.detail)}`;
+    }
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Renders the languages table
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {string} Markdown table
+ */
+export function renderLanguagesTable(summaryData) {
+  const languages = summaryData.languages || [];
+
+  if (languages.length === 0) {
+    return '_No language data available._';
+  }
+
+  // Shares are only known for summaries with a language breakdown
+  const breakdown = summaryData.languageBreakdown;
+  if (breakdown?.length) {
+    const rows = breakdown.slice(0, languages.length).map((language, index) => {
+      const primary = language.name === summaryData.primaryLanguage ? 'Primary' : '';
+      return `| ${index + 1} | ${escapeMarkdown(language.name)} | ${language.percentage.toFixed(1)}% | ${primary} |`;
+    });
+    return ['| # | Language | Share | |', '|---|----------|------:|---|', ...rows].join('\n');
+  }
+
+  const rows = languages.map((language, index) => {
+    const primary = language === summaryData.primaryLanguage ? 'Primary' : '';
+    return `| ${index + 1} | ${escapeMarkdown(language)} | ${primary} |`;
+  });
+
+  return ['| # | Language | |', '|---|----------|---|', ...rows].join('\n');
+}
+
+/**
+ * Request parameters carried over into embedded card URLs, so the cards show
+ * the same window, repositories and languages, and hide the same details
+ */
+export const CARD_PARAMS = [
+  'days',
+  'tz',
+  'streak_grace',
+  'exclude_repos',
+  'exclude_forks',
+  'exclude_archived',
+  'exclude_langs',
+  'lang_weight',
+  'lang_kinds',
+  'lang_groups',
+  'hide_details',
+  'redact',
+];
+
+/**
+ * Renders embedded card images pointing at a deployed card endpoint
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @param {Object} options - Rendering options
+ * @param {Object} options.params - Request parameters; those in CARD_PARAMS are added to the card URLs
+ * @returns {string} Markdown image lines, empty when no base URL is configured
+ */
+export function renderCards(summaryData, options = {}) {
+  const {
+    cardBaseUrl,
+    theme = 'default',
+    cardTypes = ['activity', 'languages'],
+    params = {},
+  } = options;
+
+  if (!cardBaseUrl) return '';
+
+  const baseUrl = cardBaseUrl.replace(/\/+$/, '');
+  let subject = { username: summaryData.username };
+  if (summaryData.isRepository) {
+    subject = { repo: summaryData.fullName };
+  } else if (summaryData.isOrganization) {
+    subject = { org: summaryData.username };
+  }
+  const forwarded = CARD_PARAMS
+    .filter(name => params[name] !== undefined && params[name] !== '')
+    .map(name => [name, String(params[name])]);
+
+  return cardTypes.map(type => {
+    const query = new URLSearchParams([...Object.entries({ ...subject, type, theme }), ...forwarded]);
+    return `![${type} card](${baseUrl}/?${query.toString()})`;
+  }).join('\n');
+}
+
+/**
+ * Generates a complete Markdown README from a template
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @param {Object} options - Rendering options
+ * @returns {string} Markdown document
+ */
+export function generateReadme(summaryData, options = {}) {
+  const { template = DEFAULT_TEMPLATE } = options;
+
+  const values = {
+    displayName: escapeMarkdown(summaryData.displayName),
+    username: summaryData.username,
+    profileUrl: summaryData.profileUrl || `https://github.com/${summaryData.username}`,
+    intro: renderIntro(summaryData),
+    highlights: renderHighlights(summaryData),
+    achievements: renderAchievements(summaryData),
+    recentProjects: renderRecentProjects(summaryData),
+    languages: renderLanguagesTable(summaryData),
+    cards: renderCards(summaryData, options),
+  };
+
+  const readme = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  );
+
+  // Collapse blank lines left behind by empty sections
+  return readme.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+export default {
+  CARD_PARAMS,
+  generateReadme,
+  renderIntro,
+  renderHighlights,
+  renderAchievements,
+  renderRecentProjects,
+  renderLanguagesTable,
+  renderCards,
+};
@@ -0,0 +1,110 @@
+/**
+ * README Section Updater
+ * Replaces generated content between comment markers in an existing README,
+ * leaving everything outside the markers untouched
+ *
+ * Markers:
+ *   <!-- ACTIVITY:START --> ... <!-- ACTIVITY:END -->                   (summary)
+ *   <!-- ACTIVITY:RECENT-PROJECTS:START --> ... <!-- ACTIVITY:RECENT-PROJECTS:END -->
+ */
+
+import fs from 'fs/promises';
+import {
+  renderIntro,
+  renderHighlights,
+  renderAchievements,
+  renderRecentProjects,
+  renderLanguagesTable,
+} from './readme-generator.js';
+
+/**
+ * Renderers for each named section
+ */
+const SECTION_RENDERERS = {
+  summary: renderIntro,
+  highlights: renderHighlights,
+  'recent-projects': renderRecentProjects,
+  languages: renderLanguagesTable,
+  achievements: renderAchievements,
+};
+
+/**
+ * Names of sections that can be used in markers
+ */
+export const SECTION_NAMES = Object.keys(SECTION_RENDERERS);
+
+const MARKER_PATTERN = /<!--\s*ACTIVITY(?::([A-Za-z-]+))?:(START|END)\s*-->/g;
+
+/**
+ * Finds matching START/END marker pairs in README content
+ * @param {string} content - README content
+ * @returns {Array<Object>} Marker pairs with section name and inner content offsets
+ */
+function findSections(content) {
+  const sections = [];
+  let open = null;
+
+  for (const match of content.matchAll(MARKER_PATTERN)) {
+    const name = (match[1] || 'summary').toLowerCase();
+
+    if (match[2].toUpperCase() === 'START') {
+      open = { name, innerStart: match.index + match[0].length };
+    } else if (open && open.name === name) {
+      sections.push({ name, innerStart: open.innerStart, innerEnd: match.index });
+      open = null;
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Replaces the content of every known marker section
+ * @param {string} content - Existing README content
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {Object} Updated content, whether it changed and which sections were found
+ */
+export function updateReadmeSections(content, summaryData) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const sections = findSections(content).filter(section => SECTION_RENDERERS[section.name]);
+
+  let updated = '';
+  let cursor = 0;
+
+  for (const section of sections) {
+    const markdown = SECTION_RENDERERS[section.name](summaryData).replace(/\r?\n/g, eol);
+    updated += content.slice(cursor, section.innerStart) + eol + markdown + eol;
+    cursor = section.innerEnd;
+  }
+  updated += content.slice(cursor);
+
+  return {
+    content: updated,
+    changed: updated !== content,
+    sections: sections.map(section => section.name),
+  };
+}
+
+/**
+ * Updates marker sections of a README file in place
+ * The file is only written when its content actually changes
+ * @param {string} filePath - Path to the README file
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @returns {Promise<Object>} Whether the file changed and which sections were found
+ */
+export async function updateReadmeFile(filePath, summaryData) {
+  const original = await fs.readFile(filePath, 'utf8');
+  const { content, changed, sections } = updateReadmeSections(original, summaryData);
+
+  if (changed) {
+    await fs.writeFile(filePath, content, 'utf8');
+  }
+
+  return { changed, sections };
+}
+
+export default {
+  SECTION_NAMES,
+  updateReadmeSections,
+  updateReadmeFile,
+};
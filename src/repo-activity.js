@@ -0,0 +1,117 @@
+/**
+ * Repository Activity
+ * Summarizes the recent activity of a single repository
+ * (`/repos/{owner}/{repo}/events` and the statistics endpoints) for project READMEs
+ */
+
+import { createGitHubClient } from './github-client.js';
+import { fetchEventHistory, createCachedLoader, getWindowKey, isValidLogin } from './github-api.js';
+import { fetchCommitTrends } from './repo-stats.js';
+import { fetchRepoLanguages } from './language-stats.js';
+import { analyzeTeamEvents } from './org-activity.js';
+
+/**
+ * Number of weeks shown in the commit sparkline
+ */
+const SPARKLINE_WEEKS = 12;
+
+/**
+ * Splits and validates an owner/name repository reference
+ * @param {string} fullName - Repository reference (owner/name)
+ * @returns {Object|null} { owner, repo } or null when the reference is invalid
+ */
+export function parseRepoName(fullName) {
+  const [owner, repo, ...rest] = String(fullName || '').split('/');
+  if (rest.length > 0 || !isValidLogin(owner) || !/^[\w.-]{1,100}$/.test(repo || '')) return null;
+  if (repo === '.' || repo === '..') return null;
+  return { owner, repo };
+}
+
+/**
+ * Fetches repository information
+ * @param {string} fullName - Repository name (owner/name)
+ * @param {string} token - GitHub token (optional)
+ * @returns {Promise<Object>} Repository data
+ */
+export async function fetchRepo(fullName, token = null) {
+  const client = createGitHubClient(token);
+  const response = await client.get(`/repos/${fullName}`);
+  return response.data;
+}
+
+/**
+ * Fetches a repository's events across all available pages
+ * @param {string} fullName - Repository name (owner/name)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options (see fetchEventHistory)
+ * @returns {Promise<Object>} Events and the time window they actually cover
+ */
+export async function fetchRepoEventHistory(fullName, token = null, options = {}) {
+  return fetchEventHistory(`/repos/${fullName}/events`, token, options);
+}
+
+/**
+ * Fetches and aggregates all activity data of a repository
+ * @param {string} fullName - Repository name (owner/name)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {string|Date} options.since - Start of the activity window
+ * @param {string|Date} options.until - End of the activity window
+ * @param {string} options.timezone - Timezone for hourly and daily buckets (IANA name or UTC offset)
+ * @param {string} options.streakGrace - Streak grace rule: 'none' or 'weekends'
+ * @param {Object} options.cache - Cache from createCache for repository data, events and statistics (optional)
+ * @param {Object} options.access - Access from resolveActivityAccess for the owner (see privacy.js), public only by default
+ * @returns {Promise<Object>} Complete repository activity data
+ */
+export async function fetchAllRepoActivityData(fullName, token = null, options = {}) {
+  const { since, until, timezone, streakGrace, cache, access } = options;
+  const parsed = parseRepoName(fullName);
+  if (!parsed) {
+    throw new Error(`Invalid repository "${fullName}", expected owner/name`);
+  }
+
+  const cached = createCachedLoader(cache);
+  const name = `repo:${fullName.toLowerCase()}`;
+  const windowKey = getWindowKey(since, until);
+
+  try {
+    // A token may be able to read private repositories; they are only shown in
+    // private mode to their owner, and never while private names are anonymized
+    const repo = await cached('profile', name, () => fetchRepo(fullName, token));
+    if (repo.private && !(access?.includePrivate && !access.anonymize)) {
+      throw new Error(`Repository "${fullName}" not found`);
+    }
+
+    const [eventHistory, languages, commitTrends] = await Promise.all([
+      cached('events', `${name}:${windowKey}`, () => fetchRepoEventHistory(fullName, token, { since, until })),
+      cached('repos', `${name}:languages`, () => fetchRepoLanguages(fullName, token)),
+      // Empty while statistics are still computing; the card then goes without a sparkline
+      fetchCommitTrends([`${parsed.owner}/${parsed.repo}`], token, { weeks: SPARKLINE_WEEKS, cache }),
+    ]);
+
+    const { events, window } = eventHistory;
+    const eventAnalysis = analyzeTeamEvents(events, { window, timezone, streakGrace });
+    eventAnalysis.commitTrends = commitTrends;
+
+    return {
+      repo,
+      events,
+      window,
+      languages,
+      eventAnalysis,
+      fetchedAt: new Date().toISOString(),
+    };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      throw new Error(`Repository "${fullName}" not found`);
+    }
+    throw error;
+  }
+}
+
+export default {
+  parseRepoName,
+  fetchRepo,
+  fetchRepoEventHistory,
+  fetchAllRepoActivityData,
+};
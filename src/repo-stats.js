@@ -0,0 +1,156 @@
+/**
+ * Repository Statistics
+ * Fetches GitHub's computed repository statistics (`/repos/{owner}/{repo}/stats/*`)
+ * and derives weekly commit trends from them
+ *
+ * GitHub computes these statistics lazily: the first request answers
+ * `202 Accepted` with an empty body while a background job runs. Requests are
+ * repeated with growing delays; cards are rendered inside HTTP handlers, so by
+ * default the polling stays within the client's retry budget (1.5 seconds).
+ * Statistics still pending after that are not cached, and a later request (or
+ * the background refresh of stale data) picks them up. Callers that can wait,
+ * like the command-line examples, poll longer through `retries`.
+ */
+
+import { createGitHubClient } from './github-client.js';
+
+/**
+ * Statistics endpoints under /repos/{owner}/{repo}/stats/
+ */
+export const STATS_ENDPOINTS = ['commit_activity', 'code_frequency', 'participation', 'contributors'];
+
+const DEFAULT_POLL = {
+  retries: 2,
+  delay: 500,
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fetches one kind of repository statistics, optionally polling while GitHub computes them
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} endpoint - One of STATS_ENDPOINTS
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {number} options.retries - How often to repeat a request answered with 202 (default 2)
+ * @param {number} options.delay - Delay before the first repeat in milliseconds (default 500, doubles each time)
+ * @returns {Promise<Array|null>} Statistics, an empty array for empty repositories, or null if still computing
+ */
+export async function fetchRepoStats(owner, repo, endpoint, token = null, options = {}) {
+  if (!STATS_ENDPOINTS.includes(endpoint)) {
+    throw new Error(`Unknown repository statistics endpoint: ${endpoint}`);
+  }
+
+  const { retries, delay } = { ...DEFAULT_POLL, ...options };
+  const client = createGitHubClient(token);
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    const response = await client.get(`/repos/${owner}/${repo}/stats/${endpoint}`);
+
+    // 204 means the repository has no commits
+    if (response.status === 204) {
+      return [];
+    }
+    if (response.status !== 202) {
+      return response.data ?? [];
+    }
+
+    if (attempt < retries) {
+      await sleep(delay * 2 ** attempt);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Derives a weekly commit trend from commit_activity statistics
+ * Compares the last four weeks with the four weeks before them
+ * @param {Array} activity - Weeks from /stats/commit_activity ({ week, total, days })
+ * @param {Object} options - Options
+ * @param {number} options.weeks - Number of recent weeks to keep
+ * @returns {Object} { weeks: [{ week, total }], total, recent, previous, change, trend }
+ */
+export function summarizeCommitActivity(activity, options = {}) {
+  const { weeks = 12 } = options;
+
+  const recentWeeks = (activity || []).slice(-weeks).map(item => ({
+    week: new Date(item.week * 1000).toISOString().split('T')[0],
+    total: item.total,
+  }));
+
+  const totals = recentWeeks.map(item => item.total);
+  const recent = totals.slice(-4).reduce((sum, count) => sum + count, 0);
+  const previous = totals.slice(-8, -4).reduce((sum, count) => sum + count, 0);
+
+  let change = null;
+  if (previous > 0) {
+    change = Math.round(((recent - previous) / previous) * 100);
+  }
+
+  let trend = 'flat';
+  if (recent > 0 && previous === 0) {
+    trend = 'up';
+  } else if (change !== null && change >= 25) {
+    trend = 'up';
+  } else if (change !== null && change <= -25) {
+    trend = 'down';
+  }
+
+  return {
+    weeks: recentWeeks,
+    total: totals.reduce((sum, count) => sum + count, 0),
+    recent,
+    previous,
+    change,
+    trend,
+  };
+}
+
+/**
+ * Fetches weekly commit trends for a set of repositories
+ * Repositories whose statistics are unavailable or still being computed are left out
+ * @param {Array<string>} repoNames - Full repository names (owner/name)
+ * @param {string} token - GitHub token (optional)
+ * @param {Object} options - Options
+ * @param {number} options.weeks - Number of recent weeks per trend
+ * @param {Object} options.cache - Cache from createCache (optional)
+ * @param {number} options.retries - Polling retries (see fetchRepoStats)
+ * @param {number} options.delay - Polling delay (see fetchRepoStats)
+ * @returns {Promise<Array>} Trends: [{ repo, weeks, total, recent, previous, change, trend }]
+ */
+export async function fetchCommitTrends(repoNames, token = null, options = {}) {
+  const { weeks = 12, cache, ...pollOptions } = options;
+
+  const trends = await Promise.all(repoNames.map(async repoName => {
+    const [owner, repo] = repoName.split('/');
+
+    const load = async () => {
+      const activity = await fetchRepoStats(owner, repo, 'commit_activity', token, pollOptions);
+      // Throwing keeps unfinished statistics out of the cache
+      if (activity === null) {
+        throw new Error(`Statistics for ${repoName} are still being computed`);
+      }
+      return activity;
+    };
+
+    try {
+      const activity = cache
+        ? await cache.getOrLoad('stats', `${repoName.toLowerCase()}:commit_activity`, load)
+        : await load();
+      return { repo: repoName, ...summarizeCommitActivity(activity, { weeks }) };
+    } catch {
+      return null;
+    }
+  }));
+
+  return trends.filter(Boolean);
+}
+
+export default {
+  STATS_ENDPOINTS,
+  fetchRepoStats,
+  summarizeCommitActivity,
+  fetchCommitTrends,
+};
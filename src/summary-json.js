@@ -0,0 +1,137 @@
+/**
+ * Summary JSON Output
+ * Builds the versioned JSON document served by `format=json` and `/api/summary`
+ *
+ * The schema version only changes when fields are removed, renamed or change
+ * meaning; new fields may be added within a version.
+ */
+
+export const SUMMARY_SCHEMA_VERSION = 1;
+
+/**
+ * Fields of the summary that are part of the public schema
+ * Everything generateActivitySummary and its organization and repository
+ * variants return; a new field only appears once it is added here
+ */
+const SUMMARY_FIELDS = [
+  'username',
+  'displayName',
+  'avatarUrl',
+  'profileUrl',
+  'isOrganization',
+  'isRepository',
+  'repoName', // Repositories only
+  'fullName', // Repositories only
+  'description', // Repositories only
+  'summary',
+  'activityHighlights',
+  'notablePatterns',
+  'achievements',
+  'primaryLanguage',
+  'languages',
+  'languageBreakdown',
+  'recentProjects',
+  'topContributors', // Organizations and repositories only
+  'activityWindow',
+  'contributionWindow', // Users with a contribution calendar only
+  'activitySource',
+  'dailyActivity',
+  'hourlyActivity',
+  'weekdayActivity',
+  'peakHour',
+  'commitTrends',
+  'commitActivity', // Repositories only
+  'commitAnalysis', // Users only
+  'unusualActivity', // Users only
+  'stats',
+];
+
+/**
+ * Fields of the event analysis that are part of the public schema
+ */
+const EVENT_ANALYSIS_FIELDS = [
+  'eventCounts',
+  'activityCounts',
+  'repoActivity',
+  'mostActiveRepo',
+  'totalEvents',
+  'peakHour',
+  'hourlyActivity',
+  'weekdayActivity',
+  'dailyActivity',
+  'currentStreak',
+  'longestStreak',
+  'contributionTotals',
+  'contributionWindow',
+  'source',
+  'window',
+  'timezone',
+  'commitTrends',
+  'topContributors', // Organizations and repositories only
+  'commits',
+  'mergedPullRequests',
+  'openedIssues',
+  'closedIssues',
+  'releases',
+  'activeRepos',
+];
+
+/**
+ * Builds the JSON summary document
+ * @param {Object} summaryData - Data from generateActivitySummary
+ * @param {Object} eventAnalysis - Analysis from analyzeEvents
+ * @param {Object} options - Options
+ * @param {string} options.fetchedAt - When the underlying GitHub data was fetched
+ * @returns {Object} Versioned summary document
+ */
+export function buildSummaryJson(summaryData, eventAnalysis, options = {}) {
+  const { fetchedAt = new Date().toISOString() } = options;
+
+  return {
+    schemaVersion: SUMMARY_SCHEMA_VERSION,
+    fetchedAt,
+    summary: pickFields(summaryData, SUMMARY_FIELDS),
+    eventAnalysis: pickFields(eventAnalysis, EVENT_ANALYSIS_FIELDS),
+  };
+}
+
+/**
+ * Copies the listed fields of an object, filling missing ones with null
+ * @param {Object} source - Object to copy from
+ * @param {Array<string>} fields - Fields to copy
+ * @returns {Object} Object with exactly the listed fields
+ */
+function pickFields(source, fields) {
+  const picked = {};
+  for (const field of fields) {
+    picked[field] = source?.[field] ?? null;
+  }
+  return picked;
+}
+
+/**
+ * Builds the JSON document for a leaderboard
+ * @param {Object} leaderboard - Leaderboard from fetchLeaderboard
+ * @param {Object} options - Options
+ * @param {string} options.fetchedAt - When the underlying GitHub data was fetched
+ * @returns {Object} Versioned leaderboard document
+ */
+export function buildLeaderboardJson(leaderboard, options = {}) {
+  const { fetchedAt = new Date().toISOString() } = options;
+
+  return {
+    schemaVersion: SUMMARY_SCHEMA_VERSION,
+    fetchedAt,
+    leaderboard: {
+      sortBy: leaderboard.sortBy,
+      window: leaderboard.window ?? null,
+      rows: leaderboard.rows,
+    },
+  };
+}
+
+export default {
+  SUMMARY_SCHEMA_VERSION,
+  buildSummaryJson,
+  buildLeaderboardJson,
+};
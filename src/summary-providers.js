@@ -0,0 +1,194 @@
+/**
+ * Summary Providers
+ * Pluggable backends that write the narrative summary text
+ *
+ * A provider is an object with a `name` and an async `summarize(context)` method
+ * returning plain text. The rule-based provider is the default; the
+ * OpenAI-compatible provider talks to any server implementing the
+ * /chat/completions endpoint (OpenAI, llama.cpp server, Ollama, ...)
+ */
+
+import axios from 'axios';
+
+const DEFAULT_MAX_LENGTH = 400;
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Rule-based provider, returns the template summary built by the summarizer
+ */
+export const ruleBasedProvider = {
+  name: 'rule-based',
+  async summarize(context) {
+    return context.ruleBasedSummary;
+  },
+};
+
+/**
+ * Builds chat messages asking a language model to summarize the activity
+ * Only structured facts are sent, never raw event payloads
+ * @param {Object} context - Summary context from the summarizer
+ * @param {number} maxLength - Maximum summary length in characters
+ * @returns {Array<Object>} Chat messages
+ */
+export function buildSummaryPrompt(context, maxLength = DEFAULT_MAX_LENGTH) {
+  const subject = context.isOrganization ? 'an organization\'s' : 'a developer\'s';
+  const facts = {
+    name: context.name,
+    primaryLanguage: context.primaryLanguage || null,
+    languages: context.languages,
+    activity: context.activity,
+    highlights: context.activityHighlights,
+    patterns: context.notablePatterns.map(pattern => pattern.description),
+    achievements: context.achievements,
+    recentProjects: context.recentProjects.map(project => ({
+      name: project.name,
+      activity: project.activityType,
+      detail: project.detail || null,
+    })),
+    stats: context.stats,
+  };
+  if (context.isOrganization) {
+    facts.topContributors = context.topContributors;
+  }
+
+  return [
+    {
+      role: 'system',
+      content: `You write short, friendly, third-person summaries of ${subject} GitHub activity `
+        + 'for their profile README. Use only the facts provided and do not invent projects or numbers. '
+        + `Reply with plain text only, no Markdown, at most ${maxLength} characters.`,
+    },
+    {
+      role: 'user',
+      content: `Summarize this GitHub activity:\n${JSON.stringify(facts, null, 2)}`,
+    },
+  ];
+}
+
+/**
+ * Removes Markdown headings, quotes, code spans and emphasis
+ * Emphasis markers are only removed in pairs, so names like `my_repo` survive
+ * @param {string} text - Text that may contain Markdown
+ * @returns {string} Plain text
+ */
+function stripMarkdown(text) {
+  return text
+    .replace(/^\s*>+\s?/gm, '')
+    .replace(/(^|\s)#{1,6}\s+/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*?)(\S(?:.*?\S)?)\1/g, '$2')
+    .replace(/(^|[^\w])(__?)(\S(?:.*?\S)?)\2(?!\w)/g, '$1$3');
+}
+
+/**
+ * Replaces control characters (line breaks included) with spaces
+ * @param {string} text - Text to clean
+ * @returns {string} Text without control characters
+ */
+function stripControlCharacters(text) {
+  return Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code < 0x20 || code === 0x7f ? ' ' : char;
+  }).join('');
+}
+
+/**
+ * Cleans model output before it is rendered onto a card
+ * Strips markup and control characters, collapses whitespace and enforces the length limit
+ * @param {string} text - Raw model output
+ * @param {number} maxLength - Maximum length in characters
+ * @returns {string} Sanitized single-paragraph text
+ */
+export function sanitizeSummary(text, maxLength = DEFAULT_MAX_LENGTH) {
+  if (typeof text !== 'string') return '';
+
+  let clean = stripControlCharacters(stripMarkdown(text.replace(/<[^>]*>/g, ' ')))
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^["']+|["']+$/g, '')
+    .trim();
+
+  if (clean.length > maxLength) {
+    const cut = clean.substring(0, maxLength - 3);
+    const lastSpace = cut.lastIndexOf(' ');
+    clean = `${lastSpace > 0 ? cut.substring(0, lastSpace) : cut}...`;
+  }
+
+  return clean;
+}
+
+/**
+ * Creates a provider backed by an OpenAI-compatible chat completions API
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL (e.g. http://localhost:11434/v1)
+ * @param {string} options.apiKey - API key (optional for local servers)
+ * @param {string} options.model - Model name
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @param {number} options.maxLength - Maximum summary length in characters
+ * @returns {Object} Summary provider
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const {
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey,
+    model = 'gpt-4o-mini',
+    timeout = DEFAULT_TIMEOUT,
+    maxLength = DEFAULT_MAX_LENGTH,
+  } = options;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers,
+    timeout,
+  });
+
+  return {
+    name: 'openai-compatible',
+    async summarize(context) {
+      const response = await client.post('/chat/completions', {
+        model,
+        messages: buildSummaryPrompt(context, maxLength),
+        temperature: 0.4,
+        max_tokens: Math.ceil(maxLength / 2),
+      });
+
+      const summary = sanitizeSummary(response.data?.choices?.[0]?.message?.content, maxLength);
+      if (!summary) {
+        throw new Error('Summary provider returned an empty response');
+      }
+      return summary;
+    },
+  };
+}
+
+/**
+ * Creates the summary provider configured through environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Summary provider
+ */
+export function createSummaryProvider(env = process.env) {
+  if (env.SUMMARY_PROVIDER === 'openai') {
+    return createOpenAICompatibleProvider({
+      baseUrl: env.SUMMARY_API_URL,
+      apiKey: env.SUMMARY_API_KEY,
+      model: env.SUMMARY_MODEL,
+      timeout: parseInt(env.SUMMARY_TIMEOUT_MS) || DEFAULT_TIMEOUT,
+      maxLength: parseInt(env.SUMMARY_MAX_LENGTH) || DEFAULT_MAX_LENGTH,
+    });
+  }
+
+  return ruleBasedProvider;
+}
+
+export default {
+  ruleBasedProvider,
+  buildSummaryPrompt,
+  sanitizeSummary,
+  createOpenAICompatibleProvider,
+  createSummaryProvider,
+};
@@ -0,0 +1,150 @@
+/**
+ * Timezone Utilities
+ * Resolves user-supplied timezones (IANA names or UTC offsets) and converts
+ * timestamps into local calendar dates, hours and weekdays
+ */
+
+const OFFSET_PATTERN = /^(?:UTC|GMT)?\s*([+\- ])(\d{1,2})(?::?(\d{2}))?$/i;
+
+/**
+ * Number of timezone specifications remembered; they come from query strings,
+ * so the oldest are dropped instead of letting spelling variants pile up
+ */
+const MAX_CACHED_TIMEZONES = 500;
+
+const timezoneCache = new Map();
+const formatterCache = new Map(); // Keyed by canonical IANA name, so bounded by their number
+
+/**
+ * Parses a timezone specification
+ * Accepts IANA names (Europe/Berlin), UTC/GMT/Z and offsets (+05:30, -0300, UTC+2).
+ * A leading space is read as "+", since "+" in an unencoded query string decodes to a space
+ * @param {string} timezone - Timezone specification
+ * @returns {Object} Parsed timezone: { type: 'iana', name } or { type: 'offset', minutes }
+ */
+export function parseTimezone(timezone) {
+  const value = String(timezone ?? '');
+  if (timezoneCache.has(value)) {
+    return timezoneCache.get(value);
+  }
+
+  const parsed = resolveTimezone(value);
+  timezoneCache.set(value, parsed);
+  if (timezoneCache.size > MAX_CACHED_TIMEZONES) {
+    timezoneCache.delete(timezoneCache.keys().next().value);
+  }
+  return parsed;
+}
+
+/**
+ * Resolves a timezone specification without caching
+ * @param {string} value - Timezone specification
+ * @returns {Object} Parsed timezone
+ */
+function resolveTimezone(value) {
+  if (/^\s*(UTC|GMT|Z)\s*$/i.test(value)) {
+    return { type: 'offset', minutes: 0 };
+  }
+
+  const offsetMatch = value.match(OFFSET_PATTERN);
+  if (offsetMatch) {
+    const [, sign, hours, minutes = '0'] = offsetMatch;
+    const total = parseInt(hours) * 60 + parseInt(minutes);
+    if (parseInt(hours) > 14 || parseInt(minutes) >= 60) {
+      throw new Error(`Invalid timezone: ${value}`);
+    }
+    return { type: 'offset', minutes: sign === '-' ? -total : total };
+  }
+
+  try {
+    const name = new Intl.DateTimeFormat('en-US', { timeZone: value.trim() }).resolvedOptions().timeZone;
+    return { type: 'iana', name };
+  } catch {
+    throw new Error(`Invalid timezone: ${value}`);
+  }
+}
+
+/**
+ * Checks whether a timezone specification is valid
+ * @param {string} timezone - Timezone specification
+ * @returns {boolean} True if the timezone can be parsed
+ */
+export function isValidTimezone(timezone) {
+  try {
+    parseTimezone(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Gets a cached Intl formatter for an IANA timezone
+ * @param {string} name - IANA timezone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(name) {
+  if (!formatterCache.has(name)) {
+    formatterCache.set(name, new Intl.DateTimeFormat('en-US', {
+      timeZone: name,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatterCache.get(name);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Converts a timestamp into local date parts
+ * Without a timezone, the runtime's local timezone is used
+ * @param {string|Date} timestamp - Timestamp
+ * @param {string} timezone - Timezone specification (optional)
+ * @returns {Object|null} { date: 'YYYY-MM-DD', hour, weekday } or null for invalid timestamps
+ */
+export function getLocalDateParts(timestamp, timezone) {
+  const date = new Date(timestamp);
+  if (isNaN(date.getTime())) return null;
+
+  if (!timezone) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return {
+      date: `${date.getFullYear()}-${month}-${day}`,
+      hour: date.getHours(),
+      weekday: date.getDay(),
+    };
+  }
+
+  const parsed = parseTimezone(timezone);
+
+  if (parsed.type === 'offset') {
+    const shifted = new Date(date.getTime() + parsed.minutes * 60 * 1000);
+    return {
+      date: shifted.toISOString().split('T')[0],
+      hour: shifted.getUTCHours(),
+      weekday: shifted.getUTCDay(),
+    };
+  }
+
+  const parts = {};
+  for (const part of getFormatter(parsed.name).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+export default {
+  parseTimezone,
+  isValidTimezone,
+  getLocalDateParts,
+};
@@ -0,0 +1,294 @@
+/**
+ * Tests for Activity Rules module
+ */
+
+import {
+  buildRuleContext,
+  evaluateActivityRules,
+  createRuleOptionsFromEnv,
+  ACTIVITY_RULES,
+} from '../src/activity-rules.js';
+
+const NOW = new Date('2024-04-01T12:00:00Z');
+
+const daysAgo = days => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const push = (repo, days) => ({
+  type: 'PushEvent',
+  repo: { name: repo },
+  payload: { size: 1, commits: [{ message: 'fix: typo' }] },
+  created_at: daysAgo(days),
+});
+
+const release = (repo, days, tag = 'v1.0.0') => ({
+  type: 'ReleaseEvent',
+  repo: { name: repo },
+  payload: { action: 'published', release: { tag_name: tag } },
+  created_at: daysAgo(days),
+});
+
+const activityData = (overrides = {}) => ({
+  profile: { login: 'alice' },
+  events: [],
+  eventAnalysis: {
+    timezone: 'UTC',
+    dailyActivity: {},
+    window: { since: daysAgo(60), until: NOW.toISOString() },
+    source: 'events',
+    ...overrides.eventAnalysis,
+  },
+  contributionStats: { recentRepos: [], ...overrides.contributionStats },
+  ...(overrides.events ? { events: overrides.events } : {}),
+});
+
+const evaluate = (ruleId, data, options = {}) => evaluateActivityRules(data, {
+  now: NOW,
+  disabledRules: ACTIVITY_RULES.map(rule => rule.id).filter(id => id !== ruleId),
+  ...options,
+});
+
+/**
+ * Builds daily activity with `perDay` contributions on each of the last `days` days before the window
+ */
+const dailyActivity = (days, perDay, recent = {}) => {
+  const daily = {};
+  for (let day = 7; day < days + 7; day++) {
+    daily[daysAgo(day).split('T')[0]] = perDay;
+  }
+  return { ...daily, ...recent };
+};
+
+describe('Activity Rules', () => {
+  describe('buildRuleContext', () => {
+    it('should split records into the current window and the baseline', () => {
+      const context = buildRuleContext(activityData({
+        events: [push('alice/app', 1), push('alice/app', 20), push('alice/app', -1)],
+      }), { now: NOW });
+
+      expect(context.current).toHaveLength(1);
+      expect(context.baseline).toHaveLength(1);
+      expect(context.windowDays).toBe(7);
+    });
+
+    it('should measure the baseline from the start of the event window', () => {
+      const context = buildRuleContext(activityData({
+        eventAnalysis: { dailyActivity: { [daysAgo(30).split('T')[0]]: 4, [daysAgo(2).split('T')[0]]: 3 } },
+      }), { now: NOW });
+
+      expect(context.daily).toEqual({ current: 3, baseline: 4, baselineDays: 54 });
+    });
+
+    it('should end the window at the end of the activity window by default', () => {
+      const context = buildRuleContext(activityData({ events: [push('alice/app', 1)] }));
+
+      expect(context.now).toEqual(NOW);
+      expect(context.current).toHaveLength(1);
+    });
+  });
+
+  describe('activity_spike', () => {
+    it('should flag far more contributions than usual', () => {
+      const findings = evaluate('activity_spike', activityData({
+        eventAnalysis: { dailyActivity: dailyActivity(53, 1, { [daysAgo(1).split('T')[0]]: 28 }) },
+      }));
+
+      expect(findings).toEqual([{
+        id: 'activity_spike',
+        severity: 'exceptional',
+        message: '28 contributions in the last 7 days, 4x the usual 7',
+        current: 28,
+        usual: 6.9,
+      }]);
+    });
+
+    it('should rate smaller spikes as notable', () => {
+      const findings = evaluate('activity_spike', activityData({
+        eventAnalysis: { dailyActivity: dailyActivity(53, 1, { [daysAgo(1).split('T')[0]]: 15 }) },
+      }));
+
+      expect(findings[0].severity).toBe('notable');
+    });
+
+    it('should not flag usual activity, little activity or a short baseline', () => {
+      const usual = activityData({ eventAnalysis: { dailyActivity: dailyActivity(53, 2, { [daysAgo(1).split('T')[0]]: 20 }) } });
+      const little = activityData({ eventAnalysis: { dailyActivity: { [daysAgo(1).split('T')[0]]: 9 } } });
+      const short = activityData({
+        eventAnalysis: {
+          dailyActivity: { [daysAgo(1).split('T')[0]]: 30 },
+          window: { since: daysAgo(10), until: NOW.toISOString() },
+        },
+      });
+
+      expect(evaluate('activity_spike', usual)).toEqual([]);
+      expect(evaluate('activity_spike', little)).toEqual([]);
+      expect(evaluate('activity_spike', short)).toEqual([]);
+    });
+
+    it('should use the full contribution calendar as baseline', () => {
+      const findings = evaluate('activity_spike', activityData({
+        eventAnalysis: {
+          source: 'contribution-calendar',
+          dailyActivity: dailyActivity(300, 0, { [daysAgo(1).split('T')[0]]: 12 }),
+        },
+      }));
+
+      expect(findings[0].message).toBe('12 contributions in the last 7 days, 12x the usual 0');
+    });
+  });
+
+  describe('first_release', () => {
+    it('should flag the first release of a repository', () => {
+      const findings = evaluate('first_release', activityData({
+        events: [release('alice/app', 2), release('alice/app', 1, 'v1.0.1')],
+      }));
+
+      expect(findings).toEqual([
+        { id: 'first_release', severity: 'notable', message: 'First release of "app" (v1.0.0)', repo: 'alice/app' },
+      ]);
+    });
+
+    it('should not flag repositories released before', () => {
+      const findings = evaluate('first_release', activityData({
+        events: [release('alice/app', 2, 'v2.0.0'), release('alice/app', 40)],
+      }));
+
+      expect(findings).toEqual([]);
+    });
+
+    it('should leave out hidden release tags', () => {
+      const findings = evaluate('first_release', activityData({ events: [release('alice/app', 2)] }), {
+        privacyFilters: { hideDetails: ['ReleaseEvent'] },
+      });
+
+      expect(findings[0].message).toBe('First release of "app"');
+    });
+  });
+
+  describe('new_organization', () => {
+    it('should flag the first contribution to another owner', () => {
+      const findings = evaluate('new_organization', activityData({
+        events: [push('acme/api', 1), push('acme/web', 2), push('alice/app', 1)],
+      }));
+
+      expect(findings).toEqual([
+        { id: 'new_organization', severity: 'notable', message: 'First contribution to acme', owner: 'acme' },
+      ]);
+    });
+
+    it('should not flag owners contributed to before, stars or anonymized repositories', () => {
+      const findings = evaluate('new_organization', activityData({
+        events: [
+          push('acme/api', 1),
+          push('Acme/web', 30),
+          { type: 'WatchEvent', repo: { name: 'other/lib' }, payload: {}, created_at: daysAgo(1) },
+          { ...push('Private repository', 1), repo: { name: 'Private repository' } },
+        ],
+      }));
+
+      expect(findings).toEqual([]);
+    });
+  });
+
+  describe('new_language', () => {
+    it('should flag a language only used by repositories created in the window', () => {
+      const findings = evaluate('new_language', activityData({
+        contributionStats: {
+          recentRepos: [
+            { name: 'oxide', full_name: 'alice/oxide', language: 'Rust', created_at: daysAgo(3) },
+            { name: 'app', full_name: 'alice/app', language: 'JavaScript', created_at: daysAgo(200) },
+          ],
+          languageRepoCounts: { Rust: 1, JavaScript: 4 },
+        },
+      }));
+
+      expect(findings).toEqual([{
+        id: 'new_language',
+        severity: 'info',
+        message: 'Started using Rust in "oxide"',
+        language: 'Rust',
+        repo: 'alice/oxide',
+      }]);
+    });
+
+    it('should not flag languages of older repositories or forks', () => {
+      const findings = evaluate('new_language', activityData({
+        contributionStats: {
+          recentRepos: [
+            { name: 'web', full_name: 'alice/web', language: 'JavaScript', created_at: daysAgo(3) },
+            { name: 'app', full_name: 'alice/app', language: 'JavaScript', created_at: daysAgo(200) },
+            { name: 'go-lib', full_name: 'alice/go-lib', language: 'Go', created_at: daysAgo(2), fork: true },
+            { name: 'cli', full_name: 'alice/cli', language: 'Python', created_at: daysAgo(1) },
+          ],
+          languageRepoCounts: { JavaScript: 2, Go: 1, Python: 3 },
+        },
+      }));
+
+      expect(findings).toEqual([]);
+    });
+  });
+
+  describe('dormant_repo_revived', () => {
+    it('should flag repositories active again after a quiet period', () => {
+      const findings = evaluate('dormant_repo_revived', activityData({
+        events: [push('alice/app', 1), push('alice/app', 45), push('alice/web', 1), push('alice/web', 10)],
+      }));
+
+      expect(findings).toEqual([
+        { id: 'dormant_repo_revived', severity: 'info', message: 'Back on "app" after 44 days', repo: 'alice/app' },
+      ]);
+    });
+
+    it('should flag older repositories without any baseline activity', () => {
+      const findings = evaluate('dormant_repo_revived', activityData({
+        events: [push('alice/old', 1), push('alice/new', 1)],
+        contributionStats: {
+          recentRepos: [
+            { full_name: 'alice/old', created_at: daysAgo(400) },
+            { full_name: 'alice/new', created_at: daysAgo(3) },
+          ],
+        },
+      }));
+
+      expect(findings.map(finding => finding.message)).toEqual(['Back on "old" after more than 54 days']);
+    });
+  });
+
+  describe('evaluateActivityRules', () => {
+    const data = activityData({
+      events: [release('acme/api', 1), push('alice/app', 2), push('alice/app', 50)],
+    });
+
+    it('should list the most severe findings first, in rule order', () => {
+      const findings = evaluateActivityRules(data, { now: NOW });
+
+      expect(findings.map(finding => finding.id)).toEqual(['first_release', 'new_organization', 'dormant_repo_revived']);
+    });
+
+    it('should skip disabled rules', () => {
+      const findings = evaluateActivityRules(data, { now: NOW, disabledRules: ['first_release', 'dormant_repo_revived'] });
+
+      expect(findings.map(finding => finding.id)).toEqual(['new_organization']);
+    });
+
+    it('should evaluate custom rules', () => {
+      const rule = { id: 'always', evaluate: () => [{ severity: 'info', message: 'Always' }] };
+
+      expect(evaluateActivityRules(data, { now: NOW, rules: [rule] })).toEqual([
+        { id: 'always', severity: 'info', message: 'Always' },
+      ]);
+    });
+  });
+
+  describe('createRuleOptionsFromEnv', () => {
+    it('should read disabled rules and the window length', () => {
+      expect(createRuleOptionsFromEnv({
+        ACTIVITY_RULES_DISABLED: 'new_language, activity_spike',
+        ACTIVITY_RULES_WINDOW_DAYS: '14',
+      })).toEqual({ disabledRules: ['new_language', 'activity_spike'], windowDays: 14 });
+    });
+
+    it('should default to all rules and a week', () => {
+      expect(createRuleOptionsFromEnv({})).toEqual({ disabledRules: [], windowDays: 7 });
+    });
+  });
+});
@@ -2,7 +2,12 @@
  * Tests for Activity Summarizer module
  */
 
-import { generateActivitySummary, generateShortSummary } from '../src/activity-summarizer.js';
+import {
+  generateActivitySummary,
+  generateOrgActivitySummary,
+  generateRepoActivitySummary,
+  generateShortSummary,
+} from '../src/activity-summarizer.js';
 
 describe('Activity Summarizer', () => {
   const mockActivityData = {
@@ -96,6 +101,309 @@ describe('Activity Summarizer', () => {
       expect(schedulePattern).toBeDefined();
       expect(schedulePattern.description).toContain('morning');
     });
+
+    it('should expose activity histograms', () => {
+      const hourlyActivity = Array(24).fill(1);
+      const weekdayActivity = [1, 2, 3, 4, 5, 6, 7];
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: { ...mockActivityData.eventAnalysis, hourlyActivity, weekdayActivity },
+      });
+
+      expect(result.hourlyActivity).toBe(hourlyActivity);
+      expect(result.weekdayActivity).toBe(weekdayActivity);
+      expect(result.peakHour).toBe(10);
+    });
+
+    it('should describe the covered activity window', () => {
+      const window = { since: '2023-12-16T00:00:00.000Z', until: '2024-01-15T00:00:00.000Z', days: 30, complete: true };
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: { ...mockActivityData.eventAnalysis, window },
+      });
+
+      expect(result.activityWindow).toBe(window);
+      expect(result.summary).toContain('Active in the last 30 days on: project1, project2.');
+    });
+
+    it('should build a language breakdown with percentages and colors', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        contributionStats: {
+          ...mockActivityData.contributionStats,
+          languages: { Python: 3000, JavaScript: 5000, TypeScript: 2000 },
+        },
+      });
+
+      expect(result.languages).toEqual(['JavaScript', 'Python', 'TypeScript']);
+      expect(result.languageBreakdown[0]).toEqual({ name: 'JavaScript', bytes: 5000, percentage: 50, color: '#f1e05a', kind: 'programming' });
+      expect(result.languageBreakdown.map(language => language.percentage)).toEqual([50, 30, 20]);
+    });
+
+    it('should report bytes separately from weights', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        contributionStats: {
+          ...mockActivityData.contributionStats,
+          languages: { JavaScript: 2, Python: 1, Brainlang: 1 },
+          languageBytes: { JavaScript: 700, Python: 9000, Brainlang: 10 },
+        },
+      });
+
+      expect(result.languageBreakdown[0]).toMatchObject({ name: 'JavaScript', bytes: 700, percentage: 50, kind: 'programming' });
+      expect(result.languageBreakdown[2]).toMatchObject({ name: 'Brainlang', color: '#858585', kind: null });
+    });
+
+    it('should highlight the repository with rising commits', () => {
+      const commitTrends = [
+        { repo: 'testuser/project1', recent: 4, previous: 4, change: 0, trend: 'flat' },
+        { repo: 'testuser/project2', recent: 20, previous: 8, change: 150, trend: 'up' },
+      ];
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: { ...mockActivityData.eventAnalysis, commitTrends },
+      });
+
+      expect(result.commitTrends).toBe(commitTrends);
+      expect(result.activityHighlights).toContain('Commits to "project2" up 150% over the last 4 weeks');
+    });
+
+    it('should count what the events actually did', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        events: [
+          {
+            type: 'PushEvent',
+            created_at: '2024-01-15T10:00:00Z',
+            repo: { name: 'testuser/project1' },
+            payload: { size: 40, commits: [{ message: 'Big refactor' }] },
+          },
+          {
+            type: 'PullRequestEvent',
+            created_at: '2024-01-14T10:00:00Z',
+            repo: { name: 'testuser/project2' },
+            payload: { action: 'closed', pull_request: { title: 'Add new feature', merged: true } },
+          },
+          {
+            type: 'PullRequestEvent',
+            created_at: '2024-01-13T10:00:00Z',
+            repo: { name: 'testuser/project2' },
+            payload: { action: 'labeled', pull_request: { title: 'Add new feature' } },
+          },
+        ],
+      });
+
+      expect(result.stats).toMatchObject({ commits: 40, mergedPullRequests: 1, reviews: 0, releases: 0 });
+      expect(result.recentProjects.map(project => project.detail)).toEqual(['40 commits', 'Merged: Add new feature']);
+      expect(result.activityHighlights).toContain('Merged 1 pull request');
+      expect(result.summary).toContain('Recent work: 40 commits pushed and 1 pull request merged.');
+    });
+
+    it('should prefer the activity counts of the analysis', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: {
+          ...mockActivityData.eventAnalysis,
+          activityCounts: { commits_pushed: 3, review_approved: 4, review_commented: 2, release_published: 1 },
+        },
+      });
+
+      expect(result.stats).toMatchObject({ commits: 3, reviews: 6, releases: 1 });
+      expect(result.achievements).toContain('Code Review Champion');
+      expect(result.activityHighlights).toContain('Published 1 release');
+    });
+
+    it('should hide and redact recent project details', () => {
+      const hidden = generateActivitySummary(mockActivityData, {
+        privacyFilters: { hideDetails: ['PushEvent'], redactPatterns: ['feature'] },
+      });
+
+      expect(hidden.recentProjects.map(project => project.detail)).toEqual([undefined, '[redacted]']);
+      expect(JSON.stringify(hidden)).not.toContain('Add new feature');
+    });
+
+    it('should describe what the commits were about', () => {
+      const commits = messages => messages.map(message => ({ message }));
+      const data = {
+        ...mockActivityData,
+        events: [
+          {
+            type: 'PushEvent',
+            created_at: '2024-01-15T10:00:00Z',
+            repo: { name: 'testuser/api' },
+            payload: { commits: commits(['fix(auth): refresh tokens', 'fix(auth): expire tokens', 'docs: usage']) },
+          },
+          {
+            type: 'PushEvent',
+            created_at: '2024-01-14T10:00:00Z',
+            repo: { name: 'testuser/web' },
+            payload: { commits: commits(['feat: dark mode']) },
+          },
+        ],
+      };
+      const result = generateActivitySummary(data);
+      const focus = 'Mostly fixing bugs in "api" (auth, tokens), also adding features to "web"';
+
+      expect(result.commitAnalysis.totalCommits).toBe(4);
+      expect(result.activityHighlights).toContain(focus);
+      expect(result.summary).toContain(`${focus}.`);
+
+      const hidden = generateActivitySummary(mockActivityData, { privacyFilters: { hideDetails: ['PushEvent'] } });
+      expect(hidden.commitAnalysis).toBeNull();
+
+      const redacted = generateActivitySummary(data, { privacyFilters: { redactPatterns: ['*auth*'] } });
+      expect(redacted.activityHighlights).toContain('Mostly fixing bugs in "api", also adding features to "web"');
+      expect(JSON.stringify(redacted)).not.toContain('tokens');
+    });
+
+    it('should flag unusual activity against the baseline', () => {
+      const data = {
+        ...mockActivityData,
+        events: [
+          ...mockActivityData.events,
+          {
+            type: 'ReleaseEvent',
+            created_at: '2024-01-15T12:00:00Z',
+            repo: { name: 'acme/api' },
+            payload: { action: 'published', release: { tag_name: 'v1.0.0' } },
+          },
+        ],
+        eventAnalysis: {
+          ...mockActivityData.eventAnalysis,
+          window: { since: '2023-11-01T00:00:00Z', until: '2024-01-16T00:00:00Z' },
+        },
+      };
+
+      const result = generateActivitySummary(data);
+      expect(result.unusualActivity.map(finding => finding.id)).toEqual(['first_release', 'new_organization']);
+      expect(result.notablePatterns).toContainEqual(
+        { type: 'unusual', rule: 'first_release', severity: 'notable', description: 'First release of "api" (v1.0.0)' }
+      );
+      expect(result.summary).toContain('Lately: First release of "api" (v1.0.0); First contribution to acme.');
+
+      const disabled = generateActivitySummary(data, { rules: { disabledRules: ['first_release', 'new_organization'] } });
+      expect(disabled.unusualActivity).toEqual([]);
+      expect(disabled.summary).not.toContain('Lately');
+    });
+  });
+
+  describe('generateOrgActivitySummary', () => {
+    const orgData = {
+      ...mockActivityData,
+      profile: { login: 'acme', name: 'Acme', html_url: 'https://github.com/acme' },
+      members: [{ login: 'alice' }, { login: 'bob' }],
+      eventAnalysis: {
+        ...mockActivityData.eventAnalysis,
+        window: { days: 7 },
+        releases: 4,
+        mergedPullRequests: 1,
+        activeRepos: 12,
+        topContributors: [
+          { login: 'alice', events: 5 },
+          { login: 'bob', events: 3 },
+          { login: 'carol', events: 1 },
+        ],
+      },
+    };
+
+    it('should write a team-level narrative', () => {
+      const result = generateOrgActivitySummary(orgData);
+
+      expect(result.summary).toContain('Acme is an organization working primarily in JavaScript.');
+      expect(result.summary).toContain('The team shipped 4 releases and merged 1 pull request across 12 repos this week.');
+      expect(result.summary).toContain('Most active: alice, bob and carol.');
+      expect(result.summary).toContain('2 public members');
+    });
+
+    it('should describe quieter periods without releases', () => {
+      const result = generateOrgActivitySummary({
+        ...orgData,
+        eventAnalysis: { ...orgData.eventAnalysis, window: { days: 30 }, releases: 0, mergedPullRequests: 0, activeRepos: 1 },
+      });
+
+      expect(result.summary).toContain('The team was active across 1 repo in the last 30 days.');
+    });
+
+    it('should return summary data usable by the cards', () => {
+      const result = generateOrgActivitySummary(orgData);
+
+      expect(result).toMatchObject({
+        username: 'acme',
+        displayName: 'Acme',
+        isOrganization: true,
+        primaryLanguage: 'JavaScript',
+      });
+      expect(result.stats).toMatchObject({ releases: 4, mergedPullRequests: 1, activeRepos: 12, members: 2, totalRepos: 15 });
+      expect(result.topContributors).toHaveLength(3);
+      expect(result.activityHighlights).toContain('Most activity in "project1"');
+    });
+  });
+
+  describe('generateRepoActivitySummary', () => {
+    const repoData = {
+      repo: {
+        name: 'api',
+        full_name: 'acme/api',
+        description: 'The Acme API',
+        html_url: 'https://github.com/acme/api',
+        stargazers_count: 120,
+        forks_count: 8,
+        open_issues_count: 14,
+        owner: { login: 'acme' },
+      },
+      languages: { Go: 900, Shell: 100 },
+      events: [],
+      eventAnalysis: {
+        ...mockActivityData.eventAnalysis,
+        window: { days: 30 },
+        commits: 42,
+        mergedPullRequests: 5,
+        openedIssues: 3,
+        closedIssues: 4,
+        releases: 2,
+        topContributors: [{ login: 'alice', events: 5 }, { login: 'bob', events: 3 }],
+        commitTrends: [{ repo: 'acme/api', weeks: [{ week: '2024-03-10', total: 1 }], recent: 1, previous: 0, change: null, trend: 'up' }],
+      },
+    };
+
+    it('should summarize what got done in the repository', () => {
+      const result = generateRepoActivitySummary(repoData);
+
+      expect(result.summary).toContain('acme/api is written mostly in Go.');
+      expect(result.summary).toContain('42 commits, 5 merged pull requests and 2 releases in the last 30 days.');
+      expect(result.summary).toContain('3 issues opened and 4 closed.');
+      expect(result.summary).toContain('Most active: alice and bob.');
+      expect(result.summary).toContain('Stats: 120 stars, 8 forks, 14 open issues.');
+    });
+
+    it('should return summary data for the repository card', () => {
+      const result = generateRepoActivitySummary(repoData);
+
+      expect(result).toMatchObject({
+        displayName: 'acme/api',
+        fullName: 'acme/api',
+        description: 'The Acme API',
+        isRepository: true,
+        primaryLanguage: 'Go',
+        commitActivity: [{ week: '2024-03-10', total: 1 }],
+      });
+      expect(result.languageBreakdown.map(language => language.percentage)).toEqual([90, 10]);
+      expect(result.stats).toMatchObject({ commits: 42, releases: 2, totalStars: 120, forks: 8 });
+      expect(result.achievements).toContain('Earned 120 stars');
+    });
+
+    it('should describe quiet repositories', () => {
+      const result = generateRepoActivitySummary({
+        ...repoData,
+        repo: { ...repoData.repo, stargazers_count: 1, forks_count: 1, open_issues_count: 1 },
+        languages: {},
+        eventAnalysis: { ...mockActivityData.eventAnalysis, window: null },
+      });
+
+      expect(result.summary).toContain('No commits, merged pull requests or releases recently.');
+      expect(result.summary).toContain('Stats: 1 star, 1 fork, 1 open issue.');
+      expect(result.commitActivity).toEqual([]);
+    });
   });
 
   describe('generateShortSummary', () => {
@@ -143,6 +451,44 @@ describe('Activity Summarizer', () => {
       expect(result.primaryLanguage).toBeUndefined();
     });
 
+    it('should distinguish an ongoing streak from a past longest streak', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: {
+          ...mockActivityData.eventAnalysis,
+          activityStreak: 12,
+          currentStreak: { days: 8, start: '2024-01-08', end: '2024-01-15' },
+          longestStreak: { days: 12, start: '2023-11-01', end: '2023-11-12' },
+        },
+      });
+
+      const streaks = result.notablePatterns.filter(p => p.type === 'streak');
+      expect(streaks.map(p => p.streakType)).toEqual(['current', 'longest']);
+      expect(result.stats.currentStreak).toBe(8);
+      expect(result.stats.longestStreak).toBe(12);
+      expect(result.summary).toContain("They're currently on an 8-day activity streak.");
+      expect(result.summary).toContain('Their longest run was a 12-day activity streak, ending Nov 12, 2023.');
+    });
+
+    it('should not call a streak that ended ongoing', () => {
+      const result = generateActivitySummary({
+        ...mockActivityData,
+        eventAnalysis: {
+          ...mockActivityData.eventAnalysis,
+          activityStreak: 9,
+          currentStreak: { days: 0, start: null, end: null },
+          longestStreak: { days: 9, start: '2023-11-01', end: '2023-11-09' },
+        },
+      });
+
+      expect(result.summary).not.toContain('currently');
+      expect(result.summary).toContain('longest run was a 9-day activity streak');
+      expect(generateShortSummary({
+        ...mockActivityData,
+        eventAnalysis: { ...mockActivityData.eventAnalysis, currentStreak: { days: 0 }, longestStreak: { days: 9 } },
+      })).not.toContain('streak');
+    });
+
     it('should handle low activity streak', () => {
       const lowStreak = {
         ...mockActivityData,
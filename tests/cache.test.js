@@ -0,0 +1,343 @@
+/**
+ * Tests for Cache module
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import {
+  createMemoryStore,
+  createFileStore,
+  createRedisStore,
+  createCache,
+  createCacheFromEnv,
+} from '../src/cache.js';
+
+/**
+ * Minimal stand-in for a Redis server supporting AUTH, SELECT, GET, SET (with PX) and DEL
+ */
+function startRedisStandIn({ password } = {}) {
+  const data = new Map();
+  const commands = [];
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let authenticated = !password;
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+
+      // Parse complete "*N\r\n$len\r\narg\r\n..." arrays from the buffer
+      for (;;) {
+        const lines = buffer.split('\r\n');
+        if (!lines[0].startsWith('*')) return;
+        const count = parseInt(lines[0].slice(1));
+        if (lines.length < 1 + count * 2 + 1) return;
+
+        const args = [];
+        for (let i = 0; i < count; i++) {
+          args.push(lines[2 + i * 2]);
+        }
+        buffer = lines.slice(1 + count * 2).join('\r\n');
+        commands.push(args);
+
+        const [name, key, value, , ttl] = args;
+        if (name === 'AUTH') {
+          authenticated = args[args.length - 1] === password;
+          socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+        } else if (!authenticated) {
+          socket.write('-NOAUTH Authentication required.\r\n');
+        } else if (name === 'SELECT') {
+          socket.write('+OK\r\n');
+        } else if (name === 'SET') {
+          data.set(key, { value, expiresAt: ttl ? Date.now() + parseInt(ttl) : Infinity });
+          socket.write('+OK\r\n');
+        } else if (name === 'GET') {
+          const item = data.get(key);
+          if (!item || Date.now() >= item.expiresAt) {
+            socket.write('$-1\r\n');
+          } else {
+            socket.write(`$${Buffer.byteLength(item.value)}\r\n${item.value}\r\n`);
+          }
+        } else if (name === 'DEL') {
+          socket.write(`:${data.delete(key) ? 1 : 0}\r\n`);
+        } else {
+          socket.write(`-ERR unknown command '${name}'\r\n`);
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, data, commands, port: server.address().port });
+    });
+  });
+}
+
+describe('Cache', () => {
+  describe('createMemoryStore', () => {
+    it('should store and return entries', async () => {
+      const store = createMemoryStore();
+
+      await store.set('a', { value: 1 }, 1000);
+
+      expect(await store.get('a')).toEqual({ value: 1 });
+      expect(await store.get('missing')).toBeUndefined();
+    });
+
+    it('should evict the least recently used entry', async () => {
+      const store = createMemoryStore({ maxEntries: 2 });
+
+      await store.set('a', 1, 1000);
+      await store.set('b', 2, 1000);
+      await store.get('a');
+      await store.set('c', 3, 1000);
+
+      expect(store.size).toBe(2);
+      expect(await store.get('a')).toBe(1);
+      expect(await store.get('b')).toBeUndefined();
+      expect(await store.get('c')).toBe(3);
+    });
+
+    it('should evict entries beyond the size limit', async () => {
+      const store = createMemoryStore({ maxSize: 25 });
+
+      await store.set('a', 'x'.repeat(8), 1000);
+      await store.set('b', 'x'.repeat(8), 1000);
+      await store.set('c', 'x'.repeat(8), 1000);
+      await store.set('big', 'x'.repeat(30), 1000);
+
+      expect(await store.get('a')).toBeUndefined();
+      expect(await store.get('b')).toBe('xxxxxxxx');
+      expect(await store.get('c')).toBe('xxxxxxxx');
+      expect(await store.get('big')).toBeUndefined();
+    });
+
+    it('should drop expired entries', async () => {
+      const store = createMemoryStore();
+
+      await store.set('a', 1, -1);
+
+      expect(await store.get('a')).toBeUndefined();
+      expect(store.size).toBe(0);
+    });
+  });
+
+  describe('createFileStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'cache-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should persist entries across store instances', async () => {
+      await createFileStore({ directory }).set('user:octocat', { value: { login: 'octocat' } }, 1000);
+
+      expect(await createFileStore({ directory }).get('user:octocat')).toEqual({ value: { login: 'octocat' } });
+    });
+
+    it('should remove expired and deleted entries', async () => {
+      const store = createFileStore({ directory });
+
+      await store.set('expired', 1, -1);
+      await store.set('deleted', 2, 1000);
+      await store.delete('deleted');
+
+      expect(await store.get('expired')).toBeUndefined();
+      expect(await store.get('deleted')).toBeUndefined();
+      expect(await fs.readdir(directory)).toEqual([]);
+    });
+
+    it('should treat corrupt files as missing', async () => {
+      const store = createFileStore({ directory });
+      await store.set('a', 1, 1000);
+      const [file] = await fs.readdir(directory);
+      await fs.writeFile(path.join(directory, file), '{"trunc');
+
+      expect(await store.get('a')).toBeUndefined();
+    });
+  });
+
+  describe('createRedisStore', () => {
+    let standIn;
+    let store;
+
+    afterEach(async () => {
+      await store?.close();
+      await new Promise(resolve => standIn.server.close(resolve));
+    });
+
+    it('should store entries with a TTL', async () => {
+      standIn = await startRedisStandIn();
+      store = createRedisStore({ url: `redis://127.0.0.1:${standIn.port}` });
+
+      await store.set('profile:octocat', { value: { login: 'octocat' } }, 60000);
+
+      expect(await store.get('profile:octocat')).toEqual({ value: { login: 'octocat' } });
+      expect(await store.get('missing')).toBeUndefined();
+      expect(standIn.commands[0]).toEqual([
+        'SET',
+        'github-activity:profile:octocat',
+        '{"value":{"login":"octocat"}}',
+        'PX',
+        '60000',
+      ]);
+    });
+
+    it('should delete entries', async () => {
+      standIn = await startRedisStandIn();
+      store = createRedisStore({ url: `redis://127.0.0.1:${standIn.port}` });
+
+      await store.set('a', 1, 60000);
+      await store.delete('a');
+
+      expect(await store.get('a')).toBeUndefined();
+    });
+
+    it('should authenticate and select the database from the URL', async () => {
+      standIn = await startRedisStandIn({ password: 's3cret' });
+      store = createRedisStore({ url: `redis://:s3cret@127.0.0.1:${standIn.port}/2` });
+
+      await store.set('a', 1, 60000);
+
+      expect(standIn.commands.slice(0, 2)).toEqual([['AUTH', 's3cret'], ['SELECT', '2']]);
+      expect(await store.get('a')).toBe(1);
+    });
+
+    it('should reject on server errors', async () => {
+      standIn = await startRedisStandIn({ password: 's3cret' });
+      store = createRedisStore({ url: `redis://127.0.0.1:${standIn.port}` });
+
+      await expect(store.get('a')).rejects.toThrow('NOAUTH');
+    });
+  });
+
+  describe('createCache', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should load once and serve fresh data from the store', async () => {
+      const cache = createCache();
+      const loader = jest.fn().mockResolvedValue({ login: 'octocat' });
+
+      expect(await cache.getOrLoad('profile', 'octocat', loader)).toEqual({ login: 'octocat' });
+      expect(await cache.getOrLoad('profile', 'octocat', loader)).toEqual({ login: 'octocat' });
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the TTL of the data kind', async () => {
+      const store = createMemoryStore();
+      const setSpy = jest.spyOn(store, 'set');
+      const cache = createCache({ store, ttl: { events: 1000 }, staleTtl: 5000 });
+
+      await cache.getOrLoad('events', 'octocat', async () => []);
+
+      const [key, entry, ttlMs] = setSpy.mock.calls[0];
+      expect(key).toBe('events:octocat');
+      expect(entry.freshUntil - Date.now()).toBeLessThanOrEqual(1000);
+      expect(ttlMs).toBe(6000);
+    });
+
+    it('should serve stale data while revalidating in the background', async () => {
+      const cache = createCache({ ttl: { events: 0 } });
+      let resolveRefresh;
+      const loader = jest.fn()
+        .mockResolvedValueOnce('old')
+        .mockImplementationOnce(() => new Promise(resolve => { resolveRefresh = resolve; }));
+
+      await cache.getOrLoad('events', 'octocat', loader);
+      expect(await cache.getOrLoad('events', 'octocat', loader)).toBe('old');
+      expect(loader).toHaveBeenCalledTimes(2);
+
+      resolveRefresh('new');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect((await cache.store.get('events:octocat')).value).toBe('new');
+    });
+
+    it('should share concurrent loads of the same key', async () => {
+      const cache = createCache();
+      const loader = jest.fn().mockResolvedValue('data');
+
+      await Promise.all([
+        cache.getOrLoad('repos', 'octocat', loader),
+        cache.getOrLoad('repos', 'octocat', loader),
+      ]);
+
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failed loads', async () => {
+      const cache = createCache();
+      const loader = jest.fn()
+        .mockRejectedValueOnce(new Error('User "ghost" not found'))
+        .mockResolvedValueOnce('data');
+
+      await expect(cache.getOrLoad('profile', 'ghost', loader)).rejects.toThrow('not found');
+      expect(await cache.getOrLoad('profile', 'ghost', loader)).toBe('data');
+    });
+
+    it('should keep serving stale data when the refresh fails', async () => {
+      const cache = createCache({ ttl: { events: 0 } });
+      const loader = jest.fn()
+        .mockResolvedValueOnce('old')
+        .mockRejectedValueOnce(new Error('GitHub is down'));
+
+      await cache.getOrLoad('events', 'octocat', loader);
+      expect(await cache.getOrLoad('events', 'octocat', loader)).toBe('old');
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Background refresh failed'), 'GitHub is down');
+      expect((await cache.store.get('events:octocat')).value).toBe('old');
+    });
+
+    it('should fall back to loading when the store is unavailable', async () => {
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('connection refused')),
+        set: jest.fn().mockRejectedValue(new Error('connection refused')),
+      };
+      const cache = createCache({ store });
+
+      expect(await cache.getOrLoad('profile', 'octocat', async () => 'data')).toBe('data');
+      expect(warnSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('createCacheFromEnv', () => {
+    it('should default to a memory store', () => {
+      expect(createCacheFromEnv({}).store.size).toBe(0);
+    });
+
+    it('should limit the size of the memory store', async () => {
+      const cache = createCacheFromEnv({ CACHE_MAX_SIZE: '1' });
+
+      await cache.getOrLoad('events', 'small', async () => 'x'.repeat(1000));
+      await cache.getOrLoad('events', 'large', async () => 'x'.repeat(2 * 1024 * 1024));
+
+      expect(cache.store.size).toBe(1);
+    });
+
+    it('should read per-kind TTLs in seconds', async () => {
+      const cache = createCacheFromEnv({ CACHE_TTL_PROFILE: '60', CACHE_STALE_TTL: '0' });
+      const setSpy = jest.spyOn(cache.store, 'set');
+
+      await cache.getOrLoad('profile', 'octocat', async () => 'data');
+
+      expect(setSpy.mock.calls[0][2]).toBe(60000);
+    });
+  });
+});
@@ -2,7 +2,15 @@
  * Tests for Card Generator module
  */
 
-import { generateActivityCard, generateCompactCard, generateLanguagesCard } from '../src/card-generator.js';
+import {
+  generateActivityCard,
+  generateCompactCard,
+  generateLanguagesCard,
+  generateHeatmapCard,
+  generateScheduleCard,
+  generateRepoCard,
+  generateLeaderboardCard,
+} from '../src/card-generator.js';
 
 describe('Card Generator', () => {
   const mockSummaryData = {
@@ -54,6 +62,37 @@ describe('Card Generator', () => {
       expect(svg).toContain('50'); // totalStars
     });
 
+    it('should break down the work behind the events', () => {
+      const svg = generateActivityCard({
+        ...mockSummaryData,
+        stats: { ...mockSummaryData.stats, commits: 42, mergedPullRequests: 1, reviews: 5, closedIssues: 0 },
+      });
+
+      expect(svg).toContain('42 commits · 1 PR merged · 5 reviews');
+      expect(svg).not.toContain('issues closed');
+      expect(generateActivityCard(mockSummaryData)).not.toContain(' · ');
+    });
+
+    it('should label the current streak by default', () => {
+      const svg = generateActivityCard({
+        ...mockSummaryData,
+        stats: { ...mockSummaryData.stats, currentStreak: 2, longestStreak: 7 },
+      });
+
+      expect(svg).toContain('Current Streak');
+      expect(svg).toContain('2 days');
+    });
+
+    it('should show the longest streak when requested', () => {
+      const svg = generateActivityCard({
+        ...mockSummaryData,
+        stats: { ...mockSummaryData.stats, currentStreak: 2, longestStreak: 7 },
+      }, { streak: 'longest' });
+
+      expect(svg).toContain('Longest Streak');
+      expect(svg).toContain('7 days');
+    });
+
     it('should hide stats when option is set', () => {
       const svg = generateActivityCard(mockSummaryData, { hideStats: true });
 
@@ -102,6 +141,20 @@ describe('Card Generator', () => {
       expect(svg).not.toContain('<script>');
       expect(svg).toContain('&lt;script&gt;');
     });
+
+    it('should show releases and top contributors for organizations', () => {
+      const svg = generateActivityCard({
+        ...mockSummaryData,
+        isOrganization: true,
+        stats: { ...mockSummaryData.stats, releases: 4 },
+        topContributors: [{ login: 'alice', events: 5 }, { login: 'bob', events: 3 }],
+      });
+
+      expect(svg).toContain('Releases');
+      expect(svg).not.toContain('Current Streak');
+      expect(svg).toContain('Top Contributors');
+      expect(svg).toContain('alice (5) · bob (3)');
+    });
   });
 
   describe('generateCompactCard', () => {
@@ -131,10 +184,10 @@ describe('Card Generator', () => {
   describe('generateLanguagesCard', () => {
     const dataWithLanguages = {
       ...mockSummaryData,
-      languages: [
-        ['JavaScript', 5000],
-        ['Python', 3000],
-        ['TypeScript', 2000],
+      languageBreakdown: [
+        { name: 'JavaScript', bytes: 5000, percentage: 50, color: '#f1e05a' },
+        { name: 'Python', bytes: 3000, percentage: 30, color: '#3572A5' },
+        { name: 'TypeScript', bytes: 2000, percentage: 20, color: '#2b7489' },
       ],
     };
 
@@ -156,8 +209,64 @@ describe('Card Generator', () => {
     it('should show percentages', () => {
       const svg = generateLanguagesCard(dataWithLanguages);
 
-      // JavaScript should be 50% (5000/10000)
       expect(svg).toContain('50.0%');
+      expect(svg).not.toContain('NaN');
+    });
+
+    it('should size the compact bar by percentage', () => {
+      const svg = generateLanguagesCard(dataWithLanguages);
+
+      // 50% of the 270px bar
+      expect(svg).toContain('width="135.00" height="8" fill="#f1e05a"');
+    });
+
+    it('should render a bar per language in the normal layout', () => {
+      const svg = generateLanguagesCard(dataWithLanguages, { layout: 'normal' });
+
+      expect(svg.match(/fill-opacity="0.1"/g)).toHaveLength(3);
+      expect(svg).toContain('width="81.00" height="8" rx="4" fill="#3572A5"');
+      expect(svg).toContain('height="170"');
+    });
+
+    it('should render donut and pie charts', () => {
+      const donut = generateLanguagesCard(dataWithLanguages, { layout: 'donut' });
+      const pie = generateLanguagesCard(dataWithLanguages, { layout: 'pie' });
+
+      expect(donut.match(/stroke-dasharray/g)).toHaveLength(3);
+      expect(donut).toContain('<title>Python: 30.0%</title>');
+      expect(pie.match(/<path d="M /g)).toHaveLength(3);
+      expect(pie).not.toContain('NaN');
+    });
+
+    it('should render a single language as a full pie', () => {
+      const svg = generateLanguagesCard({
+        ...mockSummaryData,
+        languageBreakdown: [{ name: 'Go', bytes: 100, percentage: 100, color: '#00ADD8' }],
+      }, { layout: 'pie' });
+
+      expect(svg).toContain('r="45" fill="#00ADD8"');
+    });
+
+    it('should group languages beyond the count as Other', () => {
+      const svg = generateLanguagesCard(dataWithLanguages, { langsCount: 2 });
+
+      expect(svg).toContain('Other <tspan class="lang-percent">20.0%</tspan>');
+      expect(svg).not.toContain('TypeScript');
+    });
+
+    it('should accept [name, size] tuples from older callers', () => {
+      const svg = generateLanguagesCard({
+        ...mockSummaryData,
+        languages: [['JavaScript', 5000], ['Python', 3000], ['TypeScript', 2000]],
+      });
+
+      expect(svg).toContain('50.0%');
+    });
+
+    it('should show a placeholder without language data', () => {
+      const svg = generateLanguagesCard(mockSummaryData);
+
+      expect(svg).toContain('No language data available');
     });
 
     it('should apply theme colors', () => {
@@ -167,6 +276,220 @@ describe('Card Generator', () => {
     });
   });
 
+  describe('generateHeatmapCard', () => {
+    const dataWithActivity = {
+      ...mockSummaryData,
+      dailyActivity: {
+        '2024-01-10': 1,
+        '2024-01-12': 4,
+        '2024-01-13': 2,
+      },
+      activitySource: 'events',
+      activityWindow: { since: '2023-10-15T12:00:00Z', until: '2024-01-13T12:00:00Z', days: 90 },
+    };
+
+    it('should generate valid SVG', () => {
+      const svg = generateHeatmapCard(dataWithActivity);
+
+      expect(svg).toContain('<svg');
+      expect(svg).toContain('</svg>');
+    });
+
+    it('should render one cell per day of the covered weeks', () => {
+      const svg = generateHeatmapCard(dataWithActivity, { weeks: 2 });
+
+      // Two weeks ending on Saturday 2024-01-13 start on Sunday 2023-12-31
+      expect(svg).toContain('<title>2023-12-31: 0</title>');
+      expect(svg).toContain('<title>2024-01-13: 2</title>');
+      expect(svg.match(/<title>/g)).toHaveLength(14);
+    });
+
+    it('should scale intensity with the theme accent color', () => {
+      const svg = generateHeatmapCard(dataWithActivity, { theme: 'dark' });
+
+      expect(svg).toContain('fill="#79ff97" fill-opacity="1"><title>2024-01-12: 4</title>');
+      expect(svg).toContain('fill="#79ff97" fill-opacity="0.25"><title>2024-01-10: 1</title>');
+    });
+
+    it('should include month and weekday labels and a legend', () => {
+      const svg = generateHeatmapCard(dataWithActivity);
+
+      expect(svg).toContain('>Jan<');
+      expect(svg).toContain('>Mon<');
+      expect(svg).toContain('>Less<');
+      expect(svg).toContain('>More<');
+      expect(svg).toContain('7 public events in the last 13 weeks');
+    });
+
+    it('should end on the last day of the window, even after quiet days', () => {
+      const svg = generateHeatmapCard(
+        { ...dataWithActivity, activityWindow: { until: '2024-02-10T23:30:00Z' } },
+        { weeks: 2, timezone: '+02:00' }
+      );
+
+      // 23:30 UTC is already the next day two hours east
+      expect(svg).toContain('<title>2024-02-11: 0</title>');
+      expect(svg).not.toContain('2024-01-13');
+      expect(svg).toContain('0 public events in the last 2 weeks');
+    });
+
+    it('should show a full year for contribution calendar data', () => {
+      const svg = generateHeatmapCard({ ...dataWithActivity, activitySource: 'contribution-calendar' });
+
+      expect(svg).toContain('contributions in the last 53 weeks');
+    });
+
+    it('should name the fetched window when it is shorter than the grid', () => {
+      const svg = generateHeatmapCard({
+        ...dataWithActivity,
+        activitySource: 'contribution-calendar',
+        contributionWindow: { since: '2023-12-14T12:00:00Z', until: '2024-01-13T12:00:00Z' },
+      });
+      const events = generateHeatmapCard({
+        ...dataWithActivity,
+        activityWindow: { since: '2024-01-06T12:00:00Z', until: '2024-01-13T12:00:00Z', days: 7 },
+      });
+
+      expect(svg).toContain('7 contributions in the last 30 days');
+      expect(events).toContain('7 public events in the last 7 days');
+    });
+
+    it('should handle missing activity data', () => {
+      const svg = generateHeatmapCard({ ...mockSummaryData, dailyActivity: undefined });
+
+      expect(svg).toContain('0 public events');
+    });
+  });
+
+  describe('generateScheduleCard', () => {
+    const hourlyActivity = Array(24).fill(0);
+    hourlyActivity[9] = 2;
+    hourlyActivity[22] = 5;
+    const dataWithSchedule = {
+      ...mockSummaryData,
+      hourlyActivity,
+      weekdayActivity: [0, 3, 1, 0, 2, 1, 0],
+    };
+
+    it('should generate valid SVG', () => {
+      const svg = generateScheduleCard(dataWithSchedule);
+
+      expect(svg).toContain('<svg');
+      expect(svg).toContain('</svg>');
+    });
+
+    it('should render a bar per hour and per weekday', () => {
+      const svg = generateScheduleCard(dataWithSchedule);
+
+      expect(svg.match(/<title>\d{2}:00: \d+<\/title>/g)).toHaveLength(24);
+      expect(svg).toContain('<title>Mon: 3</title>');
+      expect(svg).toContain('<title>Sat: 0</title>');
+    });
+
+    it('should describe the peak hour and weekday', () => {
+      const svg = generateScheduleCard(dataWithSchedule);
+
+      expect(svg).toContain('Most active around 22:00 and on Mons');
+    });
+
+    it('should handle missing histograms', () => {
+      const svg = generateScheduleCard(mockSummaryData);
+
+      expect(svg).toContain('No recent activity');
+      expect(svg).not.toContain('NaN');
+    });
+  });
+
+  describe('generateRepoCard', () => {
+    const repoSummary = {
+      displayName: 'acme/api',
+      description: 'The Acme API',
+      primaryLanguage: 'Go',
+      activityWindow: { days: 30 },
+      commitActivity: [{ week: '2024-03-03', total: 0 }, { week: '2024-03-10', total: 2 }, { week: '2024-03-17', total: 4 }],
+      topContributors: [{ login: 'alice', events: 5 }],
+      stats: { commits: 42, mergedPullRequests: 5, openedIssues: 3, closedIssues: 4, releases: 2, totalStars: 120, forks: 8 },
+    };
+
+    it('should show what got done in the activity window', () => {
+      const svg = generateRepoCard(repoSummary);
+
+      expect(svg).toContain('<svg');
+      expect(svg).toContain('acme/api');
+      expect(svg).toContain('The Acme API');
+      expect(svg).toContain('Last 30 days');
+      expect(svg).toContain('Merged PRs');
+      expect(svg).toContain('Top contributors: alice (5)');
+    });
+
+    it('should use singular nouns for single forks and issues', () => {
+      const svg = generateRepoCard({ ...repoSummary, stats: { ...repoSummary.stats, forks: 1, openIssues: 1 } });
+
+      expect(svg).toContain('1 fork  ·  1 open issue<');
+    });
+
+    it('should draw a sparkline of weekly commits', () => {
+      const svg = generateRepoCard(repoSummary);
+
+      // Zero at the bottom of the chart, the busiest week at the top
+      expect(svg).toContain('<polyline points="25.0,206.0 247.5,186.0 470.0,166.0"');
+      expect(svg).toContain('last 3 weeks');
+    });
+
+    it('should leave out the sparkline without commit statistics', () => {
+      const svg = generateRepoCard({ ...repoSummary, commitActivity: [] });
+
+      expect(svg).not.toContain('<polyline');
+      expect(svg).not.toContain('Weekly commits');
+    });
+  });
+
+  describe('generateLeaderboardCard', () => {
+    const leaderboard = {
+      sortBy: 'commits',
+      window: { days: 30 },
+      rows: [
+        { rank: 1, username: 'carol', displayName: 'Carol', available: true, events: 1, commits: 30, pullRequests: 2, reviews: 0, currentStreak: 3 },
+        { rank: 2, username: 'alice', displayName: 'Alice', available: true, events: 5, commits: 10, pullRequests: 1, reviews: 4, currentStreak: 0 },
+        { rank: null, username: 'ghost', displayName: 'ghost', available: false, reason: 'not found' },
+      ],
+    };
+
+    it('should list users in rank order with their metrics', () => {
+      const svg = generateLeaderboardCard(leaderboard);
+
+      expect(svg).toContain('Team Leaderboard');
+      expect(svg).toContain('Ranked by commits, last 30 days');
+      expect(svg.indexOf('Carol')).toBeLessThan(svg.indexOf('Alice'));
+      expect(svg).toContain('class="value sorted" text-anchor="middle">30</text>');
+      expect(svg).toContain('>3d</text>');
+    });
+
+    it('should show unavailable users without failing', () => {
+      const svg = generateLeaderboardCard(leaderboard);
+
+      expect(svg).toContain('user not found');
+      expect(svg).toContain('>–</text>');
+    });
+
+    it('should scale bars to the leader', () => {
+      const svg = generateLeaderboardCard(leaderboard);
+
+      expect(svg).toContain('width="135.0" height="3"');
+      expect(svg).toContain('width="45.0" height="3"');
+    });
+
+    it('should use a custom title and escape names', () => {
+      const svg = generateLeaderboardCard({
+        ...leaderboard,
+        rows: [{ ...leaderboard.rows[0], displayName: '<b>Carol</b>' }],
+      }, { title: 'Platform & Tools' });
+
+      expect(svg).toContain('Platform &amp; Tools');
+      expect(svg).toContain('&lt;b&gt;Carol&lt;/b&gt;');
+    });
+  });
+
   describe('theme support', () => {
     const themes = ['default', 'dark', 'radical', 'dracula', 'nord', 'github-dark'];
 
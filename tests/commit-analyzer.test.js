@@ -0,0 +1,132 @@
+/**
+ * Tests for Commit Analyzer module
+ */
+
+import {
+  parseCommitMessage,
+  classifyCommit,
+  extractTopics,
+  analyzeCommits,
+} from '../src/commit-analyzer.js';
+
+const push = (repo, messages) => ({
+  type: 'PushEvent',
+  repo: { name: repo },
+  payload: { commits: messages.map(message => ({ message, distinct: true })) },
+  created_at: '2024-03-28T10:00:00Z',
+});
+
+describe('Commit Analyzer', () => {
+  describe('parseCommitMessage', () => {
+    it('should parse Conventional Commit messages', () => {
+      expect(parseCommitMessage('fix(auth): refresh expired tokens')).toEqual({
+        type: 'fix',
+        scope: 'auth',
+        breaking: false,
+        subject: 'refresh expired tokens',
+        conventional: true,
+      });
+      expect(parseCommitMessage('feat!: drop Node 16').breaking).toBe(true);
+      expect(parseCommitMessage('refactor: split parser\n\nBREAKING CHANGE: new API').breaking).toBe(true);
+    });
+
+    it('should fold type aliases into the known types', () => {
+      expect(classifyCommit('perf: cache lookups')).toBe('refactor');
+      expect(classifyCommit('ci: run on Node 20')).toBe('chore');
+      expect(classifyCommit('hotfix(api): null check')).toBe('fix');
+    });
+
+    it('should classify other messages by their first word', () => {
+      expect(classifyCommit('Add dark mode')).toBe('feat');
+      expect(classifyCommit('Fixed crash on empty input')).toBe('fix');
+      expect(classifyCommit('Update README')).toBe('other');
+      expect(classifyCommit('Initial commit')).toBe('other');
+      expect(parseCommitMessage('Add dark mode').conventional).toBe(false);
+    });
+
+    it('should not treat unknown prefixes as Conventional Commits', () => {
+      expect(parseCommitMessage('WIP: fix later')).toMatchObject({ type: 'other', conventional: false });
+    });
+  });
+
+  describe('extractTopics', () => {
+    it('should return recurring words and scopes, most frequent first', () => {
+      const commits = [
+        'fix(auth): refresh expired tokens',
+        'fix(auth): store tokens securely',
+        'feat: tokens in the settings page',
+        'fix: settings crash',
+      ].map(parseCommitMessage);
+
+      expect(extractTopics(commits)).toEqual(['tokens', 'auth', 'settings']);
+      expect(extractTopics(commits, { limit: 1 })).toEqual(['tokens']);
+    });
+
+    it('should leave out stop words, verbs and numbers', () => {
+      const commits = ['Update the 2024 docs', 'Update the 2024 docs'].map(parseCommitMessage);
+
+      expect(extractTopics(commits)).toEqual([]);
+    });
+  });
+
+  describe('analyzeCommits', () => {
+    it('should group commits per repository', () => {
+      const analysis = analyzeCommits([
+        push('alice/api', ['fix(auth): refresh tokens', 'fix(auth): expire tokens', 'feat: rate limits']),
+        push('alice/web', ['feat: dark mode']),
+        { type: 'WatchEvent', repo: { name: 'alice/other' }, payload: {} },
+      ]);
+
+      expect(analysis.totalCommits).toBe(4);
+      expect(analysis.typeCounts).toMatchObject({ feat: 2, fix: 2, other: 0 });
+      expect(analysis.repos.map(repo => repo.repo)).toEqual(['alice/api', 'alice/web']);
+      expect(analysis.repos[0]).toMatchObject({
+        commits: 3,
+        dominantType: 'fix',
+        topics: ['auth', 'tokens'],
+      });
+      expect(analysis.repos[0].share).toBeCloseTo(2 / 3);
+    });
+
+    it('should take no topics from redacted commits', () => {
+      const events = [push('alice/api', [
+        'fix: acme-secret-client retries',
+        'fix: acme-secret-client timeouts',
+        'fix(payments): refund rounding',
+        'fix(payments): refund currency',
+      ])];
+
+      const analysis = analyzeCommits(events, { privacyFilters: { redactPatterns: ['*secret*'] } });
+
+      expect(analysis.repos[0]).toMatchObject({ commits: 4, dominantType: 'fix', topics: ['payments', 'refund'] });
+      expect(analyzeCommits(events).repos[0].topics).toEqual(['acme', 'client', 'payments']);
+    });
+
+    it('should skip merge commits and commits that are not distinct', () => {
+      const event = push('alice/api', ['Merge pull request #4 from bob/main', 'fix: typo']);
+      event.payload.commits.push({ message: 'feat: already pushed', distinct: false });
+
+      const analysis = analyzeCommits([event]);
+
+      expect(analysis.totalCommits).toBe(1);
+      expect(analysis.repos[0].dominantType).toBe('fix');
+    });
+
+    it('should break type ties by type order', () => {
+      const analysis = analyzeCommits([push('alice/api', ['docs: usage', 'feat: export'])]);
+
+      expect(analysis.repos[0].dominantType).toBe('feat');
+    });
+
+    it('should have no dominant type without classified commits', () => {
+      const analysis = analyzeCommits([push('alice/api', ['Initial commit', 'wip'])]);
+
+      expect(analysis.repos[0]).toMatchObject({ dominantType: null, share: 0 });
+    });
+
+    it('should handle events without commits', () => {
+      expect(analyzeCommits([{ type: 'PushEvent', repo: { name: 'alice/api' }, payload: {} }]))
+        .toEqual({ totalCommits: 0, typeCounts: expect.any(Object), repos: [] });
+    });
+  });
+});
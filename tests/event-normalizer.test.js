@@ -0,0 +1,113 @@
+/**
+ * Tests for Event Normalizer module
+ */
+
+import {
+  normalizeEvent,
+  normalizeEvents,
+  countActivity,
+  countReviews,
+  ACTIVITY_TYPES,
+} from '../src/event-normalizer.js';
+
+const event = (type, payload = {}) => ({
+  id: '1',
+  type,
+  actor: { login: 'alice' },
+  repo: { name: 'alice/app' },
+  payload,
+  created_at: '2024-03-28T10:00:00Z',
+});
+
+describe('Event Normalizer', () => {
+  describe('normalizeEvent', () => {
+    it('should tell opened, merged and closed pull requests apart', () => {
+      const pullRequest = { number: 7, title: 'Add login', merged: false };
+
+      expect(normalizeEvent(event('PullRequestEvent', { action: 'opened', pull_request: pullRequest })).type)
+        .toBe('pr_opened');
+      expect(normalizeEvent(event('PullRequestEvent', { action: 'closed', pull_request: { ...pullRequest, merged: true } })).type)
+        .toBe('pr_merged');
+      expect(normalizeEvent(event('PullRequestEvent', { action: 'closed', pull_request: pullRequest })).type)
+        .toBe('pr_closed');
+      expect(normalizeEvent(event('PullRequestEvent', { action: 'reopened', pull_request: pullRequest })).type)
+        .toBe('pr_reopened');
+    });
+
+    it('should drop events that describe no work', () => {
+      expect(normalizeEvent(event('PullRequestEvent', { action: 'labeled', pull_request: {} }))).toBeNull();
+      expect(normalizeEvent(event('IssuesEvent', { action: 'assigned', issue: {} }))).toBeNull();
+      expect(normalizeEvent(event('GollumEvent'))).toBeNull();
+    });
+
+    it('should keep the record details', () => {
+      const record = normalizeEvent(event('IssuesEvent', { action: 'closed', issue: { number: 12, title: 'Crash on start' } }));
+
+      expect(record).toEqual({
+        type: 'issue_closed',
+        count: 1,
+        repo: 'alice/app',
+        actor: 'alice',
+        createdAt: '2024-03-28T10:00:00Z',
+        number: 12,
+        title: 'Crash on start',
+        tag: null,
+      });
+    });
+
+    it('should count the distinct commits of a push', () => {
+      expect(normalizeEvent(event('PushEvent', { size: 40, distinct_size: 38 })).count).toBe(38);
+      expect(normalizeEvent(event('PushEvent', { size: 40 })).count).toBe(40);
+      expect(normalizeEvent(event('PushEvent', { commits: [{}, {}] })).count).toBe(2);
+      expect(normalizeEvent(event('PushEvent')).count).toBe(0);
+    });
+
+    it('should read review states', () => {
+      const review = state => normalizeEvent(event('PullRequestReviewEvent', { action: 'created', review: { state } })).type;
+
+      expect(review('approved')).toBe('review_approved');
+      expect(review('CHANGES_REQUESTED')).toBe('review_changes_requested');
+      expect(review('commented')).toBe('review_commented');
+    });
+
+    it('should read published releases and their tag', () => {
+      const record = normalizeEvent(event('ReleaseEvent', { action: 'published', release: { tag_name: 'v1.2.0' } }));
+
+      expect(record).toMatchObject({ type: 'release_published', tag: 'v1.2.0' });
+      expect(normalizeEvent(event('ReleaseEvent', { action: 'edited', release: {} }))).toBeNull();
+    });
+
+    it('should tell created repositories, branches and tags apart', () => {
+      expect(normalizeEvent(event('CreateEvent', { ref_type: 'repository' })).type).toBe('repo_created');
+      expect(normalizeEvent(event('CreateEvent', { ref_type: 'branch' })).type).toBe('branch_created');
+      expect(normalizeEvent(event('CreateEvent', { ref_type: 'tag' })).type).toBe('tag_created');
+    });
+
+    it('should treat all comment events as comments', () => {
+      expect(normalizeEvent(event('IssueCommentEvent', { action: 'created' })).type).toBe('comment_added');
+      expect(normalizeEvent(event('PullRequestReviewCommentEvent', { action: 'created' })).type).toBe('comment_added');
+    });
+  });
+
+  describe('countActivity', () => {
+    it('should add up commits and count every other record once', () => {
+      const counts = countActivity(normalizeEvents([
+        event('PushEvent', { size: 40 }),
+        event('PushEvent', { size: 1 }),
+        event('PullRequestEvent', { action: 'closed', pull_request: { merged: true } }),
+        event('PullRequestEvent', { action: 'labeled', pull_request: {} }),
+        event('PullRequestReviewEvent', { review: { state: 'approved' } }),
+        event('PullRequestReviewEvent', { review: { state: 'commented' } }),
+      ]));
+
+      expect(counts.commits_pushed).toBe(41);
+      expect(counts.pr_merged).toBe(1);
+      expect(counts.pr_opened).toBe(0);
+      expect(countReviews(counts)).toBe(2);
+    });
+
+    it('should report every activity type', () => {
+      expect(Object.keys(countActivity([]))).toEqual(ACTIVITY_TYPES);
+    });
+  });
+});
@@ -2,8 +2,14 @@
  * Tests for GitHub API module
  */
 
+import fs from 'fs';
 import { jest } from '@jest/globals';
 
+// Recorded GitHub GraphQL responses
+const loadFixture = name => JSON.parse(
+  fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+);
+
 // Mock axios before importing the module
 const mockAxios = {
   create: jest.fn(() => ({
@@ -21,7 +27,7 @@ describe('GitHub API', () => {
 
   beforeEach(async () => {
     jest.clearAllMocks();
-    mockClient = { get: jest.fn() };
+    mockClient = { get: jest.fn(), post: jest.fn() };
     mockAxios.create.mockReturnValue(mockClient);
 
     // Dynamic import after mocking
@@ -43,6 +49,24 @@ describe('GitHub API', () => {
       expect(result.totalEvents).toBe(3);
     });
 
+    it('should count what the events did', () => {
+      const events = [
+        { type: 'PushEvent', created_at: '2024-01-15T10:00:00Z', repo: { name: 'test/repo' }, payload: { size: 40 } },
+        { type: 'PushEvent', created_at: '2024-01-15T11:00:00Z', repo: { name: 'test/repo' }, payload: { size: 1 } },
+        {
+          type: 'PullRequestEvent',
+          created_at: '2024-01-15T12:00:00Z',
+          repo: { name: 'test/repo' },
+          payload: { action: 'closed', pull_request: { merged: true } },
+        },
+      ];
+
+      const result = githubApi.analyzeEvents(events);
+
+      expect(result.eventCounts.PushEvent).toBe(2);
+      expect(result.activityCounts).toMatchObject({ commits_pushed: 41, pr_merged: 1, pr_closed: 0 });
+    });
+
     it('should identify most active repo', () => {
       const events = [
         { type: 'PushEvent', created_at: '2024-01-15T10:00:00Z', repo: { name: 'user/repo1' } },
@@ -68,6 +92,23 @@ describe('GitHub API', () => {
       expect(result.activityStreak).toBe(3);
     });
 
+    it('should distinguish current and longest streaks', () => {
+      const events = ['2024-01-10', '2024-01-11', '2024-01-12', '2024-01-19'].map(date => ({
+        type: 'PushEvent',
+        created_at: `${date}T10:00:00Z`,
+        repo: { name: 'test/repo' },
+      }));
+
+      const result = githubApi.analyzeEvents(events, {
+        timezone: 'UTC',
+        now: new Date('2024-01-20T08:00:00Z'),
+      });
+
+      expect(result.currentStreak).toEqual({ days: 1, start: '2024-01-19', end: '2024-01-19' });
+      expect(result.longestStreak).toEqual({ days: 3, start: '2024-01-10', end: '2024-01-12' });
+      expect(result.activityStreak).toBe(3);
+    });
+
     it('should handle empty events array', () => {
       const result = githubApi.analyzeEvents([]);
 
@@ -98,5 +139,429 @@ describe('GitHub API', () => {
       // Hour 10 should be the peak since it has 2 events vs hour 15 which has 1
       expect(result.peakHour).toBe(10);
     });
+
+    it('should bucket activity in the requested timezone', () => {
+      const events = [
+        { type: 'PushEvent', created_at: '2024-01-15T23:30:00Z', repo: { name: 'test/repo' } },
+        { type: 'PushEvent', created_at: '2024-01-16T23:30:00Z', repo: { name: 'test/repo' } },
+      ];
+
+      const result = githubApi.analyzeEvents(events, { timezone: 'Asia/Tokyo' });
+
+      expect(result.peakHour).toBe(8);
+      expect(Object.keys(result.dailyActivity)).toEqual(['2024-01-16', '2024-01-17']);
+      expect(result.weekdayActivity).toEqual([0, 0, 1, 1, 0, 0, 0]);
+      expect(result.activityStreak).toBe(2);
+      expect(result.timezone).toBe('Asia/Tokyo');
+    });
+
+    it('should move streak boundaries to local midnight', () => {
+      // 22:00 and 01:00 UTC are the same evening in New York
+      const events = [
+        { type: 'PushEvent', created_at: '2024-01-15T22:00:00Z', repo: { name: 'test/repo' } },
+        { type: 'PushEvent', created_at: '2024-01-16T01:00:00Z', repo: { name: 'test/repo' } },
+      ];
+
+      const utc = githubApi.analyzeEvents(events, { timezone: 'UTC' });
+      const newYork = githubApi.analyzeEvents(events, { timezone: 'America/New_York' });
+
+      expect(utc.activityStreak).toBe(2);
+      expect(newYork.activityStreak).toBe(1);
+      expect(newYork.dailyActivity).toEqual({ '2024-01-15': 2 });
+    });
+
+    it('should expose hourly and weekday histograms', () => {
+      const monday = new Date(2024, 0, 15, 9, 0, 0);
+      const tuesday = new Date(2024, 0, 16, 9, 30, 0);
+
+      const events = [
+        { type: 'PushEvent', created_at: monday.toISOString(), repo: { name: 'test/repo' } },
+        { type: 'PushEvent', created_at: tuesday.toISOString(), repo: { name: 'test/repo' } },
+      ];
+
+      const result = githubApi.analyzeEvents(events);
+
+      expect(result.hourlyActivity).toHaveLength(24);
+      expect(result.hourlyActivity[9]).toBe(2);
+      expect(result.weekdayActivity).toEqual([0, 1, 1, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('calculateStreaks', () => {
+    const activity = {
+      '2024-01-01': 1,
+      '2024-01-02': 2,
+      '2024-01-03': 1,
+      '2024-01-04': 1,
+      '2024-01-08': 3,
+      '2024-01-09': 1,
+    };
+
+    it('should report the longest streak with its dates', () => {
+      const { longest } = githubApi.calculateStreaks(activity, { today: '2024-01-20' });
+
+      expect(longest).toEqual({ days: 4, start: '2024-01-01', end: '2024-01-04' });
+    });
+
+    it('should report no current streak when it ended before yesterday', () => {
+      const { current } = githubApi.calculateStreaks(activity, { today: '2024-01-20' });
+
+      expect(current).toEqual({ days: 0, start: null, end: null });
+    });
+
+    it('should keep a streak ending yesterday current', () => {
+      const { current } = githubApi.calculateStreaks(activity, { today: '2024-01-10' });
+
+      expect(current).toEqual({ days: 2, start: '2024-01-08', end: '2024-01-09' });
+    });
+
+    it('should count today when active', () => {
+      const { current } = githubApi.calculateStreaks(activity, { today: '2024-01-09' });
+
+      expect(current.days).toBe(2);
+    });
+
+    it('should bridge inactive weekends with the weekends grace rule', () => {
+      // 2024-01-05 is a Friday, 2024-01-06/07 are the weekend
+      const withFriday = { ...activity, '2024-01-05': 1 };
+
+      const strict = githubApi.calculateStreaks(withFriday, { today: '2024-01-10' });
+      const relaxed = githubApi.calculateStreaks(withFriday, { today: '2024-01-10', grace: 'weekends' });
+
+      expect(strict.longest.days).toBe(5);
+      expect(strict.current.days).toBe(2);
+      expect(relaxed.longest).toEqual({ days: 7, start: '2024-01-01', end: '2024-01-09' });
+      expect(relaxed.current.days).toBe(7);
+    });
+
+    it('should handle no activity', () => {
+      const result = githubApi.calculateStreaks({ '2024-01-01': 0 }, { today: '2024-01-02' });
+
+      expect(result.current.days).toBe(0);
+      expect(result.longest.days).toBe(0);
+    });
+  });
+
+  describe('parseLinkHeader', () => {
+    it('should parse rel links', () => {
+      const links = githubApi.parseLinkHeader(
+        '<https://api.github.com/user/1/events/public?page=2>; rel="next", <https://api.github.com/user/1/events/public?page=3>; rel="last"'
+      );
+
+      expect(links.next).toBe('https://api.github.com/user/1/events/public?page=2');
+      expect(links.last).toBe('https://api.github.com/user/1/events/public?page=3');
+    });
+
+    it('should handle missing header', () => {
+      expect(githubApi.parseLinkHeader(undefined)).toEqual({});
+    });
+  });
+
+  describe('fetchUserEventHistory', () => {
+    const now = new Date('2024-03-31T00:00:00Z');
+    const event = (id, createdAt) => ({
+      id: String(id),
+      type: 'PushEvent',
+      created_at: createdAt,
+      repo: { name: 'test/repo' },
+    });
+
+    it('should follow Link headers and deduplicate events', async () => {
+      mockClient.get
+        .mockResolvedValueOnce({
+          data: [event(3, '2024-03-30T10:00:00Z'), event(2, '2024-03-29T10:00:00Z')],
+          headers: { link: '<https://api.github.com/users/test/events/public?page=2>; rel="next"' },
+        })
+        .mockResolvedValueOnce({
+          data: [event(2, '2024-03-29T10:00:00Z'), event(1, '2024-03-28T10:00:00Z')],
+          headers: {},
+        });
+
+      const result = await githubApi.fetchUserEventHistory('test', null, { now });
+
+      expect(mockClient.get).toHaveBeenCalledTimes(2);
+      expect(mockClient.get).toHaveBeenLastCalledWith(
+        'https://api.github.com/users/test/events/public?page=2',
+        { params: undefined }
+      );
+      expect(result.events.map(e => e.id)).toEqual(['3', '2', '1']);
+      expect(result.window.complete).toBe(true);
+      expect(result.window.days).toBe(90);
+    });
+
+    it('should stop paginating once events are older than since', async () => {
+      mockClient.get.mockResolvedValueOnce({
+        data: [event(3, '2024-03-30T10:00:00Z'), event(2, '2024-03-10T10:00:00Z'), event(1, '2024-02-20T10:00:00Z')],
+        headers: { link: '<https://api.github.com/users/test/events/public?page=2>; rel="next"' },
+      });
+
+      const result = await githubApi.fetchUserEventHistory('test', null, {
+        now,
+        since: '2024-03-01T00:00:00Z',
+        until: '2024-03-20T00:00:00Z',
+      });
+
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+      expect(result.events.map(e => e.id)).toEqual(['2']);
+      expect(result.window).toEqual({
+        since: '2024-03-01T00:00:00.000Z',
+        until: '2024-03-20T00:00:00.000Z',
+        days: 19,
+        complete: true,
+      });
+    });
+
+    it('should report the truncated window when the page limit is hit', async () => {
+      mockClient.get.mockResolvedValue({
+        data: [event(1, '2024-03-21T00:00:00Z')],
+        headers: { link: '<https://api.github.com/users/test/events/public?page=2>; rel="next"' },
+      });
+
+      const result = await githubApi.fetchUserEventHistory('test', null, { now, maxPages: 1 });
+
+      expect(result.window.since).toBe('2024-03-21T00:00:00.000Z');
+      expect(result.window.days).toBe(10);
+      expect(result.window.complete).toBe(false);
+    });
+  });
+
+  describe('analyzeEvents window', () => {
+    it('should pass the covered window through', () => {
+      const window = { since: '2024-03-01T00:00:00.000Z', until: '2024-03-31T00:00:00.000Z', days: 30, complete: true };
+
+      const result = githubApi.analyzeEvents([], { window });
+
+      expect(result.window).toBe(window);
+    });
+  });
+
+  describe('fetchContributionCalendar', () => {
+    it('should parse the contribution calendar and totals', async () => {
+      mockClient.post.mockResolvedValueOnce({ data: loadFixture('graphql-contributions.json') });
+
+      const calendar = await githubApi.fetchContributionCalendar('testuser', 'token', {
+        from: '2024-01-07T00:00:00Z',
+      });
+
+      const [url, body] = mockClient.post.mock.calls[0];
+      expect(url).toBe('/graphql');
+      expect(body.query).toContain('contributionsCollection');
+      expect(body.variables).toEqual({ login: 'testuser', from: '2024-01-07T00:00:00.000Z', to: null });
+
+      expect(Object.keys(calendar.days)).toHaveLength(21);
+      expect(calendar.days['2024-01-17']).toBe(8);
+      expect(calendar.totals).toEqual({
+        contributions: 55,
+        commits: 38,
+        pullRequests: 6,
+        issues: 3,
+        reviews: 4,
+        repositories: 1,
+        restricted: 3,
+      });
+    });
+
+    it('should surface GraphQL errors', async () => {
+      mockClient.post.mockResolvedValueOnce({ data: loadFixture('graphql-user-not-found.json') });
+
+      await expect(githubApi.fetchContributionCalendar('ghost-user-404', 'token'))
+        .rejects.toThrow('Could not resolve to a User');
+    });
+
+    it('should require a token', async () => {
+      await expect(githubApi.fetchContributionCalendar('testuser', null))
+        .rejects.toThrow('token is required');
+      expect(mockClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('analyzeEvents with contribution calendar', () => {
+    it('should use calendar days for streaks and daily activity', async () => {
+      mockClient.post.mockResolvedValueOnce({ data: loadFixture('graphql-contributions.json') });
+      const contributionCalendar = await githubApi.fetchContributionCalendar('testuser', 'token');
+      const events = [
+        { type: 'PushEvent', created_at: '2024-01-26T10:00:00Z', repo: { name: 'test/repo' } },
+      ];
+
+      const result = githubApi.analyzeEvents(events, { contributionCalendar });
+
+      expect(result.source).toBe('contribution-calendar');
+      expect(result.activityStreak).toBe(10);
+      expect(result.dailyActivity).toBe(contributionCalendar.days);
+      expect(result.contributionTotals.commits).toBe(38);
+      expect(result.totalEvents).toBe(1);
+    });
+
+    it('should fall back to events without a calendar', () => {
+      const result = githubApi.analyzeEvents([]);
+
+      expect(result.source).toBe('events');
+      expect(result.contributionTotals).toBeNull();
+    });
+  });
+
+  describe('fetchAllUserRepos', () => {
+    it('should follow pagination', async () => {
+      mockClient.get
+        .mockResolvedValueOnce({
+          data: [{ name: 'one' }],
+          headers: { link: '<https://api.github.com/user/1/repos?page=2>; rel="next"' },
+        })
+        .mockResolvedValueOnce({ data: [{ name: 'two' }], headers: {} });
+
+      const repos = await githubApi.fetchAllUserRepos('testuser');
+
+      expect(repos.map(repo => repo.name)).toEqual(['one', 'two']);
+      expect(mockClient.get).toHaveBeenCalledWith('/users/testuser/repos', {
+        params: { sort: 'pushed', per_page: 100, type: 'owner' },
+      });
+    });
+
+    it('should list private repositories of the token owner', async () => {
+      mockClient.get.mockResolvedValueOnce({ data: [{ name: 'secret', private: true }], headers: {} });
+
+      const repos = await githubApi.fetchAllUserRepos('testuser', null, { includePrivate: true });
+
+      expect(repos).toHaveLength(1);
+      expect(mockClient.get).toHaveBeenCalledWith('/user/repos', {
+        params: { sort: 'pushed', per_page: 100, affiliation: 'owner', visibility: 'all' },
+      });
+    });
+  });
+
+  describe('isValidLogin', () => {
+    it('should accept GitHub logins only', () => {
+      expect(githubApi.isValidLogin('octo-cat')).toBe(true);
+      expect(githubApi.isValidLogin('a'.repeat(39))).toBe(true);
+      expect(githubApi.isValidLogin('a'.repeat(40))).toBe(false);
+      expect(githubApi.isValidLogin('-octocat')).toBe(false);
+      expect(githubApi.isValidLogin('octo--cat')).toBe(false);
+      expect(githubApi.isValidLogin('octo/cat')).toBe(false);
+      expect(githubApi.isValidLogin(null)).toBe(false);
+    });
+  });
+
+  describe('createCachedLoader', () => {
+    it('should load through the cache when there is one', async () => {
+      const { createCache } = await import('../src/cache.js');
+      const cached = githubApi.createCachedLoader(createCache());
+      const loader = jest.fn(async () => 'data');
+
+      expect(await cached('profile', 'octocat', loader)).toBe('data');
+      expect(await cached('profile', 'octocat', loader)).toBe('data');
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      expect(await githubApi.createCachedLoader(null)('profile', 'octocat', loader)).toBe('data');
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should key windows by their bounds', () => {
+      expect(githubApi.getWindowKey(new Date('2024-03-01T00:00:00Z'))).toBe('2024-03-01T00:00:00.000Z:');
+      expect(githubApi.getWindowKey()).toBe(':');
+    });
+  });
+
+  describe('fetchAllActivityData', () => {
+    beforeEach(() => {
+      mockClient.get.mockImplementation(async url => {
+        if (url.includes('/events')) return { data: [], headers: {} };
+        if (url.includes('/repos')) return { data: [], headers: {} };
+        return { data: { login: 'testuser' }, headers: {} };
+      });
+    });
+
+    it('should reuse cached GitHub data between calls', async () => {
+      const { createCache } = await import('../src/cache.js');
+      const cache = createCache();
+
+      await githubApi.fetchAllActivityData('TestUser', null, { cache });
+      const callCount = mockClient.get.mock.calls.length;
+      const result = await githubApi.fetchAllActivityData('testuser', null, { cache });
+
+      expect(mockClient.get).toHaveBeenCalledTimes(callCount);
+      expect(result.profile.login).toBe('testuser');
+    });
+
+    it('should leave excluded repositories out of totals and events', async () => {
+      mockClient.get.mockImplementation(async url => {
+        if (url.includes('/events')) {
+          return {
+            data: [
+              { id: '1', type: 'PushEvent', repo: { name: 'testuser/app' }, created_at: new Date().toISOString() },
+              { id: '2', type: 'PushEvent', repo: { name: 'testuser/react' }, created_at: new Date().toISOString() },
+              { id: '3', type: 'PushEvent', repo: { name: 'testuser/dotfiles' }, created_at: new Date().toISOString() },
+            ],
+            headers: {},
+          };
+        }
+        if (url === '/users/testuser/repos') {
+          return {
+            data: [
+              { name: 'app', full_name: 'testuser/app', stargazers_count: 5, forks_count: 1 },
+              { name: 'react', full_name: 'testuser/react', fork: true, stargazers_count: 100, forks_count: 9 },
+              { name: 'dotfiles', full_name: 'testuser/dotfiles', stargazers_count: 2, forks_count: 0 },
+            ],
+            headers: {},
+          };
+        }
+        if (url.includes('/languages')) return { data: {}, headers: {} };
+        if (url.includes('/repos')) return { status: 200, data: [], headers: {} };
+        return { data: { login: 'testuser' }, headers: {} };
+      });
+
+      const result = await githubApi.fetchAllActivityData('testuser', null, {
+        languageOptions: { excludeRepos: ['dot*'] },
+      });
+
+      expect(result.contributionStats).toMatchObject({ totalRepos: 1, totalStars: 5, totalForks: 1 });
+      // Forks are left out of the totals by default, but their events still count
+      expect(result.contributionStats.excludedRepos).toEqual(['testuser/dotfiles']);
+      expect(result.events.map(event => event.repo.name)).toEqual(['testuser/app', 'testuser/react']);
+      expect(result.eventAnalysis.totalEvents).toBe(2);
+
+      const withoutForks = await githubApi.fetchAllActivityData('testuser', null, {
+        languageOptions: { excludeRepos: ['dot*'], excludeForkActivity: true },
+      });
+
+      expect(withoutForks.contributionStats.excludedRepos).toEqual(['testuser/react', 'testuser/dotfiles']);
+      expect(withoutForks.events.map(event => event.repo.name)).toEqual(['testuser/app']);
+    });
+
+    it('should load private events and repositories with private access', async () => {
+      mockClient.get.mockImplementation(async url => {
+        if (url === '/users/testuser/events') {
+          return {
+            data: [{
+              id: '1',
+              type: 'PullRequestEvent',
+              public: false,
+              repo: { name: 'testuser/secret' },
+              payload: { action: 'opened', pull_request: { title: 'Secret feature' } },
+              created_at: new Date().toISOString(),
+            }],
+            headers: {},
+          };
+        }
+        if (url.includes('/repos')) return { data: [], headers: {} };
+        return { data: { login: 'testuser' }, headers: {} };
+      });
+
+      const result = await githubApi.fetchAllActivityData('testuser', 'token', {
+        access: { includePrivate: true, anonymize: true },
+      });
+
+      expect(mockClient.get).toHaveBeenCalledWith('/user/repos', expect.anything());
+      expect(result.eventAnalysis.totalEvents).toBe(1);
+      expect(JSON.stringify(result.events)).not.toContain('Secret feature');
+      expect(result.eventAnalysis.mostActiveRepo).toBe('Private repository');
+    });
+
+    it('should fetch directly without a cache', async () => {
+      await githubApi.fetchAllActivityData('testuser');
+      const callCount = mockClient.get.mock.calls.length;
+      await githubApi.fetchAllActivityData('testuser');
+
+      expect(mockClient.get).toHaveBeenCalledTimes(callCount * 2);
+    });
   });
 });
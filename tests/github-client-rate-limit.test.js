@@ -0,0 +1,202 @@
+/**
+ * Tests for rate-limit handling of the GitHub Client module
+ * Runs the real axios client against a local stand-in for the GitHub API
+ */
+
+import http from 'http';
+import { createMemoryStore } from '../src/cache.js';
+import {
+  createGitHubClient,
+  createTokenPool,
+  createTokenPoolFromEnv,
+  classifyGitHubError,
+  GitHubApiError,
+} from '../src/github-client.js';
+
+describe('GitHub Client rate limits', () => {
+  let server;
+  let baseURL;
+  let requests;
+  let respond;
+
+  const createClient = (token, retry = {}) => createGitHubClient(token, {
+    baseURL,
+    validatorStore: createMemoryStore(),
+    retry: { baseDelay: 1, ...retry },
+  });
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const resetIn = seconds => String(Math.floor(Date.now() / 1000) + seconds);
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      respond(req, res, requests.length);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  it('should retry a secondary rate limit after retry-after', async () => {
+    respond = (req, res, count) => (count === 1
+      ? send(res, 403, { message: 'You have exceeded a secondary rate limit.' }, { 'retry-after': '0' })
+      : send(res, 200, { login: 'octocat' }));
+
+    const response = await createClient('token').get('/users/octocat');
+
+    expect(response.data.login).toBe('octocat');
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should fail right away when retry-after exceeds the retry time budget', async () => {
+    respond = (req, res) => send(res, 403, { message: 'You have exceeded a secondary rate limit.' }, { 'retry-after': '30' });
+
+    const started = Date.now();
+    const error = await createClient('token').get('/users/octocat').catch(caught => caught);
+
+    expect(error.kind).toBe('secondary_rate_limit');
+    expect(requests).toHaveLength(1);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  it('should stop retrying once the retry time budget is spent', async () => {
+    respond = (req, res) => send(res, 503, { message: 'Unavailable' });
+
+    const error = await createClient('token', { baseDelay: 40, maxRetryTime: 100 })
+      .get('/users/octocat')
+      .catch(caught => caught);
+
+    expect(error.response.status).toBe(503);
+    // Waits 40ms and 80ms would exceed 100ms, so only the first retry is made
+    expect(requests).toHaveLength(2);
+  });
+
+  it('should switch to another token when the primary rate limit is exhausted', async () => {
+    respond = (req, res) => (req.headers.authorization === 'Bearer first'
+      ? send(res, 403, { message: 'API rate limit exceeded' }, {
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-reset': resetIn(3600),
+      })
+      : send(res, 200, { login: 'octocat' }, { 'x-ratelimit-remaining': '4999' }));
+
+    const pool = createTokenPool(['first', 'second']);
+    const response = await createClient(pool).get('/users/octocat');
+
+    expect(response.data.login).toBe('octocat');
+    expect(requests.map(request => request.authorization)).toEqual(['Bearer first', 'Bearer second']);
+    expect(pool.acquire()).toBe('second');
+  });
+
+  it('should pick the token with the most remaining quota', async () => {
+    respond = (req, res) => send(res, 200, {}, {
+      'x-ratelimit-remaining': req.headers.authorization === 'Bearer first' ? '10' : '4000',
+      'x-ratelimit-reset': resetIn(3600),
+    });
+
+    const pool = createTokenPool(['first', 'second']);
+    const client = createClient(pool);
+    await client.get('/rate_limit');
+    await client.get('/rate_limit');
+    await client.get('/rate_limit');
+
+    expect(requests.map(request => request.authorization)).toEqual([
+      'Bearer first',
+      'Bearer second',
+      'Bearer second',
+    ]);
+  });
+
+  it('should fail with the reset time when every token is exhausted', async () => {
+    respond = (req, res) => send(res, 403, { message: 'API rate limit exceeded' }, {
+      'x-ratelimit-remaining': '0',
+      'x-ratelimit-reset': resetIn(3600),
+    });
+
+    const error = await createClient('token').get('/users/octocat').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(GitHubApiError);
+    expect(error.kind).toBe('rate_limit');
+    expect(error.message).toContain('Resets at');
+    expect(error.resetAt).toBeGreaterThan(Date.now());
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should not retry permission errors', async () => {
+    respond = (req, res) => send(res, 403, { message: 'Resource not accessible by integration' }, {
+      'x-ratelimit-remaining': '4000',
+    });
+
+    const error = await createClient('token').get('/repos/private/repo').catch(caught => caught);
+
+    expect(error.kind).toBe('forbidden');
+    expect(error.status).toBe(403);
+    expect(error.message).toContain('Resource not accessible by integration');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('should retry server errors with backoff', async () => {
+    respond = (req, res, count) => (count < 3
+      ? send(res, 502, { message: 'Server Error' })
+      : send(res, 200, [{ id: '1' }]));
+
+    const response = await createClient(null).get('/users/octocat/events/public');
+
+    expect(response.data).toEqual([{ id: '1' }]);
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should give up after the maximum number of retries', async () => {
+    respond = (req, res) => send(res, 503, { message: 'Unavailable' });
+
+    await expect(createClient(null, { maxRetries: 2 }).get('/users/octocat')).rejects.toThrow('503');
+    expect(requests).toHaveLength(3);
+  });
+
+  it('should not retry client errors', async () => {
+    respond = (req, res) => send(res, 404, { message: 'Not Found' });
+
+    const error = await createClient(null).get('/users/ghost').catch(caught => caught);
+
+    expect(error.response.status).toBe(404);
+    expect(requests).toHaveLength(1);
+  });
+
+  describe('classifyGitHubError', () => {
+    it('should ignore responses that are not refusals', () => {
+      expect(classifyGitHubError({ status: 404, headers: {} })).toBeNull();
+      expect(classifyGitHubError(undefined)).toBeNull();
+    });
+
+    it('should treat 429 as a rate limit', () => {
+      expect(classifyGitHubError({ status: 429, headers: {} }).kind).toBe('rate_limit');
+      expect(classifyGitHubError({ status: 429, headers: { 'retry-after': '30' } }))
+        .toMatchObject({ kind: 'secondary_rate_limit', retryAfter: 30000 });
+    });
+  });
+
+  describe('createTokenPoolFromEnv', () => {
+    it('should read GITHUB_TOKENS', () => {
+      expect(createTokenPoolFromEnv({ GITHUB_TOKENS: 'a, b,,a', GITHUB_TOKEN: 'c' }).size).toBe(2);
+    });
+
+    it('should fall back to GITHUB_TOKEN', () => {
+      expect(createTokenPoolFromEnv({ GITHUB_TOKEN: 'c' }).acquire()).toBe('c');
+    });
+
+    it('should return null without tokens', () => {
+      expect(createTokenPoolFromEnv({})).toBeNull();
+    });
+  });
+});
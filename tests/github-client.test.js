@@ -0,0 +1,142 @@
+/**
+ * Tests for GitHub Client module
+ */
+
+import { jest } from '@jest/globals';
+import { createMemoryStore } from '../src/cache.js';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const notModified = () => Object.assign(new Error('Request failed with status code 304'), {
+  response: { status: 304, headers: {} },
+});
+
+describe('GitHub Client', () => {
+  let createGitHubClient;
+  let mockClient;
+  let validatorStore;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = { get: jest.fn(), post: jest.fn() };
+    mockAxios.create.mockReturnValue(mockClient);
+    validatorStore = createMemoryStore();
+
+    ({ createGitHubClient } = await import('../src/github-client.js'));
+  });
+
+  it('should authenticate with the token', async () => {
+    mockClient.get.mockResolvedValueOnce({ status: 200, data: {}, headers: {} });
+
+    await createGitHubClient('secret', { validatorStore }).get('/user');
+
+    expect(mockAxios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'https://api.github.com',
+    }));
+    expect(mockClient.get).toHaveBeenCalledWith('/user', {
+      headers: { Authorization: 'Bearer secret' },
+    });
+  });
+
+  it('should send If-None-Match for a remembered response', async () => {
+    const client = createGitHubClient(null, { validatorStore });
+    mockClient.get.mockResolvedValueOnce({
+      status: 200,
+      data: { login: 'octocat' },
+      headers: { etag: 'W/"abc"' },
+    });
+
+    await client.get('/users/octocat');
+    mockClient.get.mockRejectedValueOnce(notModified());
+    await client.get('/users/octocat');
+
+    expect(mockClient.get).toHaveBeenLastCalledWith('/users/octocat', {
+      headers: { 'If-None-Match': 'W/"abc"' },
+    });
+  });
+
+  it('should answer a 304 from the remembered response', async () => {
+    const client = createGitHubClient(null, { validatorStore });
+    mockClient.get.mockResolvedValueOnce({
+      status: 200,
+      data: [{ id: '1' }],
+      headers: { etag: '"abc"', link: '<https://api.github.com/next>; rel="next"' },
+    });
+
+    await client.get('/users/octocat/events/public', { params: { per_page: 100 } });
+    mockClient.get.mockRejectedValueOnce(notModified());
+    const response = await client.get('/users/octocat/events/public', { params: { per_page: 100 } });
+
+    expect(response.notModified).toBe(true);
+    expect(response.data).toEqual([{ id: '1' }]);
+    expect(response.headers.link).toContain('rel="next"');
+  });
+
+  it('should send If-Modified-Since when only Last-Modified is known', async () => {
+    const client = createGitHubClient(null, { validatorStore });
+    mockClient.get.mockResolvedValueOnce({
+      status: 200,
+      data: {},
+      headers: { 'last-modified': 'Mon, 15 Jan 2024 12:00:00 GMT' },
+    });
+
+    await client.get('/users/octocat');
+    mockClient.get.mockResolvedValueOnce({ status: 200, data: {}, headers: {} });
+    await client.get('/users/octocat');
+
+    expect(mockClient.get.mock.calls[1][1].headers).toEqual({
+      'If-Modified-Since': 'Mon, 15 Jan 2024 12:00:00 GMT',
+    });
+  });
+
+  it('should keep remembered responses separate per token and parameters', async () => {
+    mockClient.get.mockResolvedValue({ status: 200, data: {}, headers: { etag: '"abc"' } });
+
+    await createGitHubClient('first', { validatorStore }).get('/user/repos', { params: { page: 1 } });
+    await createGitHubClient('second', { validatorStore }).get('/user/repos', { params: { page: 1 } });
+    await createGitHubClient('first', { validatorStore }).get('/user/repos', { params: { page: 2 } });
+
+    for (const [, config] of mockClient.get.mock.calls) {
+      expect(config.headers['If-None-Match']).toBeUndefined();
+    }
+  });
+
+  it('should not remember responses without validators', async () => {
+    const client = createGitHubClient(null, { validatorStore });
+    mockClient.get.mockResolvedValue({ status: 200, data: {}, headers: {} });
+
+    await client.get('/users/octocat');
+    await client.get('/users/octocat');
+
+    expect(mockClient.get).toHaveBeenLastCalledWith('/users/octocat', {});
+  });
+
+  it('should rethrow other errors', async () => {
+    const client = createGitHubClient(null, { validatorStore });
+    mockClient.get.mockRejectedValueOnce(notModified());
+
+    // A 304 without a remembered response cannot be answered
+    await expect(client.get('/users/octocat')).rejects.toThrow('304');
+
+    mockClient.get.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { response: { status: 404 } }));
+    await expect(client.get('/users/ghost')).rejects.toThrow('Not Found');
+  });
+
+  it('should pass POST requests through', async () => {
+    const client = createGitHubClient('secret', { validatorStore });
+    mockClient.post.mockResolvedValueOnce({ data: { data: {} } });
+
+    await client.post('/graphql', { query: '{ viewer { login } }' });
+
+    expect(mockClient.post).toHaveBeenCalledWith('/graphql', { query: '{ viewer { login } }' }, {
+      headers: { Authorization: 'Bearer secret' },
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for Language Metadata module
+ */
+
+import {
+  normalizeLanguageName,
+  getLanguageMetadata,
+  getLanguageColor,
+  getLanguageKind,
+  DEFAULT_LANGUAGE_COLOR,
+} from '../src/language-metadata.js';
+
+describe('Language Metadata', () => {
+  describe('normalizeLanguageName', () => {
+    it('should resolve aliases and case to the canonical name', () => {
+      expect(normalizeLanguageName('py')).toBe('Python');
+      expect(normalizeLanguageName('javascript')).toBe('JavaScript');
+      expect(normalizeLanguageName('IPython Notebook')).toBe('Jupyter Notebook');
+      expect(normalizeLanguageName(' c++ ')).toBe('C++');
+    });
+
+    it('should keep related languages apart unless groups are merged', () => {
+      expect(normalizeLanguageName('TSX')).toBe('TSX');
+      expect(normalizeLanguageName('TSX', { mergeGroups: true })).toBe('TypeScript');
+      expect(normalizeLanguageName('Jupyter Notebook', { mergeGroups: true })).toBe('Python');
+      expect(normalizeLanguageName('Python', { mergeGroups: true })).toBe('Python');
+    });
+
+    it('should leave unknown languages as they are', () => {
+      expect(normalizeLanguageName('Brainlang')).toBe('Brainlang');
+      expect(normalizeLanguageName('Brainlang', { mergeGroups: true })).toBe('Brainlang');
+    });
+  });
+
+  describe('getLanguageMetadata', () => {
+    it('should return linguist metadata', () => {
+      expect(getLanguageMetadata('ts')).toMatchObject({
+        name: 'TypeScript',
+        kind: 'programming',
+        color: '#3178c6',
+      });
+      expect(getLanguageMetadata('TSX').group).toBe('TypeScript');
+    });
+
+    it('should return null for unknown languages', () => {
+      expect(getLanguageMetadata('Brainlang')).toBeNull();
+    });
+  });
+
+  describe('getLanguageKind', () => {
+    it('should tell programming languages from markup, data and prose', () => {
+      expect(getLanguageKind('Rust')).toBe('programming');
+      expect(getLanguageKind('HTML')).toBe('markup');
+      expect(getLanguageKind('JSON')).toBe('data');
+      expect(getLanguageKind('Markdown')).toBe('prose');
+      expect(getLanguageKind('Brainlang')).toBeNull();
+    });
+  });
+
+  describe('getLanguageColor', () => {
+    it('should return linguist colors', () => {
+      expect(getLanguageColor('JavaScript')).toBe('#f1e05a');
+      expect(getLanguageColor('python')).toBe('#3572A5');
+    });
+
+    it('should fall back to the default color', () => {
+      expect(getLanguageColor('Brainlang')).toBe(DEFAULT_LANGUAGE_COLOR);
+      expect(getLanguageColor(null)).toBe(DEFAULT_LANGUAGE_COLOR);
+    });
+  });
+});
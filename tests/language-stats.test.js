@@ -0,0 +1,242 @@
+/**
+ * Tests for Language Statistics module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const repos = [
+  { name: 'app', full_name: 'test/app', language: 'TypeScript', pushed_at: '2024-03-30T00:00:00Z' },
+  { name: 'notebooks', full_name: 'test/notebooks', language: 'Jupyter Notebook', pushed_at: '2023-03-30T00:00:00Z' },
+  { name: 'fork', full_name: 'test/fork', language: 'C', fork: true, pushed_at: '2024-03-30T00:00:00Z' },
+  { name: 'old', full_name: 'test/old', language: 'Perl', archived: true, pushed_at: '2020-01-01T00:00:00Z' },
+];
+
+const TOKEN = 'test-token';
+
+const repoLanguages = {
+  'test/app': { TypeScript: 9000, HTML: 1000 },
+  'test/notebooks': { 'Jupyter Notebook': 50000, Python: 2000 },
+  'test/fork': { C: 100000 },
+  'test/old': { Perl: 3000 },
+};
+
+describe('Language Statistics', () => {
+  let languageStats;
+  let mockClient;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = {
+      get: jest.fn(async url => {
+        const fullName = url.replace('/repos/', '').replace('/languages', '');
+        return { status: 200, data: repoLanguages[fullName], headers: {} };
+      }),
+      post: jest.fn(),
+    };
+    mockAxios.create.mockReturnValue(mockClient);
+
+    languageStats = await import('../src/language-stats.js');
+  });
+
+  describe('fetchLanguageStats', () => {
+    const now = new Date('2024-03-31T00:00:00Z');
+
+    it('should sum language bytes and leave out forks and non-programming languages by default', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, { now });
+
+      expect(result.languages).toEqual({
+        TypeScript: 9000,
+        Python: 2000,
+        Perl: 3000,
+      });
+      expect(result.bytes).toEqual(result.languages);
+      expect(result.reposAnalyzed).toBe(3);
+      expect(mockClient.get).toHaveBeenCalledWith('/repos/test/app/languages', expect.anything());
+    });
+
+    it('should exclude archived repositories, repositories and languages', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, {
+        now,
+        excludeArchived: true,
+        excludeRepos: ['test/notebooks'],
+        excludeLanguages: ['html'],
+        includeKinds: ['programming', 'markup'],
+      });
+
+      expect(result.languages).toEqual({ TypeScript: 9000 });
+    });
+
+    it('should include other kinds of languages on request', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, { now, includeKinds: ['programming', 'markup'] });
+
+      expect(result.languages.HTML).toBe(1000);
+      expect(result.languages['Jupyter Notebook']).toBe(50000);
+    });
+
+    it('should normalize aliases and merge language groups on request', async () => {
+      mockClient.get.mockResolvedValue({ status: 200, data: { TSX: 400, typescript: 100, 'IPython Notebook': 50 }, headers: {} });
+
+      const plain = await languageStats.fetchLanguageStats([repos[0]], TOKEN, { now, includeKinds: ['programming', 'markup'] });
+      const merged = await languageStats.fetchLanguageStats([repos[0]], TOKEN, { now, mergeGroups: true });
+
+      expect(plain.languages).toEqual({ TSX: 400, TypeScript: 100, 'Jupyter Notebook': 50 });
+      expect(merged.languages).toEqual({ TypeScript: 500, Python: 50 });
+    });
+
+    it('should match exclusions before merging language groups', async () => {
+      mockClient.get.mockResolvedValue({ status: 200, data: { 'Jupyter Notebook': 50, Python: 200, TSX: 400, TypeScript: 100 }, headers: {} });
+
+      const withoutNotebooks = await languageStats.fetchLanguageStats([repos[0]], TOKEN, {
+        now,
+        mergeGroups: true,
+        excludeLanguages: ['Jupyter Notebook'],
+      });
+      const withoutTypeScript = await languageStats.fetchLanguageStats([repos[0]], TOKEN, {
+        now,
+        mergeGroups: true,
+        excludeLanguages: ['TypeScript'],
+      });
+
+      expect(withoutNotebooks.languages).toEqual({ Python: 200, TypeScript: 500 });
+      expect(withoutTypeScript.languages).toEqual({ Python: 250 });
+    });
+
+    it('should keep languages unknown to linguist', async () => {
+      mockClient.get.mockResolvedValue({ status: 200, data: { Brainlang: 10 }, headers: {} });
+
+      const result = await languageStats.fetchLanguageStats([repos[0]], TOKEN, { now });
+
+      expect(result.languages).toEqual({ Brainlang: 10 });
+    });
+
+    it('should include forks on request', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, { now, excludeForks: false });
+
+      expect(result.languages.C).toBe(100000);
+    });
+
+    it('should weight by repository count', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, { now, weighting: 'count' });
+
+      expect(result.languages).toEqual({ TypeScript: 1, Python: 1, Perl: 1 });
+      expect(result.bytes.TypeScript).toBe(9000);
+      expect(result.weighting).toBe('count');
+    });
+
+    it('should weight recently pushed repositories higher', async () => {
+      const result = await languageStats.fetchLanguageStats(repos, TOKEN, { now, weighting: 'recent' });
+
+      // The notebooks were last pushed a year ago, about four half-lives
+      expect(result.languages.TypeScript).toBeCloseTo(8930, -1);
+      expect(result.languages.Python).toBeLessThan(200);
+    });
+
+    it('should fall back to the primary language when a repository fails', async () => {
+      mockClient.get.mockRejectedValueOnce(new Error('Server Error'));
+
+      const result = await languageStats.fetchLanguageStats([repos[0]], TOKEN, { now });
+
+      expect(result.languages).toEqual({ TypeScript: 0 });
+      expect(result.repoCounts).toEqual({ TypeScript: 1 });
+    });
+
+    it('should limit the number of parallel requests', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mockClient.get.mockImplementation(async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { status: 200, data: { Go: 1 }, headers: {} };
+      });
+      const many = Array.from({ length: 10 }, (_, i) => ({ name: `r${i}`, full_name: `test/r${i}` }));
+
+      const result = await languageStats.fetchLanguageStats(many, TOKEN, { concurrency: 3 });
+
+      expect(maxRunning).toBe(3);
+      expect(result.languages.Go).toBe(10);
+    });
+
+    it('should estimate the repositories past the request limit', async () => {
+      const many = Array.from({ length: 40 }, (_, i) => ({ name: `r${i}`, full_name: `test/r${i}`, language: 'Rust', size: 1 }));
+      mockClient.get.mockResolvedValue({ status: 200, data: { Go: 1 }, headers: {} });
+
+      const result = await languageStats.fetchLanguageStats(many, TOKEN, { now });
+
+      expect(mockClient.get).toHaveBeenCalledTimes(30);
+      expect(mockClient.get).not.toHaveBeenCalledWith('/repos/test/r30/languages', expect.anything());
+      expect(result.languages).toEqual({ Go: 30, Rust: 10 * 1024 });
+      expect(result.reposAnalyzed).toBe(40);
+      expect(result.reposEstimated).toBe(10);
+    });
+
+    it('should estimate languages from repository sizes without a token', async () => {
+      const sized = repos.map((repo, index) => ({ ...repo, size: index + 1 }));
+
+      const result = await languageStats.fetchLanguageStats(sized, null, { now });
+
+      expect(mockClient.get).not.toHaveBeenCalled();
+      expect(result.languages).toEqual({ TypeScript: 1024, Perl: 4096 });
+      expect(result.reposAnalyzed).toBe(3);
+    });
+  });
+
+  describe('parseLanguageOptions', () => {
+    it('should read query parameters', () => {
+      expect(languageStats.parseLanguageOptions({
+        exclude_langs: 'HTML, Jupyter Notebook',
+        exclude_repos: 'dotfiles',
+        exclude_forks: 'false',
+        exclude_archived: 'true',
+        lang_weight: 'recent',
+        lang_kinds: 'programming, Markup',
+        lang_groups: 'true',
+      })).toEqual({
+        excludeForks: false,
+        excludeForkActivity: false,
+        excludeArchived: true,
+        excludeRepos: ['dotfiles'],
+        excludeLanguages: ['HTML', 'Jupyter Notebook'],
+        weighting: 'recent',
+        includeKinds: ['programming', 'markup'],
+        mergeGroups: true,
+      });
+    });
+
+    it('should only leave fork activity out for an explicit exclude_forks=true', () => {
+      expect(languageStats.parseLanguageOptions({ exclude_forks: 'true' })).toMatchObject({
+        excludeForks: true,
+        excludeForkActivity: true,
+      });
+      expect(languageStats.parseLanguageOptions({}).excludeForkActivity).toBe(false);
+    });
+
+    it('should include every kind of language for lang_kinds=all', () => {
+      expect(languageStats.parseLanguageOptions({ lang_kinds: 'all' }).includeKinds)
+        .toEqual(['programming', 'markup', 'data', 'prose']);
+    });
+
+    it('should use defaults for missing or invalid values', () => {
+      expect(languageStats.parseLanguageOptions({ lang_weight: 'lines', lang_kinds: 'code' }))
+        .toEqual(languageStats.DEFAULT_LANGUAGE_OPTIONS);
+    });
+  });
+
+  describe('getLanguageOptionsKey', () => {
+    it('should not depend on order or case', () => {
+      expect(languageStats.getLanguageOptionsKey({ excludeLanguages: ['HTML', 'css'] }))
+        .toBe(languageStats.getLanguageOptionsKey({ excludeLanguages: ['CSS', 'html'] }));
+      expect(languageStats.getLanguageOptionsKey()).toBe(languageStats.getLanguageOptionsKey({}));
+    });
+  });
+});
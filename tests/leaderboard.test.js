@@ -0,0 +1,239 @@
+/**
+ * Tests for Team Leaderboard module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const {
+  parseLeaderboardUsers,
+  fetchLeaderboardActivity,
+  buildLeaderboardRow,
+  fetchLeaderboard,
+} = await import('../src/leaderboard.js');
+
+const activityFor = (login, { events = 1, commits = 1, reviews = 0, streak = 0, totals = null } = {}) => ({
+  profile: { login, name: login.toUpperCase() },
+  events: [
+    { type: 'PushEvent', payload: { size: commits } },
+    { type: 'PullRequestEvent', payload: { action: 'opened' } },
+    { type: 'PullRequestEvent', payload: { action: 'labeled' } },
+    ...Array.from({ length: reviews }, () => ({ type: 'PullRequestReviewEvent', payload: { review: { state: 'approved' } } })),
+  ],
+  window: { days: 30 },
+  eventAnalysis: {
+    totalEvents: events,
+    currentStreak: { days: streak },
+    longestStreak: { days: streak + 1 },
+    contributionTotals: totals,
+  },
+});
+
+const notFound = username => new Error(`User "${username}" not found`);
+
+describe('Team Leaderboard', () => {
+  describe('parseLeaderboardUsers', () => {
+    it('should split, trim and deduplicate usernames', () => {
+      expect(parseLeaderboardUsers('alice, bob,,Alice,carol')).toEqual(['alice', 'bob', 'carol']);
+    });
+
+    it('should reject invalid usernames and too many users', () => {
+      expect(() => parseLeaderboardUsers('alice,bad user')).toThrow('Invalid username format: bad user');
+      expect(() => parseLeaderboardUsers(Array.from({ length: 11 }, (_, i) => `user${i}`).join(',')))
+        .toThrow('at most 10');
+    });
+  });
+
+  describe('buildLeaderboardRow', () => {
+    it('should count commits, pull requests and reviews from events', () => {
+      const row = buildLeaderboardRow('alice', activityFor('alice', { events: 2, commits: 4, reviews: 3, streak: 5 }));
+
+      expect(row).toEqual({
+        username: 'alice',
+        displayName: 'ALICE',
+        avatarUrl: null,
+        available: true,
+        events: 2,
+        commits: 4,
+        pullRequests: 1,
+        reviews: 3,
+        currentStreak: 5,
+        longestStreak: 6,
+      });
+    });
+
+    it('should prefer contribution calendar totals', () => {
+      const totals = { commits: 40, pullRequests: 6, reviews: 9 };
+      const row = buildLeaderboardRow('alice', activityFor('alice', { totals }));
+
+      expect(row).toMatchObject({ commits: 40, pullRequests: 6, reviews: 9 });
+    });
+  });
+
+  describe('fetchLeaderboardActivity', () => {
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = {
+        get: jest.fn(async url => {
+          if (url === '/users/alice') return { data: { login: 'alice' }, headers: {} };
+          if (url === '/users/alice/events/public') {
+            return {
+              data: [
+                { id: '1', type: 'PushEvent', repo: { name: 'alice/app' }, payload: { size: 2 }, created_at: new Date().toISOString() },
+                { id: '2', type: 'PushEvent', repo: { name: 'alice/secret-api' }, payload: { size: 5 }, created_at: new Date().toISOString() },
+              ],
+              headers: {},
+            };
+          }
+          throw new Error(`Unexpected request: ${url}`);
+        }),
+        post: jest.fn(),
+      };
+      mockAxios.create.mockReturnValue(mockClient);
+    });
+
+    it('should load the profile and events only', async () => {
+      const activityData = await fetchLeaderboardActivity('alice', null, { timezone: 'UTC' });
+
+      expect(activityData.profile.login).toBe('alice');
+      expect(activityData.eventAnalysis.totalEvents).toBe(2);
+      expect(mockClient.get.mock.calls.map(([url]) => url)).toEqual(['/users/alice', '/users/alice/events/public']);
+    });
+
+    it('should ask for the contribution calendar of the events window', async () => {
+      const hour = 60 * 60 * 1000;
+      const since = new Date(Math.floor(Date.now() / hour) * hour - 240 * hour + 30 * 60 * 1000);
+      mockClient.get.mockImplementation(async url => (url === '/users/alice'
+        ? { data: { login: 'alice' }, headers: {} }
+        : { data: [], headers: {} }));
+
+      const activityData = await fetchLeaderboardActivity('alice', 'token', { since, timezone: 'UTC' });
+      await fetchLeaderboardActivity('alice', 'token', { timezone: 'UTC' });
+
+      // A failed calendar request leaves the row to events
+      expect(activityData.eventAnalysis.contributionTotals).toBeNull();
+      const [withWindow, withoutWindow] = mockClient.post.mock.calls.map(([, body]) => body.variables.from);
+      expect(withWindow).toBe(new Date(since.getTime() - 30 * 60 * 1000).toISOString());
+      // Without a window, the calendar starts where the available events do, not a year ago
+      expect(new Date(withoutWindow).getTime()).toBeGreaterThan(Date.now() - 91 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should leave out events of excluded repositories', async () => {
+      const activityData = await fetchLeaderboardActivity('alice', 'token', {
+        timezone: 'UTC',
+        languageOptions: { excludeRepos: ['secret-*'] },
+      });
+
+      expect(buildLeaderboardRow('alice', activityData)).toMatchObject({ events: 1, commits: 2 });
+      // Calendar totals would still count the excluded repository
+      expect(mockClient.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchLeaderboard', () => {
+    const stats = {
+      alice: { events: 5, commits: 10 },
+      bob: { events: 9, commits: 2 },
+      carol: { events: 1, commits: 30 },
+    };
+    const fetchActivity = async username => {
+      if (!stats[username]) throw notFound(username);
+      return activityFor(username, stats[username]);
+    };
+
+    it('should rank users by the chosen metric', async () => {
+      const byEvents = await fetchLeaderboard(['alice', 'bob', 'carol'], null, { fetchActivity });
+      const byCommits = await fetchLeaderboard(['alice', 'bob', 'carol'], null, { fetchActivity, sortBy: 'commits' });
+
+      expect(byEvents.rows.map(row => row.username)).toEqual(['bob', 'alice', 'carol']);
+      expect(byCommits.rows.map(row => [row.rank, row.username])).toEqual([[1, 'carol'], [2, 'alice'], [3, 'bob']]);
+      expect(byCommits.window).toEqual({ days: 30 });
+    });
+
+    it('should count every row from events when a calendar is missing', async () => {
+      const now = new Date().toISOString();
+      const withCalendar = {
+        ...activityFor('alice'),
+        events: [{ id: '1', type: 'PushEvent', repo: { name: 'alice/app' }, payload: { size: 3 }, created_at: now }],
+        window: { since: now, until: now, days: 30 },
+        eventAnalysis: { totalEvents: 1, contributionTotals: { commits: 40, pullRequests: 6, reviews: 9 } },
+      };
+      const fetchMixed = async username => (username === 'alice' ? withCalendar : activityFor(username, { commits: 5 }));
+
+      const mixed = await fetchLeaderboard(['alice', 'bob'], 'token', { fetchActivity: fetchMixed, sortBy: 'commits' });
+      const calendarOnly = await fetchLeaderboard(['alice'], 'token', { fetchActivity: fetchMixed, sortBy: 'commits' });
+
+      expect(mixed.rows.map(row => [row.username, row.commits])).toEqual([['bob', 5], ['alice', 3]]);
+      expect(calendarOnly.rows[0].commits).toBe(40);
+    });
+
+    it('should mark users that cannot be found as unavailable', async () => {
+      const result = await fetchLeaderboard(['ghost', 'alice'], null, { fetchActivity });
+
+      expect(result.rows).toEqual([
+        expect.objectContaining({ username: 'alice', rank: 1, available: true }),
+        expect.objectContaining({ username: 'ghost', rank: null, available: false, reason: 'not found' }),
+      ]);
+    });
+
+    it('should fail when no user can be loaded', async () => {
+      const rateLimited = Object.assign(new Error('GitHub API rate limit exceeded'), { kind: 'rate_limit' });
+
+      await expect(fetchLeaderboard(['alice', 'bob'], null, {
+        fetchActivity: async () => { throw rateLimited; },
+      })).rejects.toBe(rateLimited);
+    });
+
+    it('should fetch at most `concurrency` users at once', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const slowFetch = async username => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return activityFor(username);
+      };
+
+      await fetchLeaderboard(['a', 'b', 'c', 'd', 'e'], null, { fetchActivity: slowFetch, concurrency: 2 });
+
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should pass the window and cache to each user', async () => {
+      const calls = [];
+      const since = new Date('2024-03-01T00:00:00Z');
+      const cache = {};
+
+      await fetchLeaderboard(['alice'], 'token', {
+        since,
+        timezone: 'UTC',
+        cache,
+        fetchActivity: async (username, token, options) => {
+          calls.push({ username, token, options });
+          return activityFor(username);
+        },
+      });
+
+      expect(calls).toEqual([{
+        username: 'alice',
+        token: 'token',
+        options: { since, timezone: 'UTC', streakGrace: undefined, languageOptions: undefined, cache },
+      }]);
+    });
+
+    it('should reject unknown metrics', async () => {
+      await expect(fetchLeaderboard(['alice'], null, { fetchActivity, sortBy: 'stars' }))
+        .rejects.toThrow('Unknown leaderboard metric: stars');
+    });
+  });
+});
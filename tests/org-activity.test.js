@@ -0,0 +1,126 @@
+/**
+ * Tests for Organization Activity module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const events = [
+  {
+    id: '1',
+    type: 'ReleaseEvent',
+    actor: { login: 'alice', avatar_url: 'https://avatars.example/alice' },
+    repo: { name: 'acme/api' },
+    payload: { action: 'published' },
+    created_at: '2024-03-29T10:00:00Z',
+  },
+  {
+    id: '2',
+    type: 'PushEvent',
+    actor: { login: 'alice' },
+    repo: { name: 'acme/api' },
+    payload: { size: 3 },
+    created_at: '2024-03-28T10:00:00Z',
+  },
+  {
+    id: '3',
+    type: 'PullRequestEvent',
+    actor: { login: 'bob' },
+    repo: { name: 'acme/web' },
+    payload: { action: 'closed', pull_request: { merged: true } },
+    created_at: '2024-03-27T10:00:00Z',
+  },
+  {
+    id: '4',
+    type: 'PullRequestEvent',
+    actor: { login: 'dependabot[bot]' },
+    repo: { name: 'acme/web' },
+    payload: { action: 'opened', pull_request: { merged: false } },
+    created_at: '2024-03-26T10:00:00Z',
+  },
+];
+
+describe('Organization Activity', () => {
+  let orgActivity;
+  let mockClient;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = {
+      get: jest.fn(async url => {
+        if (url === '/orgs/acme') return { data: { login: 'acme', name: 'Acme' }, headers: {} };
+        if (url === '/orgs/acme/public_members') return { data: [{ login: 'alice' }, { login: 'bob' }], headers: {} };
+        if (url === '/orgs/acme/events') return { data: events, headers: {} };
+        if (url === '/orgs/acme/repos') {
+          return {
+            data: [{ name: 'api', full_name: 'acme/api', stargazers_count: 40, forks_count: 2, language: 'Go', size: 2 }],
+            headers: {},
+          };
+        }
+        if (url === '/repos/acme/api/languages') return { data: { Go: 1000 }, headers: {} };
+        // Commit statistics
+        return { status: 200, data: [], headers: {} };
+      }),
+      post: jest.fn(),
+    };
+    mockAxios.create.mockReturnValue(mockClient);
+
+    orgActivity = await import('../src/org-activity.js');
+  });
+
+  describe('findTopContributors', () => {
+    it('should rank people by events and leave out bots', () => {
+      const contributors = orgActivity.findTopContributors(events);
+
+      expect(contributors).toEqual([
+        { login: 'alice', avatarUrl: 'https://avatars.example/alice', events: 2, commits: 3, pullRequests: 0 },
+        { login: 'bob', avatarUrl: null, events: 1, commits: 0, pullRequests: 0 },
+      ]);
+    });
+
+    it('should limit the number of contributors', () => {
+      expect(orgActivity.findTopContributors(events, { limit: 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('analyzeTeamEvents', () => {
+    it('should count releases, merged pull requests and active repositories', () => {
+      const result = orgActivity.analyzeTeamEvents(events, { timezone: 'UTC' });
+
+      expect(result.releases).toBe(1);
+      expect(result.mergedPullRequests).toBe(1);
+      expect(result.activeRepos).toBe(2);
+      expect(result.totalEvents).toBe(4);
+      expect(result.topContributors[0].login).toBe('alice');
+    });
+  });
+
+  describe('fetchAllOrgActivityData', () => {
+    it('should load the profile, members, events and repositories of the organization', async () => {
+      const result = await orgActivity.fetchAllOrgActivityData('acme', null, { timezone: 'UTC' });
+
+      expect(result.profile.name).toBe('Acme');
+      expect(result.members).toHaveLength(2);
+      expect(result.events).toHaveLength(4);
+      expect(result.contributionStats).toMatchObject({ totalRepos: 1, totalStars: 40, languages: { Go: 2048 } });
+      expect(result.eventAnalysis.releases).toBe(1);
+      expect(mockClient.get).toHaveBeenCalledWith('/orgs/acme/repos', {
+        params: { sort: 'pushed', per_page: 100, type: 'public' },
+      });
+    });
+
+    it('should report unknown organizations', async () => {
+      mockClient.get.mockRejectedValue({ response: { status: 404 } });
+
+      await expect(orgActivity.fetchAllOrgActivityData('nobody')).rejects.toThrow('Organization "nobody" not found');
+    });
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Tests for Privacy module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const activityData = {
+  profile: { login: 'alice' },
+  events: [
+    {
+      type: 'PullRequestEvent',
+      public: false,
+      repo: { name: 'alice/secret-plans' },
+      payload: { action: 'closed', number: 4, pull_request: { title: 'Launch codes', body: 'top secret', merged: true } },
+      created_at: '2024-03-28T10:00:00Z',
+    },
+    {
+      type: 'PushEvent',
+      public: false,
+      repo: { name: 'alice/secret-plans' },
+      payload: { size: 2, ref: 'refs/heads/stealth', commits: [{ message: 'hide it' }, { message: 'hide more' }] },
+      created_at: '2024-03-27T10:00:00Z',
+    },
+    {
+      type: 'IssuesEvent',
+      public: true,
+      repo: { name: 'alice/blog' },
+      payload: { action: 'opened', issue: { title: 'Typo in post' } },
+      created_at: '2024-03-26T10:00:00Z',
+    },
+  ],
+  eventAnalysis: {
+    totalEvents: 3,
+    repoActivity: [['alice/secret-plans', 2], ['alice/blog', 1]],
+    mostActiveRepo: 'alice/secret-plans',
+    commitTrends: [{ repo: 'alice/secret-plans', trend: 'up' }, { repo: 'alice/blog', trend: 'flat' }],
+  },
+  contributionStats: {
+    totalRepos: 2,
+    languages: { Go: 100 },
+    recentRepos: [
+      { name: 'secret-plans', full_name: 'alice/secret-plans', private: true },
+      { name: 'blog', full_name: 'alice/blog', private: false },
+    ],
+  },
+};
+
+describe('Privacy', () => {
+  let privacy;
+  let mockClient;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = {
+      get: jest.fn(async () => ({ data: { login: 'Alice' }, headers: {} })),
+      post: jest.fn(),
+    };
+    mockAxios.create.mockReturnValue(mockClient);
+
+    privacy = await import('../src/privacy.js');
+  });
+
+  describe('createPrivacyOptionsFromEnv', () => {
+    it('should be off by default and anonymize once enabled', () => {
+      expect(privacy.createPrivacyOptionsFromEnv({})).toMatchObject({ privateActivity: false, anonymize: true });
+      expect(privacy.createPrivacyOptionsFromEnv({
+        PRIVATE_ACTIVITY: 'true',
+        PRIVATE_ACTIVITY_ANONYMIZE: 'false',
+      })).toMatchObject({ privateActivity: true, anonymize: false });
+    });
+
+    it('should read instance-wide privacy filters', () => {
+      const options = privacy.createPrivacyOptionsFromEnv({
+        PRIVACY_EXCLUDE_REPOS: 'dotfiles, *-private',
+        PRIVACY_HIDE_DETAILS: 'issues',
+        PRIVACY_REDACT: 'secret',
+      });
+
+      expect(options.excludeRepos).toEqual(['dotfiles', '*-private']);
+      expect(options.filters).toEqual({
+        hideDetails: ['IssuesEvent', 'IssueCommentEvent'],
+        redactPatterns: ['secret'],
+      });
+    });
+  });
+
+  describe('resolveActivityAccess', () => {
+    it('should grant private access for the token owner', async () => {
+      const access = await privacy.resolveActivityAccess('alice', 'token', { privateActivity: true });
+
+      expect(access).toEqual({ includePrivate: true, anonymize: true });
+      expect(mockClient.get).toHaveBeenCalledWith('/user', expect.anything());
+    });
+
+    it('should stay public for other users', async () => {
+      const access = await privacy.resolveActivityAccess('bob', 'token', { privateActivity: true, anonymize: false });
+
+      expect(access).toEqual({ includePrivate: false, anonymize: false });
+    });
+
+    it('should stay public without private mode or a single token', async () => {
+      const { createTokenPool } = await import('../src/github-client.js');
+
+      await expect(privacy.resolveActivityAccess('alice', 'token', {})).resolves.toMatchObject({ includePrivate: false });
+      await expect(privacy.resolveActivityAccess('alice', null, { privateActivity: true }))
+        .resolves.toMatchObject({ includePrivate: false });
+      await expect(privacy.resolveActivityAccess('alice', createTokenPool(['one', 'two']), { privateActivity: true }))
+        .resolves.toMatchObject({ includePrivate: false });
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should stay public when the token cannot identify its user', async () => {
+      mockClient.get.mockRejectedValue({ response: { status: 403 } });
+
+      const access = await privacy.resolveActivityAccess('alice', 'token', { privateActivity: true });
+
+      expect(access.includePrivate).toBe(false);
+    });
+
+    it('should cache the token owner without keeping the token in the key', async () => {
+      const { createCache } = await import('../src/cache.js');
+      const cache = createCache();
+      const getOrLoad = jest.spyOn(cache, 'getOrLoad');
+
+      await privacy.resolveActivityAccess('alice', 'ghp_secret', { privateActivity: true, cache });
+      await privacy.resolveActivityAccess('alice', 'ghp_secret', { privateActivity: true, cache });
+
+      expect(mockClient.get).toHaveBeenCalledTimes(1);
+      expect(getOrLoad.mock.calls[0][1]).toMatch(/^viewer:[0-9a-f]{16}$/);
+    });
+  });
+
+  describe('matchesRepoPattern', () => {
+    it('should match repository names against globs', () => {
+      expect(privacy.matchesRepoPattern('alice/dotfiles', ['dotfiles'])).toBe(true);
+      expect(privacy.matchesRepoPattern('alice/Work-Private', ['*-private'])).toBe(true);
+      expect(privacy.matchesRepoPattern('alice/private-notes', ['*-private'])).toBe(false);
+      expect(privacy.matchesRepoPattern('alice/app-v2', ['app-v?'])).toBe(true);
+    });
+
+    it('should match patterns with an owner against the full name', () => {
+      expect(privacy.matchesRepoPattern('acme/api', ['acme/*'])).toBe(true);
+      expect(privacy.matchesRepoPattern('alice/api', ['acme/*'])).toBe(false);
+    });
+
+    it('should treat other characters literally', () => {
+      expect(privacy.matchesRepoPattern('alice/my.site', ['my.site'])).toBe(true);
+      expect(privacy.matchesRepoPattern('alice/myxsite', ['my.site'])).toBe(false);
+    });
+  });
+
+  describe('parsePrivacyFilters', () => {
+    it('should expand detail groups and accept event types', () => {
+      const filters = privacy.parsePrivacyFilters({
+        hide_details: 'pull_requests, ReleaseEvent, unknown',
+        redact: 'secret,JIRA-*',
+      });
+
+      expect(filters).toEqual({
+        hideDetails: ['PullRequestEvent', 'PullRequestReviewEvent', 'PullRequestReviewCommentEvent', 'ReleaseEvent'],
+        redactPatterns: ['secret', 'JIRA-*'],
+      });
+    });
+
+    it('should hide every detail group with all', () => {
+      const { hideDetails } = privacy.parsePrivacyFilters({ hide_details: 'all' });
+
+      expect(hideDetails).toEqual(expect.arrayContaining(['PushEvent', 'IssuesEvent', 'CreateEvent']));
+    });
+
+    it('should hide nothing by default', () => {
+      expect(privacy.parsePrivacyFilters({})).toEqual(privacy.DEFAULT_PRIVACY_FILTERS);
+    });
+  });
+
+  describe('mergePrivacyFilters', () => {
+    it('should hide everything any of the filters hides', () => {
+      const merged = privacy.mergePrivacyFilters(
+        { hideDetails: ['IssuesEvent'], redactPatterns: ['secret'] },
+        undefined,
+        { hideDetails: ['IssuesEvent', 'PushEvent'], redactPatterns: [] },
+      );
+
+      expect(merged).toEqual({ hideDetails: ['IssuesEvent', 'PushEvent'], redactPatterns: ['secret'] });
+    });
+  });
+
+  describe('getPrivacyFiltersKey', () => {
+    it('should not depend on order or case', () => {
+      expect(privacy.getPrivacyFiltersKey({ hideDetails: ['PushEvent', 'IssuesEvent'], redactPatterns: ['B', 'a'] }))
+        .toBe(privacy.getPrivacyFiltersKey({ hideDetails: ['IssuesEvent', 'PushEvent'], redactPatterns: ['A', 'b'] }));
+      expect(privacy.getPrivacyFiltersKey()).toBe('|');
+    });
+  });
+
+  describe('applyDetailPrivacy', () => {
+    const filters = { hideDetails: ['IssuesEvent'], redactPatterns: ['secret', 'JIRA-*'] };
+
+    it('should hide details of hidden event types', () => {
+      expect(privacy.applyDetailPrivacy('IssuesEvent', 'Crash on start', filters)).toBeUndefined();
+    });
+
+    it('should redact titles containing a pattern', () => {
+      expect(privacy.applyDetailPrivacy('PullRequestEvent', 'Add Secret sauce', filters)).toBe(privacy.REDACTED_TEXT);
+      expect(privacy.applyDetailPrivacy('PullRequestEvent', 'Fix JIRA-123 login', filters)).toBe(privacy.REDACTED_TEXT);
+    });
+
+    it('should keep other details', () => {
+      expect(privacy.applyDetailPrivacy('PullRequestEvent', 'Fix typo', filters)).toBe('Fix typo');
+      expect(privacy.applyDetailPrivacy('PushEvent', '3 commits')).toBe('3 commits');
+    });
+  });
+
+  describe('filterExcludedEvents', () => {
+    const events = [
+      { type: 'PushEvent', repo: { name: 'alice/app' } },
+      { type: 'PushEvent', repo: { name: 'alice/react' } },
+      { type: 'PushEvent', repo: { name: 'alice/dotfiles' } },
+      { type: 'WatchEvent' },
+    ];
+
+    it('should leave out events of excluded repositories', () => {
+      const result = privacy.filterExcludedEvents(events, {
+        excludedRepos: ['Alice/React'],
+        excludeRepos: ['dot*'],
+      });
+
+      expect(result.map(event => event.repo?.name)).toEqual(['alice/app', undefined]);
+    });
+
+    it('should keep all events without exclusions', () => {
+      expect(privacy.filterExcludedEvents(events)).toBe(events);
+    });
+  });
+
+  describe('getAccessKey', () => {
+    it('should tell access levels apart', () => {
+      expect(privacy.getAccessKey({ includePrivate: false, anonymize: true })).toBe('public');
+      expect(privacy.getAccessKey({ includePrivate: true, anonymize: true })).toBe('private-anonymized');
+      expect(privacy.getAccessKey({ includePrivate: true, anonymize: false })).toBe('private');
+    });
+  });
+
+  describe('anonymizeActivityData', () => {
+    it('should hide private repository names, titles and commit messages', () => {
+      const result = privacy.anonymizeActivityData(activityData);
+      const serialized = JSON.stringify(result);
+
+      expect(serialized).not.toContain('secret-plans');
+      expect(serialized).not.toContain('Launch codes');
+      expect(serialized).not.toContain('top secret');
+      expect(serialized).not.toContain('hide it');
+      expect(serialized).not.toContain('stealth');
+      expect(result.events[0]).toMatchObject({
+        repo: { name: privacy.PRIVATE_REPO_NAME },
+        payload: { action: 'closed', pull_request: { merged: true } },
+      });
+    });
+
+    it('should keep counts and public activity', () => {
+      const result = privacy.anonymizeActivityData(activityData);
+
+      expect(result.events).toHaveLength(3);
+      expect(result.events[1].payload).toEqual({ size: 2, commits: [{}, {}] });
+      expect(result.events[2]).toBe(activityData.events[2]);
+      expect(result.eventAnalysis.totalEvents).toBe(3);
+      expect(result.eventAnalysis.repoActivity).toEqual([[privacy.PRIVATE_REPO_NAME, 2], ['alice/blog', 1]]);
+      expect(result.eventAnalysis.mostActiveRepo).toBe(privacy.PRIVATE_REPO_NAME);
+      expect(result.eventAnalysis.commitTrends.map(trend => trend.repo)).toEqual([privacy.PRIVATE_REPO_NAME, 'alice/blog']);
+      expect(result.contributionStats.totalRepos).toBe(2);
+      expect(result.contributionStats.recentRepos.map(repo => repo.name)).toEqual(['blog']);
+    });
+  });
+});
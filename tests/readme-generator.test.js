@@ -0,0 +1,175 @@
+/**
+ * Tests for README Generator module
+ */
+
+import {
+  generateReadme,
+  renderHighlights,
+  renderRecentProjects,
+  renderLanguagesTable,
+  renderCards,
+} from '../src/readme-generator.js';
+
+describe('README Generator', () => {
+  const mockSummaryData = {
+    username: 'testuser',
+    displayName: 'Test User',
+    profileUrl: 'https://github.com/testuser',
+    summary: 'Test User is a developer who primarily works with JavaScript.',
+    primaryLanguage: 'JavaScript',
+    languages: ['JavaScript', 'Python', 'TypeScript'],
+    recentProjects: [
+      { name: 'project1', fullName: 'testuser/project1', activityType: 'code commits', detail: '3 commits' },
+      { name: 'project2', fullName: 'testuser/project2', activityType: 'pull requests', detail: 'Add new feature' },
+    ],
+    activityHighlights: ['Heavily focused on "project1"'],
+    achievements: ['Code Review Champion'],
+    stats: {
+      totalEvents: 25,
+      totalRepos: 15,
+      totalStars: 50,
+      activityStreak: 7,
+    },
+  };
+
+  describe('generateReadme', () => {
+    it('should render the default template', () => {
+      const readme = generateReadme(mockSummaryData);
+
+      expect(readme).toContain("# Hi, I'm Test User");
+      expect(readme).toContain('Test User is a developer who primarily works with JavaScript.');
+      expect(readme).toContain('## Recent Projects');
+      expect(readme).toContain('## Languages');
+    });
+
+    it('should omit card images without a base URL', () => {
+      const readme = generateReadme(mockSummaryData);
+
+      expect(readme).not.toContain('![');
+      expect(readme).not.toMatch(/\n{3,}/);
+    });
+
+    it('should embed card images when a base URL is given', () => {
+      const readme = generateReadme(mockSummaryData, {
+        cardBaseUrl: 'https://cards.example.com/',
+        theme: 'dark',
+      });
+
+      expect(readme).toContain('![activity card](https://cards.example.com/?username=testuser&type=activity&theme=dark)');
+      expect(readme).toContain('![languages card](https://cards.example.com/?username=testuser&type=languages&theme=dark)');
+    });
+
+    it('should link organization cards with the org parameter', () => {
+      const readme = generateReadme({ ...mockSummaryData, isOrganization: true }, {
+        cardBaseUrl: 'https://cards.example.com',
+      });
+
+      expect(readme).toContain('![activity card](https://cards.example.com/?org=testuser&type=activity&theme=default)');
+    });
+
+    it('should link repository cards with the repo parameter', () => {
+      const readme = generateReadme({ ...mockSummaryData, isRepository: true, fullName: 'acme/api' }, {
+        cardBaseUrl: 'https://cards.example.com',
+      });
+
+      expect(readme).toContain('![activity card](https://cards.example.com/?repo=acme%2Fapi&type=activity&theme=default)');
+    });
+
+    it('should carry window, repository, language and privacy parameters over to the cards', () => {
+      const readme = generateReadme(mockSummaryData, {
+        cardBaseUrl: 'https://cards.example.com',
+        cardTypes: ['activity'],
+        params: {
+          username: 'someone-else',
+          type: 'readme',
+          days: '30',
+          tz: 'Europe/Berlin',
+          exclude_repos: 'secret-*',
+          lang_groups: 'true',
+          hide_details: 'all',
+          redact: '*acme*',
+          border: 'false',
+        },
+      });
+
+      expect(readme).toContain(
+        '![activity card](https://cards.example.com/?username=testuser&type=activity&theme=default'
+        + '&days=30&tz=Europe%2FBerlin&exclude_repos=secret-*&lang_groups=true&hide_details=all&redact=*acme*)'
+      );
+    });
+
+    it('should render a custom template', () => {
+      const readme = generateReadme(mockSummaryData, {
+        template: '## {{ displayName }}\n\n{{achievements}}\n{{unknown}}\n',
+      });
+
+      expect(readme).toBe('## Test User\n\n- Code Review Champion\n{{unknown}}\n');
+    });
+
+    it('should escape Markdown in user content', () => {
+      const readme = generateReadme({
+        ...mockSummaryData,
+        displayName: 'Test <b>*User*</b>',
+      });
+
+      expect(readme).toContain('Test &lt;b&gt;\\*User\\*&lt;/b&gt;');
+    });
+  });
+
+  describe('section renderers', () => {
+    it('should list highlights and achievements', () => {
+      const markdown = renderHighlights(mockSummaryData);
+
+      expect(markdown).toBe('- Heavily focused on "project1"\n- Code Review Champion');
+    });
+
+    it('should link recent projects to GitHub', () => {
+      const markdown = renderRecentProjects(mockSummaryData);
+
+      expect(markdown).toContain('- [project1](https://github.com/testuser/project1) - code commits: 3 commits');
+    });
+
+    it('should not link anonymized private projects', () => {
+      const markdown = renderRecentProjects({
+        ...mockSummaryData,
+        recentProjects: [{ name: 'Private repository', fullName: 'Private repository', activityType: 'code commits' }],
+      });
+
+      expect(markdown).toBe('- Private repository - code commits');
+    });
+
+    it('should mark the primary language in the table', () => {
+      const markdown = renderLanguagesTable(mockSummaryData);
+
+      expect(markdown).toContain('| 1 | JavaScript | Primary |');
+      expect(markdown).toContain('| 2 | Python |  |');
+    });
+
+    it('should show language shares when a breakdown is available', () => {
+      const markdown = renderLanguagesTable({
+        ...mockSummaryData,
+        languageBreakdown: [
+          { name: 'JavaScript', bytes: 5000, percentage: 50, color: '#f1e05a' },
+          { name: 'Python', bytes: 3000, percentage: 30, color: '#3572A5' },
+          { name: 'TypeScript', bytes: 2000, percentage: 20, color: '#2b7489' },
+        ],
+      });
+
+      expect(markdown).toContain('| # | Language | Share | |');
+      expect(markdown).toContain('| 1 | JavaScript | 50.0% | Primary |');
+      expect(markdown).toContain('| 3 | TypeScript | 20.0% |  |');
+    });
+
+    it('should render placeholders for empty data', () => {
+      const empty = { ...mockSummaryData, recentProjects: [], languages: [], achievements: [], activityHighlights: [] };
+
+      expect(renderRecentProjects(empty)).toContain('No recent public activity');
+      expect(renderLanguagesTable(empty)).toContain('No language data');
+      expect(renderHighlights(empty)).toContain('No highlights');
+    });
+
+    it('should render no cards without a base URL', () => {
+      expect(renderCards(mockSummaryData)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Tests for README Updater module
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { updateReadmeSections, updateReadmeFile } from '../src/readme-updater.js';
+
+describe('README Updater', () => {
+  const mockSummaryData = {
+    username: 'testuser',
+    displayName: 'Test User',
+    summary: 'Test User is a developer who primarily works with JavaScript.',
+    primaryLanguage: 'JavaScript',
+    languages: ['JavaScript', 'Python'],
+    recentProjects: [
+      { name: 'project1', fullName: 'testuser/project1', activityType: 'code commits', detail: '3 commits' },
+    ],
+    activityHighlights: [],
+    achievements: ['Code Review Champion'],
+  };
+
+  describe('updateReadmeSections', () => {
+    it('should replace the default section with the summary', () => {
+      const readme = '# Me\n\n<!-- ACTIVITY:START -->\nold text\n<!-- ACTIVITY:END -->\n\nFooter\n';
+
+      const result = updateReadmeSections(readme, mockSummaryData);
+
+      expect(result.content).toBe(
+        '# Me\n\n<!-- ACTIVITY:START -->\nTest User is a developer who primarily works with JavaScript.\n<!-- ACTIVITY:END -->\n\nFooter\n'
+      );
+      expect(result.changed).toBe(true);
+      expect(result.sections).toEqual(['summary']);
+    });
+
+    it('should update multiple named sections', () => {
+      const readme = [
+        '<!-- ACTIVITY:RECENT-PROJECTS:START --><!-- ACTIVITY:RECENT-PROJECTS:END -->',
+        'between',
+        '<!-- ACTIVITY:ACHIEVEMENTS:START -->',
+        '<!-- ACTIVITY:ACHIEVEMENTS:END -->',
+      ].join('\n');
+
+      const result = updateReadmeSections(readme, mockSummaryData);
+
+      expect(result.sections).toEqual(['recent-projects', 'achievements']);
+      expect(result.content).toContain('[project1](https://github.com/testuser/project1)');
+      expect(result.content).toContain('\nbetween\n');
+      expect(result.content).toContain('<!-- ACTIVITY:ACHIEVEMENTS:START -->\n- Code Review Champion\n<!-- ACTIVITY:ACHIEVEMENTS:END -->');
+    });
+
+    it('should leave content outside markers untouched', () => {
+      const before = 'Intro with  double  spaces\r\n\r\n';
+      const after = '\r\ntrailing\twhitespace  \r\n';
+      const readme = `${before}<!-- ACTIVITY:START -->\r\nold\r\n<!-- ACTIVITY:END -->${after}`;
+
+      const result = updateReadmeSections(readme, mockSummaryData);
+
+      expect(result.content.startsWith(`${before}<!-- ACTIVITY:START -->\r\n`)).toBe(true);
+      expect(result.content.endsWith(`\r\n<!-- ACTIVITY:END -->${after}`)).toBe(true);
+    });
+
+    it('should report no change when content is already up to date', () => {
+      const readme = '<!-- ACTIVITY:START -->\nold\n<!-- ACTIVITY:END -->\n';
+      const first = updateReadmeSections(readme, mockSummaryData);
+
+      const second = updateReadmeSections(first.content, mockSummaryData);
+
+      expect(second.changed).toBe(false);
+      expect(second.content).toBe(first.content);
+    });
+
+    it('should ignore unknown sections and unmatched markers', () => {
+      const readme = '<!-- ACTIVITY:UNKNOWN:START -->x<!-- ACTIVITY:UNKNOWN:END -->\n<!-- ACTIVITY:START -->\nno end\n';
+
+      const result = updateReadmeSections(readme, mockSummaryData);
+
+      expect(result.changed).toBe(false);
+      expect(result.sections).toEqual([]);
+    });
+  });
+
+  describe('updateReadmeFile', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'readme-updater-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write the file only when it changes', async () => {
+      const filePath = path.join(tempDir, 'README.md');
+      fs.writeFileSync(filePath, '<!-- ACTIVITY:LANGUAGES:START -->\n<!-- ACTIVITY:LANGUAGES:END -->\n');
+
+      const first = await updateReadmeFile(filePath, mockSummaryData);
+      const written = fs.readFileSync(filePath, 'utf8');
+      const second = await updateReadmeFile(filePath, mockSummaryData);
+
+      expect(first.changed).toBe(true);
+      expect(written).toContain('| 1 | JavaScript | Primary |');
+      expect(second.changed).toBe(false);
+      expect(fs.readFileSync(filePath, 'utf8')).toBe(written);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for Repository Activity module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const week = (date, total) => ({ week: new Date(`${date}T00:00:00Z`).getTime() / 1000, total, days: [] });
+
+const events = [
+  { id: '1', type: 'PushEvent', actor: { login: 'alice' }, repo: { name: 'acme/api' }, payload: { size: 4 }, created_at: '2024-03-29T10:00:00Z' },
+  { id: '2', type: 'PushEvent', actor: { login: 'bob' }, repo: { name: 'acme/api' }, payload: { commits: [{}, {}] }, created_at: '2024-03-28T10:00:00Z' },
+  { id: '3', type: 'IssuesEvent', actor: { login: 'carol' }, repo: { name: 'acme/api' }, payload: { action: 'opened' }, created_at: '2024-03-27T10:00:00Z' },
+  { id: '4', type: 'IssuesEvent', actor: { login: 'alice' }, repo: { name: 'acme/api' }, payload: { action: 'closed' }, created_at: '2024-03-27T11:00:00Z' },
+  { id: '5', type: 'PullRequestEvent', actor: { login: 'alice' }, repo: { name: 'acme/api' }, payload: { action: 'closed', pull_request: { merged: true } }, created_at: '2024-03-26T10:00:00Z' },
+  { id: '6', type: 'ReleaseEvent', actor: { login: 'alice' }, repo: { name: 'acme/api' }, payload: { action: 'published' }, created_at: '2024-03-25T10:00:00Z' },
+];
+
+describe('Repository Activity', () => {
+  let repoActivity;
+  let mockClient;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = {
+      get: jest.fn(async url => {
+        if (url === '/repos/acme/api') {
+          return { data: { name: 'api', full_name: 'acme/api', stargazers_count: 12, owner: { login: 'acme' } }, headers: {} };
+        }
+        if (url === '/repos/acme/api/events') return { data: events, headers: {} };
+        if (url === '/repos/acme/api/languages') return { data: { Go: 900, Shell: 100 }, headers: {} };
+        if (url === '/repos/acme/api/stats/commit_activity') {
+          return { status: 200, data: [week('2024-03-10', 1), week('2024-03-17', 5)], headers: {} };
+        }
+        throw new Error(`Unexpected request: ${url}`);
+      }),
+      post: jest.fn(),
+    };
+    mockAxios.create.mockReturnValue(mockClient);
+
+    repoActivity = await import('../src/repo-activity.js');
+  });
+
+  describe('parseRepoName', () => {
+    it('should split owner and name', () => {
+      expect(repoActivity.parseRepoName('acme/api.js')).toEqual({ owner: 'acme', repo: 'api.js' });
+    });
+
+    it('should reject invalid references', () => {
+      expect(repoActivity.parseRepoName('acme')).toBeNull();
+      expect(repoActivity.parseRepoName('acme/../secrets')).toBeNull();
+      expect(repoActivity.parseRepoName('acme/..')).toBeNull();
+      expect(repoActivity.parseRepoName('-acme/api')).toBeNull();
+    });
+  });
+
+  describe('analyzeTeamEvents', () => {
+    it('should count commits, merged pull requests, issues and releases', async () => {
+      const { analyzeTeamEvents } = await import('../src/org-activity.js');
+
+      const result = analyzeTeamEvents(events, { timezone: 'UTC' });
+
+      expect(result).toMatchObject({
+        commits: 6,
+        mergedPullRequests: 1,
+        openedIssues: 1,
+        closedIssues: 1,
+        releases: 1,
+        totalEvents: 6,
+      });
+      expect(result.topContributors.map(contributor => contributor.login)).toEqual(['alice', 'bob', 'carol']);
+    });
+  });
+
+  describe('fetchAllRepoActivityData', () => {
+    it('should load the repository, its events, languages and weekly commits', async () => {
+      const result = await repoActivity.fetchAllRepoActivityData('acme/api', null, { timezone: 'UTC' });
+
+      expect(result.repo.full_name).toBe('acme/api');
+      expect(result.languages).toEqual({ Go: 900, Shell: 100 });
+      expect(result.eventAnalysis.commits).toBe(6);
+      expect(result.eventAnalysis.commitTrends[0].weeks.map(item => item.total)).toEqual([1, 5]);
+    });
+
+    it('should go without weekly commits while statistics are computing', async () => {
+      const get = mockClient.get.getMockImplementation();
+      mockClient.get.mockImplementation(async url => (url.endsWith('/stats/commit_activity')
+        ? { status: 204, data: '', headers: {} }
+        : get(url)));
+
+      const result = await repoActivity.fetchAllRepoActivityData('acme/api', null, { timezone: 'UTC' });
+
+      expect(result.eventAnalysis.commitTrends[0].weeks).toEqual([]);
+    });
+
+    it('should treat private repositories as not found outside private mode', async () => {
+      const get = mockClient.get.getMockImplementation();
+      mockClient.get.mockImplementation(async url => {
+        const response = await get(url);
+        return url === '/repos/acme/api' ? { ...response, data: { ...response.data, private: true } } : response;
+      });
+
+      await expect(repoActivity.fetchAllRepoActivityData('acme/api', 'token')).rejects.toThrow('Repository "acme/api" not found');
+      await expect(repoActivity.fetchAllRepoActivityData('acme/api', 'token', {
+        access: { includePrivate: true, anonymize: true },
+      })).rejects.toThrow('not found');
+      expect(mockClient.get).not.toHaveBeenCalledWith('/repos/acme/api/events', expect.anything());
+
+      const result = await repoActivity.fetchAllRepoActivityData('acme/api', 'token', {
+        timezone: 'UTC',
+        access: { includePrivate: true, anonymize: false },
+      });
+      expect(result.repo.private).toBe(true);
+    });
+
+    it('should report unknown and invalid repositories', async () => {
+      mockClient.get.mockRejectedValue({ response: { status: 404 } });
+
+      await expect(repoActivity.fetchAllRepoActivityData('acme/nothing')).rejects.toThrow('Repository "acme/nothing" not found');
+      await expect(repoActivity.fetchAllRepoActivityData('nothing')).rejects.toThrow('expected owner/name');
+    });
+  });
+});
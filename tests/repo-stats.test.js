@@ -0,0 +1,134 @@
+/**
+ * Tests for Repository Statistics module
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock axios before importing the module
+const mockAxios = {
+  create: jest.fn(),
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios,
+}));
+
+const week = (date, total) => ({ week: new Date(`${date}T00:00:00Z`).getTime() / 1000, total, days: [] });
+
+// Eight weeks: 2 commits per week, then 5 per week
+const commitActivity = [
+  week('2024-01-07', 2), week('2024-01-14', 2), week('2024-01-21', 2), week('2024-01-28', 2),
+  week('2024-02-04', 5), week('2024-02-11', 5), week('2024-02-18', 5), week('2024-02-25', 5),
+];
+
+describe('Repository Statistics', () => {
+  let repoStats;
+  let mockClient;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    mockClient = { get: jest.fn(), post: jest.fn() };
+    mockAxios.create.mockReturnValue(mockClient);
+
+    repoStats = await import('../src/repo-stats.js');
+  });
+
+  describe('fetchRepoStats', () => {
+    it('should poll a bounded number of times by default', async () => {
+      mockClient.get.mockResolvedValue({ status: 202, data: {}, headers: {} });
+
+      const result = await repoStats.fetchRepoStats('test', 'repo', 'commit_activity', null, { delay: 0 });
+
+      expect(result).toBeNull();
+      expect(mockClient.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should poll while GitHub is computing the statistics', async () => {
+      mockClient.get
+        .mockResolvedValueOnce({ status: 202, data: {}, headers: {} })
+        .mockResolvedValueOnce({ status: 202, data: {}, headers: {} })
+        .mockResolvedValueOnce({ status: 200, data: commitActivity, headers: {} });
+
+      const result = await repoStats.fetchRepoStats('test', 'repo', 'commit_activity', null, { retries: 3, delay: 0 });
+
+      expect(result).toBe(commitActivity);
+      expect(mockClient.get).toHaveBeenCalledTimes(3);
+      expect(mockClient.get).toHaveBeenCalledWith('/repos/test/repo/stats/commit_activity', {});
+    });
+
+    it('should return null once the retries run out', async () => {
+      mockClient.get.mockResolvedValue({ status: 202, data: {}, headers: {} });
+
+      const result = await repoStats.fetchRepoStats('test', 'repo', 'participation', null, { retries: 2, delay: 0 });
+
+      expect(result).toBeNull();
+      expect(mockClient.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should return an empty array for empty repositories', async () => {
+      mockClient.get.mockResolvedValueOnce({ status: 204, data: '', headers: {} });
+
+      expect(await repoStats.fetchRepoStats('test', 'empty', 'contributors')).toEqual([]);
+    });
+
+    it('should reject unknown endpoints', async () => {
+      await expect(repoStats.fetchRepoStats('test', 'repo', 'punch_card')).rejects.toThrow('Unknown');
+      expect(mockClient.get).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('summarizeCommitActivity', () => {
+    it('should compare the last four weeks with the four before', () => {
+      const result = repoStats.summarizeCommitActivity(commitActivity);
+
+      expect(result.recent).toBe(20);
+      expect(result.previous).toBe(8);
+      expect(result.change).toBe(150);
+      expect(result.trend).toBe('up');
+      expect(result.total).toBe(28);
+      expect(result.weeks[0]).toEqual({ week: '2024-01-07', total: 2 });
+    });
+
+    it('should detect falling and flat activity', () => {
+      expect(repoStats.summarizeCommitActivity([...commitActivity].reverse()).trend).toBe('down');
+      expect(repoStats.summarizeCommitActivity(commitActivity.map(item => ({ ...item, total: 3 }))).trend).toBe('flat');
+    });
+
+    it('should treat activity after a quiet period as rising', () => {
+      const revived = commitActivity.map((item, index) => ({ ...item, total: index < 4 ? 0 : 1 }));
+
+      expect(repoStats.summarizeCommitActivity(revived)).toMatchObject({ change: null, trend: 'up' });
+    });
+
+    it('should keep only the requested number of weeks', () => {
+      expect(repoStats.summarizeCommitActivity(commitActivity, { weeks: 2 }).weeks).toHaveLength(2);
+      expect(repoStats.summarizeCommitActivity([]).trend).toBe('flat');
+    });
+  });
+
+  describe('fetchCommitTrends', () => {
+    it('should leave out repositories without statistics', async () => {
+      mockClient.get.mockImplementation(async url => (url.includes('/busy/')
+        ? { status: 202, data: {}, headers: {} }
+        : { status: 200, data: commitActivity, headers: {} }));
+
+      const trends = await repoStats.fetchCommitTrends(['test/repo', 'test/busy'], null, { retries: 0 });
+
+      expect(trends).toHaveLength(1);
+      expect(trends[0]).toMatchObject({ repo: 'test/repo', trend: 'up' });
+    });
+
+    it('should cache finished statistics only', async () => {
+      const { createCache } = await import('../src/cache.js');
+      const cache = createCache();
+      mockClient.get
+        .mockResolvedValueOnce({ status: 202, data: {}, headers: {} })
+        .mockResolvedValue({ status: 200, data: commitActivity, headers: {} });
+
+      expect(await repoStats.fetchCommitTrends(['test/repo'], null, { cache, retries: 0 })).toEqual([]);
+      expect(await repoStats.fetchCommitTrends(['test/repo'], null, { cache, retries: 0 })).toHaveLength(1);
+      expect(await repoStats.fetchCommitTrends(['test/repo'], null, { cache, retries: 0 })).toHaveLength(1);
+      expect(mockClient.get).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for Summary JSON module
+ */
+
+import { buildSummaryJson, buildLeaderboardJson, SUMMARY_SCHEMA_VERSION } from '../src/summary-json.js';
+import { generateActivitySummary } from '../src/activity-summarizer.js';
+
+describe('Summary JSON', () => {
+  const eventAnalysis = {
+    eventCounts: { PushEvent: 5 },
+    repoActivity: [['testuser/project1', 5]],
+    peakHour: 10,
+    hourlyActivity: Array(24).fill(0),
+    weekdayActivity: Array(7).fill(0),
+    activityStreak: 3,
+    currentStreak: { days: 3, start: '2024-01-13', end: '2024-01-15' },
+    longestStreak: { days: 3, start: '2024-01-13', end: '2024-01-15' },
+    totalEvents: 5,
+    mostActiveRepo: 'testuser/project1',
+    dailyActivity: { '2024-01-15': 5 },
+    contributionTotals: null,
+    source: 'events',
+    window: null,
+    timezone: 'UTC',
+    internalOnly: 'not part of the schema',
+  };
+
+  const summaryData = generateActivitySummary({
+    profile: { login: 'testuser', name: 'Test User', html_url: 'https://github.com/testuser' },
+    events: [],
+    eventAnalysis,
+    contributionStats: { totalStars: 1, totalForks: 0, totalRepos: 2, languages: { Go: 100 }, recentRepos: [] },
+  });
+
+  it('should include the schema version and fetch time', () => {
+    const json = buildSummaryJson(summaryData, eventAnalysis, { fetchedAt: '2024-01-15T12:00:00.000Z' });
+
+    expect(json.schemaVersion).toBe(SUMMARY_SCHEMA_VERSION);
+    expect(json.fetchedAt).toBe('2024-01-15T12:00:00.000Z');
+  });
+
+  it('should only expose schema fields of the summary', () => {
+    const json = buildSummaryJson(summaryData, eventAnalysis);
+
+    expect(json.summary.username).toBe('testuser');
+    expect(json.summary.summary).toBe(summaryData.summary);
+    expect(json.summary.stats).toEqual(summaryData.stats);
+    expect(json.summary.isRepository).toBeNull();
+    expect(json.summary.languageBreakdown).toEqual(summaryData.languageBreakdown);
+    expect(json.summary.dailyActivity).toEqual(summaryData.dailyActivity);
+    expect(json.summary).toHaveProperty('commitAnalysis');
+    expect(json.summary).toHaveProperty('unusualActivity');
+    expect(json.summary).toHaveProperty('commitActivity');
+  });
+
+  it('should include every field of the user summary', () => {
+    const json = buildSummaryJson(summaryData, eventAnalysis);
+
+    for (const field of Object.keys(summaryData)) {
+      expect(json.summary).toHaveProperty(field);
+    }
+  });
+
+  it('should only expose schema fields of the event analysis', () => {
+    const json = buildSummaryJson(summaryData, eventAnalysis);
+
+    expect(Object.keys(json.eventAnalysis).sort()).toEqual([
+      'activeRepos',
+      'activityCounts',
+      'closedIssues',
+      'commitTrends',
+      'commits',
+      'contributionTotals',
+      'contributionWindow',
+      'currentStreak',
+      'dailyActivity',
+      'eventCounts',
+      'hourlyActivity',
+      'longestStreak',
+      'mergedPullRequests',
+      'mostActiveRepo',
+      'openedIssues',
+      'peakHour',
+      'releases',
+      'repoActivity',
+      'source',
+      'timezone',
+      'topContributors',
+      'totalEvents',
+      'weekdayActivity',
+      'window',
+    ]);
+    expect(json.eventAnalysis.currentStreak.days).toBe(3);
+  });
+
+  it('should fill missing analysis fields with null', () => {
+    const json = buildSummaryJson(summaryData, { totalEvents: 0 });
+
+    expect(json.eventAnalysis.totalEvents).toBe(0);
+    expect(json.eventAnalysis.window).toBeNull();
+  });
+
+  it('should be serializable', () => {
+    const json = buildSummaryJson(summaryData, eventAnalysis);
+
+    expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+  });
+
+  it('should build a versioned leaderboard document', () => {
+    const rows = [{ rank: 1, username: 'alice', available: true, events: 3 }];
+    const json = buildLeaderboardJson({ sortBy: 'events', rows }, { fetchedAt: '2024-01-15T12:00:00.000Z' });
+
+    expect(json).toEqual({
+      schemaVersion: SUMMARY_SCHEMA_VERSION,
+      fetchedAt: '2024-01-15T12:00:00.000Z',
+      leaderboard: { sortBy: 'events', window: null, rows },
+    });
+  });
+});
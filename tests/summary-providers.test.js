@@ -0,0 +1,231 @@
+/**
+ * Tests for Summary Providers module
+ */
+
+import http from 'http';
+import { jest } from '@jest/globals';
+import {
+  ruleBasedProvider,
+  buildSummaryPrompt,
+  sanitizeSummary,
+  createOpenAICompatibleProvider,
+  createSummaryProvider,
+} from '../src/summary-providers.js';
+import { summarizeActivity } from '../src/activity-summarizer.js';
+
+describe('Summary Providers', () => {
+  const mockActivityData = {
+    profile: {
+      login: 'testuser',
+      name: 'Test User',
+      avatar_url: 'https://example.com/avatar.png',
+      html_url: 'https://github.com/testuser',
+    },
+    events: [
+      {
+        type: 'PushEvent',
+        created_at: '2024-01-15T10:00:00Z',
+        repo: { name: 'testuser/project1' },
+        payload: { commits: [{ message: 'Initial commit' }] },
+      },
+    ],
+    eventAnalysis: {
+      eventCounts: { PushEvent: 5, PullRequestEvent: 2 },
+      repoActivity: [['testuser/project1', 5]],
+      peakHour: 10,
+      activityStreak: 3,
+      totalEvents: 7,
+      mostActiveRepo: 'testuser/project1',
+      dailyActivity: { '2024-01-15': 7 },
+    },
+    contributionStats: {
+      totalStars: 50,
+      totalForks: 10,
+      totalRepos: 15,
+      languages: { JavaScript: 5000 },
+      recentRepos: [],
+    },
+  };
+
+  // Local stand-in for an OpenAI-compatible server
+  let server;
+  let baseUrl;
+  let respond;
+  let lastRequest;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        lastRequest = { url: req.url, headers: req.headers, body: JSON.parse(body || '{}') };
+        respond(req, res);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    lastRequest = null;
+    respond = (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ message: { content: 'Test User has been shipping **JavaScript** all week.' } }],
+      }));
+    };
+  });
+
+  describe('createOpenAICompatibleProvider', () => {
+    it('should post a chat completion request and sanitize the reply', async () => {
+      const provider = createOpenAICompatibleProvider({ baseUrl, apiKey: 'secret', model: 'local-model' });
+
+      const summary = await provider.summarize({
+        name: 'Test User',
+        languages: ['JavaScript'],
+        activity: { 'code commits': 5 },
+        activityHighlights: [],
+        notablePatterns: [],
+        achievements: [],
+        recentProjects: [],
+        stats: {},
+      });
+
+      expect(summary).toBe('Test User has been shipping JavaScript all week.');
+      expect(lastRequest.url).toBe('/v1/chat/completions');
+      expect(lastRequest.headers.authorization).toBe('Bearer secret');
+      expect(lastRequest.body.model).toBe('local-model');
+      expect(lastRequest.body.messages).toHaveLength(2);
+    });
+
+    it('should reject empty replies', async () => {
+      respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { content: '   ' } }] }));
+      };
+      const provider = createOpenAICompatibleProvider({ baseUrl });
+
+      await expect(provider.summarize({
+        name: 'x', notablePatterns: [], recentProjects: [],
+      })).rejects.toThrow('empty response');
+    });
+  });
+
+  describe('summarizeActivity', () => {
+    let warnSpy;
+
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    it('should use the rule-based summary by default', async () => {
+      const result = await summarizeActivity(mockActivityData);
+
+      expect(result.summary).toContain('Test User is a developer who primarily works with JavaScript.');
+    });
+
+    it('should use the provider narrative when it succeeds', async () => {
+      const provider = createOpenAICompatibleProvider({ baseUrl });
+
+      const result = await summarizeActivity(mockActivityData, { provider });
+
+      expect(result.summary).toBe('Test User has been shipping JavaScript all week.');
+      expect(result.username).toBe('testuser');
+      expect(lastRequest.body.messages[1].content).toContain('"code commits": 5');
+    });
+
+    it('should fall back to the rule-based summary on server errors', async () => {
+      respond = (req, res) => {
+        res.writeHead(500);
+        res.end();
+      };
+      const provider = createOpenAICompatibleProvider({ baseUrl });
+
+      const result = await summarizeActivity(mockActivityData, { provider });
+
+      expect(result.summary).toContain('primarily works with JavaScript');
+      expect(warnSpy).toHaveBeenCalled();
+    });
+
+    it('should fall back to the rule-based summary on timeout', async () => {
+      respond = (req, res) => {
+        setTimeout(() => {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ choices: [{ message: { content: 'Too late' } }] }));
+        }, 200);
+      };
+      const provider = createOpenAICompatibleProvider({ baseUrl, timeout: 50 });
+
+      const result = await summarizeActivity(mockActivityData, { provider });
+
+      expect(result.summary).toContain('primarily works with JavaScript');
+    });
+  });
+
+  describe('sanitizeSummary', () => {
+    it('should strip markup and control characters', () => {
+      const text = '"<script>alert(1)</script>## Busy\u0007 week\n\nof `coding`"';
+
+      expect(sanitizeSummary(text)).toBe('alert(1) Busy week of coding');
+    });
+
+    it('should only strip emphasis markers in pairs', () => {
+      const text = '> Shipped **v2** of my_repo and _fixed_ the __build__ in *web_app*';
+
+      expect(sanitizeSummary(text)).toBe('Shipped v2 of my_repo and fixed the build in web_app');
+    });
+
+    it('should enforce the length limit on a word boundary', () => {
+      const text = 'word '.repeat(50);
+
+      const result = sanitizeSummary(text, 30);
+
+      expect(result.length).toBeLessThanOrEqual(30);
+      expect(result.endsWith('word...')).toBe(true);
+    });
+
+    it('should return empty string for non-string input', () => {
+      expect(sanitizeSummary(undefined)).toBe('');
+    });
+  });
+
+  describe('buildSummaryPrompt', () => {
+    it('should include the length limit and structured facts', () => {
+      const messages = buildSummaryPrompt({
+        name: 'Test User',
+        primaryLanguage: 'Go',
+        languages: ['Go'],
+        activity: { 'code commits': 3 },
+        activityHighlights: ['Active code reviewer'],
+        notablePatterns: [{ type: 'streak', description: '7-day activity streak' }],
+        achievements: [],
+        recentProjects: [{ name: 'tool', activityType: 'code commits', detail: '2 commits' }],
+        stats: { totalRepos: 1 },
+      }, 200);
+
+      expect(messages[0].content).toContain('at most 200 characters');
+      expect(messages[1].content).toContain('7-day activity streak');
+      expect(messages[1].content).toContain('"primaryLanguage": "Go"');
+    });
+  });
+
+  describe('createSummaryProvider', () => {
+    it('should default to the rule-based provider', () => {
+      expect(createSummaryProvider({})).toBe(ruleBasedProvider);
+    });
+
+    it('should create the OpenAI-compatible provider when configured', () => {
+      const provider = createSummaryProvider({ SUMMARY_PROVIDER: 'openai', SUMMARY_API_URL: baseUrl });
+
+      expect(provider.name).toBe('openai-compatible');
+    });
+  });
+});
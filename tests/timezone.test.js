@@ -0,0 +1,65 @@
+/**
+ * Tests for Timezone module
+ */
+
+import { parseTimezone, isValidTimezone, getLocalDateParts } from '../src/timezone.js';
+
+describe('Timezone', () => {
+  describe('parseTimezone', () => {
+    it('should parse IANA names', () => {
+      expect(parseTimezone('Europe/Berlin')).toEqual({ type: 'iana', name: 'Europe/Berlin' });
+    });
+
+    it('should keep resolving variants once older ones are evicted', () => {
+      const variants = Array.from({ length: 600 }, (_, i) => `${' '.repeat(i)}europe/berlin`);
+
+      for (const variant of variants) {
+        expect(parseTimezone(variant)).toEqual({ type: 'iana', name: 'Europe/Berlin' });
+      }
+      expect(parseTimezone(variants[0])).toEqual({ type: 'iana', name: 'Europe/Berlin' });
+    });
+
+    it('should parse UTC offsets', () => {
+      expect(parseTimezone('UTC')).toEqual({ type: 'offset', minutes: 0 });
+      expect(parseTimezone('+05:30')).toEqual({ type: 'offset', minutes: 330 });
+      expect(parseTimezone('-0300')).toEqual({ type: 'offset', minutes: -180 });
+      expect(parseTimezone('UTC+2')).toEqual({ type: 'offset', minutes: 120 });
+      expect(parseTimezone('GMT-8')).toEqual({ type: 'offset', minutes: -480 });
+    });
+
+    it('should read a leading space as a plus sign', () => {
+      expect(parseTimezone(' 09:00')).toEqual({ type: 'offset', minutes: 540 });
+    });
+
+    it('should reject invalid timezones', () => {
+      expect(() => parseTimezone('Mars/Olympus_Mons')).toThrow('Invalid timezone');
+      expect(() => parseTimezone('+25:00')).toThrow('Invalid timezone');
+      expect(isValidTimezone('not a zone')).toBe(false);
+      expect(isValidTimezone('America/New_York')).toBe(true);
+    });
+  });
+
+  describe('getLocalDateParts', () => {
+    const timestamp = '2024-01-15T23:30:00Z'; // Monday
+
+    it('should convert to an IANA timezone', () => {
+      expect(getLocalDateParts(timestamp, 'Asia/Tokyo')).toEqual({ date: '2024-01-16', hour: 8, weekday: 2 });
+      expect(getLocalDateParts(timestamp, 'America/Los_Angeles')).toEqual({ date: '2024-01-15', hour: 15, weekday: 1 });
+    });
+
+    it('should convert to a UTC offset', () => {
+      expect(getLocalDateParts(timestamp, '+01:00')).toEqual({ date: '2024-01-16', hour: 0, weekday: 2 });
+      expect(getLocalDateParts(timestamp, 'UTC')).toEqual({ date: '2024-01-15', hour: 23, weekday: 1 });
+    });
+
+    it('should use the runtime timezone by default', () => {
+      const local = new Date(2024, 0, 15, 7, 0, 0);
+
+      expect(getLocalDateParts(local.toISOString())).toEqual({ date: '2024-01-15', hour: 7, weekday: 1 });
+    });
+
+    it('should return null for invalid timestamps', () => {
+      expect(getLocalDateParts('not a date', 'UTC')).toBeNull();
+    });
+  });
+});